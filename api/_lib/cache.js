@@ -0,0 +1,40 @@
+/*
+ api/_lib/cache.js — tiny in-memory TTL cache shared by the serverless proxies
+ - Lives in module scope, so it survives across warm invocations of the same function instance
+ - Cold starts begin empty; that is fine, the upstream is simply hit once more
+*/
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+function createCache({ ttlMs, maxEntries = DEFAULT_MAX_ENTRIES }) {
+  const store = new Map();
+
+  function get(key) {
+    const hit = store.get(key);
+    if (!hit) return undefined;
+    if (Date.now() > hit.expires) { store.delete(key); return undefined; }
+    return hit.value;
+  }
+
+  function set(key, value, ttlOverrideMs) {
+    // Map keeps insertion order, so the first key is the oldest entry
+    if (store.size >= maxEntries && !store.has(key)) store.delete(store.keys().next().value);
+    store.set(key, { value, expires: Date.now() + (ttlOverrideMs ?? ttlMs) });
+    return value;
+  }
+
+  // fetch-through helper: return cached value or compute, store and return it
+  async function wrap(key, producer) {
+    const cached = get(key);
+    if (cached !== undefined) return { value: cached, cached: true };
+    const value = await producer();
+    set(key, value);
+    return { value, cached: false };
+  }
+
+  function clear() { store.clear(); }
+
+  return { get, set, wrap, clear };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,75 @@
+/*
+ api/_lib/http.js — small helpers shared by the /api handlers
+*/
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURE_DIR = path.join(__dirname, "..", "_fixtures");
+
+function sendJSON(res, status, body, headers = {}) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  Object.entries(headers).forEach(([k, v]) => res.setHeader(k, v));
+  res.end(JSON.stringify(body));
+}
+
+// mock mode: FLOODSAFE_MOCK=1 serves fixtures instead of calling upstream services
+function isMockMode() {
+  return /^(1|true|yes)$/i.test(process.env.FLOODSAFE_MOCK || "");
+}
+
+function readFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, name), "utf8"));
+}
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+async function fetchUpstreamJSON(url, timeoutMs = 10000) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const r = await fetch(url, { headers: { "Accept": "application/json" }, signal: ctrl.signal });
+    if (!r.ok) {
+      const err = new Error(`Upstream HTTP ${r.status} ${r.statusText}`);
+      err.status = r.status;
+      throw err;
+    }
+    return await r.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// CORS preflight for non-GET methods; returns true when the request was answered
+function handlePreflight(req, res, methods) {
+  if (req.method !== "OPTIONS") return false;
+  res.statusCode = 204;
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", methods.join(", "));
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.end();
+  return true;
+}
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// parsed JSON body ({} when empty). Vercel pre-parses req.body; plain Node streams it.
+async function readJSONBody(req) {
+  if (req.body !== undefined) {
+    if (typeof req.body === "string") return req.body ? JSON.parse(req.body) : {};
+    if (Buffer.isBuffer(req.body)) return req.body.length ? JSON.parse(req.body.toString("utf8")) : {};
+    return req.body || {};
+  }
+  let raw = "";
+  for await (const chunk of req) {
+    raw += chunk;
+    if (raw.length > MAX_BODY_BYTES) throw Object.assign(new Error("Body too large"), { status: 413 });
+  }
+  return raw ? JSON.parse(raw) : {};
+}
+
+module.exports = { sendJSON, isMockMode, readFixture, envNumber, fetchUpstreamJSON, handlePreflight, readJSONBody };
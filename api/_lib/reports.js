@@ -0,0 +1,299 @@
+/*
+ api/_lib/reports.js — shared flood report store for /api/reports
+ - Reports are grouped into incidents: a new report within REPORTS_MERGE_RADIUS_M (default 100 m) of an active
+   incident touched in the last REPORTS_MERGE_WINDOW seconds (default 6 h) joins it instead of creating another
+ - Incident shape (what the API returns):
+   { id, lat, lng, severity, notes, status: "active"|"receded", createdAt, lastActivityAt,
+     reportCount, reportIds, confirmations, recededVotes }
+   lat/lng is the mean of its reports, severity the highest, notes the latest non-empty note. reportIds only lists
+   the reports of the device asking (its deviceId), so report ids are never handed to other clients.
+ - Ownership: a report keeps the deviceId it was posted with; update/remove need the same deviceId (403 otherwise).
+   Device ids are never returned, so knowing a report id is not enough to change it.
+ - Votes: one per device per incident ("confirm" | "receded"); a confirm refreshes lastActivityAt, and an incident
+   is marked receded once it has REPORTS_RECEDE_VOTES receded votes and more of those than confirmations
+ - Incidents with no activity for REPORTS_MAX_AGE seconds (default 7 days) are expired
+ - Persistence: a JSON file (REPORTS_STORE_FILE, default <tmpdir>/floodsafe-reports.json) or ":memory:";
+   FLOODSAFE_MOCK=1 without REPORTS_STORE_FILE uses memory seeded from api/_fixtures/reports.json.
+   Writes are whole-file and serialized within one instance; on Vercel /tmp is per-instance and ephemeral,
+   so production deployments should point createReportService at a shared store (same load/save interface).
+*/
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { envNumber, isMockMode, readFixture } = require("./http");
+
+const SEVERITY_RANK = { low: 1, moderate: 2, severe: 3 };
+const MERGE_RADIUS_M = envNumber("REPORTS_MERGE_RADIUS_M", 100);
+const MERGE_WINDOW_MS = envNumber("REPORTS_MERGE_WINDOW", 6 * 3600) * 1000;
+const MAX_AGE_MS = envNumber("REPORTS_MAX_AGE", 7 * 86400) * 1000;
+const RECEDE_VOTES = envNumber("REPORTS_RECEDE_VOTES", 2);
+const MAX_NOTES_LENGTH = 500;
+
+class ReportError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function haversineMeters(lat1, lng1, lat2, lng2) {
+  const R = 6371000, toRad = d => d * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1), dLng = toRad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/* -------------------------
+   Stores: { load() -> { incidents: [] }, save(state) }
+   ------------------------- */
+function createFileStore(file) {
+  return {
+    load() {
+      try { return JSON.parse(fs.readFileSync(file, "utf8")); }
+      catch (e) {
+        if (e.code !== "ENOENT") console.warn(`Report store ${file} unreadable, starting empty:`, e.message);
+        return { incidents: [] };
+      }
+    },
+    save(state) {
+      // write-then-rename so a crash never leaves half a file
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(state));
+      fs.renameSync(tmp, file);
+    }
+  };
+}
+
+function createMemoryStore(initial = { incidents: [] }) {
+  let state = JSON.parse(JSON.stringify(initial));
+  return {
+    load() { return JSON.parse(JSON.stringify(state)); },
+    save(next) { state = JSON.parse(JSON.stringify(next)); }
+  };
+}
+
+// mock fixture times are "minutes ago" so the seeded incidents are always fresh
+function mockState() {
+  const now = Date.now();
+  const at = (min) => now - min * 60000;
+  const incidents = readFixture("reports.json").incidents.map(i => recompute({
+    id: i.id,
+    reports: i.reports.map(r => ({ ...r, createdAt: at(r.minutesAgo), updatedAt: at(r.minutesAgo), minutesAgo: undefined })),
+    votes: Object.fromEntries(Object.entries(i.votes || {}).map(([device, v]) => [device, { vote: v.vote, at: at(v.minutesAgo) }]))
+  }));
+  return { incidents };
+}
+
+function defaultStore() {
+  if (isMockMode() && !process.env.REPORTS_STORE_FILE) return createMemoryStore(mockState());
+  const where = process.env.REPORTS_STORE_FILE || path.join(os.tmpdir(), "floodsafe-reports.json");
+  return where === ":memory:" ? createMemoryStore() : createFileStore(where);
+}
+
+/* -------------------------
+   Validation
+   ------------------------- */
+function validReport(body) {
+  if (!body || typeof body !== "object") throw new ReportError(400, "JSON body required");
+  const lat = Number(body.lat), lng = Number(body.lng);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    throw new ReportError(400, "lat and lng must be valid coordinates");
+  }
+  const severity = String(body.severity || "moderate").toLowerCase();
+  if (!SEVERITY_RANK[severity]) throw new ReportError(400, "severity must be low, moderate or severe");
+  const id = body.id ? String(body.id).slice(0, 64) : null;
+  if (!id) throw new ReportError(400, "id is required (client-generated report id)");
+  const createdAt = Number(body.createdAt);
+  return {
+    id,
+    lat,
+    lng,
+    severity,
+    notes: String(body.notes || "").slice(0, MAX_NOTES_LENGTH),
+    // a client clock far in the future shouldn't keep a report alive forever
+    createdAt: Number.isFinite(createdAt) ? Math.min(createdAt, Date.now()) : Date.now(),
+    deviceId: body.deviceId ? String(body.deviceId).slice(0, 64) : null
+  };
+}
+
+// "w,s,e,n" -> [w, s, e, n] or null
+function parseBbox(raw) {
+  if (!raw) return null;
+  const b = String(raw).split(",").map(Number);
+  if (b.length !== 4 || !b.every(Number.isFinite) || b[0] > b[2] || b[1] > b[3]) return null;
+  return b;
+}
+
+/* -------------------------
+   Incident bookkeeping
+   ------------------------- */
+function recompute(incident) {
+  const rs = incident.reports;
+  incident.lat = rs.reduce((m, r) => m + r.lat, 0) / rs.length;
+  incident.lng = rs.reduce((m, r) => m + r.lng, 0) / rs.length;
+  incident.severity = rs.reduce((best, r) => SEVERITY_RANK[r.severity] > SEVERITY_RANK[best] ? r.severity : best, "low");
+  const noted = rs.filter(r => r.notes).sort((a, b) => b.updatedAt - a.updatedAt)[0];
+  incident.notes = noted ? noted.notes : "";
+  incident.createdAt = Math.min(...rs.map(r => r.createdAt));
+  const votes = Object.values(incident.votes || {});
+  const confirmAt = votes.filter(v => v.vote === "confirm").map(v => v.at);
+  incident.lastActivityAt = Math.max(...rs.map(r => r.updatedAt), ...confirmAt);
+  const confirmations = confirmAt.length;
+  const receded = votes.length - confirmations;
+  incident.status = receded >= RECEDE_VOTES && receded > confirmations ? "receded" : "active";
+  return incident;
+}
+
+// public view: no device ids, and only the viewer's own report ids
+function publicIncident(incident, viewerDeviceId = null) {
+  const votes = Object.values(incident.votes || {});
+  const viewer = viewerDeviceId ? String(viewerDeviceId).slice(0, 64) : null;
+  return {
+    id: incident.id,
+    lat: incident.lat,
+    lng: incident.lng,
+    severity: incident.severity,
+    notes: incident.notes,
+    status: incident.status,
+    createdAt: incident.createdAt,
+    lastActivityAt: incident.lastActivityAt,
+    reportCount: incident.reports.length,
+    reportIds: viewer ? incident.reports.filter(r => r.deviceId === viewer).map(r => r.id) : [],
+    confirmations: votes.filter(v => v.vote === "confirm").length,
+    recededVotes: votes.filter(v => v.vote === "receded").length
+  };
+}
+
+function isExpired(incident, now) {
+  return now - incident.lastActivityAt > MAX_AGE_MS;
+}
+
+function findByReportId(state, reportId) {
+  for (const incident of state.incidents) {
+    const report = incident.reports.find(r => r.id === reportId);
+    if (report) return { incident, report };
+  }
+  return null;
+}
+
+function assertOwner(report, deviceId) {
+  if (!deviceId) throw new ReportError(400, "deviceId is required");
+  if (!report.deviceId || report.deviceId !== String(deviceId).slice(0, 64)) {
+    throw new ReportError(403, "Only the device that sent a report can change it");
+  }
+}
+
+function newIncidentId() {
+  return "inc_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/* -------------------------
+   Service
+   ------------------------- */
+function createReportService(store = defaultStore()) {
+  // serialize read-modify-write cycles within this instance
+  let queue = Promise.resolve();
+  function mutate(fn) {
+    const run = queue.then(() => {
+      const state = store.load();
+      const result = fn(state);
+      store.save(state);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    // deviceId: the caller, whose own report ids are included
+    async list({ bbox = null, since = 0, includeReceded = false, deviceId = null, now = Date.now() } = {}) {
+      const state = store.load();
+      return state.incidents
+        .filter(i => !isExpired(i, now))
+        .filter(i => includeReceded || i.status !== "receded")
+        .filter(i => i.lastActivityAt >= since)
+        .filter(i => !bbox || (i.lng >= bbox[0] && i.lat >= bbox[1] && i.lng <= bbox[2] && i.lat <= bbox[3]))
+        .map(i => publicIncident(i, deviceId));
+    },
+
+    // returns { incident, merged } — merged is true when the report joined an existing incident
+    create(body) {
+      const input = validReport(body);
+      return mutate((state) => {
+        const existing = findByReportId(state, input.id);
+        if (existing) return { incident: publicIncident(existing.incident, input.deviceId), merged: false }; // retried POST
+        const now = Date.now();
+        const report = { ...input, updatedAt: now };
+        const near = state.incidents
+          .filter(i => i.status === "active" && now - i.lastActivityAt <= MERGE_WINDOW_MS)
+          .map(i => ({ i, d: haversineMeters(i.lat, i.lng, report.lat, report.lng) }))
+          .filter(x => x.d <= MERGE_RADIUS_M)
+          .sort((a, b) => a.d - b.d)[0];
+        if (near) {
+          near.i.reports.push(report);
+          return { incident: publicIncident(recompute(near.i), input.deviceId), merged: true };
+        }
+        const incident = recompute({ id: newIncidentId(), reports: [report], votes: {} });
+        state.incidents.push(incident);
+        return { incident: publicIncident(incident, input.deviceId), merged: false };
+      });
+    },
+
+    // edits one report (by its client id) inside its incident; body.deviceId must be the one it was sent with
+    update(reportId, body) {
+      return mutate((state) => {
+        const hit = findByReportId(state, reportId);
+        if (!hit) throw new ReportError(404, "Report not found");
+        assertOwner(hit.report, body && body.deviceId);
+        const next = validReport({ ...hit.report, ...body, id: reportId });
+        Object.assign(hit.report, { lat: next.lat, lng: next.lng, severity: next.severity, notes: next.notes, updatedAt: Date.now() });
+        return publicIncident(recompute(hit.incident), hit.report.deviceId);
+      });
+    },
+
+    // removes one report (same ownership rule as update); the incident goes with its last report.
+    // Returns the remaining incident or null.
+    remove(reportId, { deviceId } = {}) {
+      return mutate((state) => {
+        const hit = findByReportId(state, reportId);
+        if (!hit) throw new ReportError(404, "Report not found");
+        assertOwner(hit.report, deviceId);
+        hit.incident.reports = hit.incident.reports.filter(r => r.id !== reportId);
+        if (!hit.incident.reports.length) {
+          state.incidents = state.incidents.filter(i => i !== hit.incident);
+          return null;
+        }
+        return publicIncident(recompute(hit.incident), deviceId);
+      });
+    },
+
+    vote(incidentId, { vote, deviceId } = {}) {
+      if (vote !== "confirm" && vote !== "receded") throw new ReportError(400, "vote must be confirm or receded");
+      if (!deviceId) throw new ReportError(400, "deviceId is required");
+      return mutate((state) => {
+        const incident = state.incidents.find(i => i.id === incidentId);
+        if (!incident) throw new ReportError(404, "Incident not found");
+        incident.votes = incident.votes || {};
+        incident.votes[String(deviceId).slice(0, 64)] = { vote, at: Date.now() };
+        return publicIncident(recompute(incident), deviceId);
+      });
+    },
+
+    // drops incidents past REPORTS_MAX_AGE; returns how many were removed
+    expire(now = Date.now()) {
+      return mutate((state) => {
+        const before = state.incidents.length;
+        state.incidents = state.incidents.filter(i => !isExpired(i, now));
+        return before - state.incidents.length;
+      });
+    }
+  };
+}
+
+let shared = null;
+function reportService() {
+  if (!shared) shared = createReportService();
+  return shared;
+}
+
+module.exports = { createReportService, createFileStore, createMemoryStore, reportService, parseBbox, ReportError };
@@ -0,0 +1,196 @@
+/*
+ api/accuweather.js — AccuWeather proxy (GET /api/accuweather?lat=..&lng=..)
+ - Keeps ACCUWEATHER_API_KEY on the server; the browser never sees it
+ - Resolves lat/lng to an AccuWeather location key (cached ~24h per ~1 km cell)
+ - Caches current conditions per location key for ACCUWEATHER_CACHE_TTL seconds (default 10 min),
+   the 12-hour hourly forecast for ACCUWEATHER_FORECAST_TTL (default 30 min) and official alerts
+   for ACCUWEATHER_ALERTS_TTL (default 10 min)
+ - Response: { locationKey, location: { name, admin }, current, forecast, alerts } where `current` is the first
+   currentconditions entry (details=true), `forecast` the hourly/12hour array (details=true, metric) and
+   `alerts` the alerts/v1 array. Forecast/alert failures are not fatal: those fields are null.
+ - Batch mode (GET /api/accuweather?points=lat,lng;lat,lng;...): points are resolved to location keys first and
+   weather is fetched once per distinct key, so samples along a route that share an AccuWeather location
+   cost one set of upstream calls. Response:
+   { points: [{ lat, lng, locationKey }], locations: { [key]: { location, current, forecast, alerts } } }
+   At most ACCUWEATHER_MAX_BATCH points (default 12) are accepted per request.
+ - FLOODSAFE_MOCK=1 serves api/_fixtures/accuweather.json instead (offline testing); forecast and alert
+   times in the fixture are shifted so they start at the current hour
+*/
+const { createCache } = require("./_lib/cache");
+const { sendJSON, isMockMode, readFixture, envNumber, fetchUpstreamJSON } = require("./_lib/http");
+
+const ACCU_BASE = process.env.ACCUWEATHER_BASE_URL || "https://dataservice.accuweather.com";
+const CONDITIONS_TTL_MS = envNumber("ACCUWEATHER_CACHE_TTL", 600) * 1000;
+const FORECAST_TTL_MS = envNumber("ACCUWEATHER_FORECAST_TTL", 1800) * 1000;
+const ALERTS_TTL_MS = envNumber("ACCUWEATHER_ALERTS_TTL", 600) * 1000;
+const LOCATION_TTL_MS = envNumber("ACCUWEATHER_LOCATION_TTL", 86400) * 1000;
+const MAX_BATCH = envNumber("ACCUWEATHER_MAX_BATCH", 12);
+
+const locationCache = createCache({ ttlMs: LOCATION_TTL_MS, maxEntries: 2000 });
+const conditionsCache = createCache({ ttlMs: CONDITIONS_TTL_MS, maxEntries: 500 });
+const forecastCache = createCache({ ttlMs: FORECAST_TTL_MS, maxEntries: 500 });
+const alertsCache = createCache({ ttlMs: ALERTS_TTL_MS, maxEntries: 500 });
+
+function parseLatLng(query) {
+  const lat = Number(query.get("lat"));
+  const lng = Number(query.get("lng"));
+  return validLatLng(lat, lng) ? { lat, lng } : null;
+}
+
+function validLatLng(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+// "lat,lng;lat,lng" -> [{ lat, lng }] or null if any entry is malformed
+function parsePoints(raw) {
+  const pts = String(raw).split(";").filter(Boolean).map(pair => {
+    const [lat, lng] = pair.split(",").map(Number);
+    return { lat, lng };
+  });
+  return pts.length && pts.every(p => validLatLng(p.lat, p.lng)) ? pts : null;
+}
+
+// ~1 km cells: nearby points share one geoposition lookup
+function cellKey(lat, lng) { return `${lat.toFixed(2)},${lng.toFixed(2)}`; }
+
+async function resolveLocation(apiKey, lat, lng) {
+  const { value } = await locationCache.wrap(cellKey(lat, lng), async () => {
+    const url = `${ACCU_BASE}/locations/v1/cities/geoposition/search?apikey=${encodeURIComponent(apiKey)}&q=${lat},${lng}`;
+    const loc = await fetchUpstreamJSON(url);
+    if (!loc || !loc.Key) throw new Error("AccuWeather returned no location key");
+    return { key: loc.Key, name: loc.LocalizedName || "", admin: loc.AdministrativeArea?.LocalizedName || "" };
+  });
+  return value;
+}
+
+async function currentConditions(apiKey, locationKey) {
+  return conditionsCache.wrap(locationKey, async () => {
+    const url = `${ACCU_BASE}/currentconditions/v1/${encodeURIComponent(locationKey)}?apikey=${encodeURIComponent(apiKey)}&details=true`;
+    const arr = await fetchUpstreamJSON(url);
+    return Array.isArray(arr) ? (arr[0] || null) : arr;
+  });
+}
+
+async function hourlyForecast(apiKey, locationKey) {
+  return forecastCache.wrap(locationKey, async () => {
+    const url = `${ACCU_BASE}/forecasts/v1/hourly/12hour/${encodeURIComponent(locationKey)}?apikey=${encodeURIComponent(apiKey)}&details=true&metric=true`;
+    const arr = await fetchUpstreamJSON(url);
+    return Array.isArray(arr) ? arr : [];
+  });
+}
+
+async function officialAlerts(apiKey, locationKey) {
+  return alertsCache.wrap(locationKey, async () => {
+    const url = `${ACCU_BASE}/alerts/v1/${encodeURIComponent(locationKey)}?apikey=${encodeURIComponent(apiKey)}&details=true`;
+    const arr = await fetchUpstreamJSON(url);
+    return Array.isArray(arr) ? arr : [];
+  });
+}
+
+// current conditions are required; forecast and alerts are best effort (null when unavailable)
+async function locationWeather(apiKey, loc) {
+  const optional = (p, what) => p.then(r => r.value).catch(e => {
+    console.warn(`AccuWeather ${what} for ${loc.key} failed:`, e.message);
+    return null;
+  });
+  const [{ value: current, cached }, forecast, alerts] = await Promise.all([
+    currentConditions(apiKey, loc.key),
+    optional(hourlyForecast(apiKey, loc.key), "forecast"),
+    optional(officialAlerts(apiKey, loc.key), "alerts")
+  ]);
+  return { location: { name: loc.name, admin: loc.admin }, current, forecast, alerts, cached };
+}
+
+// fixture with forecast hours and alert windows moved so the first forecast hour is the current hour
+function mockWeather() {
+  const fx = readFixture("accuweather.json");
+  const hourMs = 3600 * 1000;
+  const start = Math.ceil(Date.now() / hourMs) * hourMs;
+  const firstEpoch = fx.forecast && fx.forecast.length ? fx.forecast[0].EpochDateTime * 1000 : start;
+  const shift = start - firstEpoch;
+  const move = (epochSec) => Math.round((epochSec * 1000 + shift) / 1000);
+  (fx.forecast || []).forEach(h => {
+    h.EpochDateTime = move(h.EpochDateTime);
+    h.DateTime = new Date(h.EpochDateTime * 1000).toISOString();
+  });
+  (fx.alerts || []).forEach(a => (a.Area || []).forEach(area => {
+    area.EpochStartTime = move(area.EpochStartTime);
+    area.EpochEndTime = move(area.EpochEndTime);
+    area.StartTime = new Date(area.EpochStartTime * 1000).toISOString();
+    area.EndTime = new Date(area.EpochEndTime * 1000).toISOString();
+  }));
+  return fx;
+}
+
+async function handleBatch(res, points, apiKey) {
+  if (points.length > MAX_BATCH) {
+    return sendJSON(res, 400, { error: `At most ${MAX_BATCH} points per request` });
+  }
+  if (isMockMode()) {
+    const fx = mockWeather();
+    return sendJSON(res, 200, {
+      points: points.map(p => ({ ...p, locationKey: fx.locationKey })),
+      locations: { [fx.locationKey]: { location: fx.location, current: fx.current, forecast: fx.forecast, alerts: fx.alerts } }
+    }, { "X-FloodSafe-Source": "mock" });
+  }
+  if (!apiKey) return sendJSON(res, 503, { error: "AccuWeather proxy is not configured (ACCUWEATHER_API_KEY missing)" });
+
+  try {
+    const resolved = await Promise.all(points.map(async p => {
+      try { return { ...p, loc: await resolveLocation(apiKey, p.lat, p.lng) }; }
+      catch (e) { return { ...p, loc: null }; }
+    }));
+    const locations = {};
+    const distinct = new Map();
+    resolved.forEach(p => { if (p.loc) distinct.set(p.loc.key, p.loc); });
+    await Promise.all(Array.from(distinct.values()).map(async loc => {
+      try {
+        const { location, current, forecast, alerts } = await locationWeather(apiKey, loc);
+        locations[loc.key] = { location, current, forecast, alerts };
+      } catch (e) {
+        console.warn(`AccuWeather conditions for ${loc.key} failed:`, e.message);
+      }
+    }));
+    return sendJSON(res, 200, {
+      points: resolved.map(p => ({ lat: p.lat, lng: p.lng, locationKey: p.loc && locations[p.loc.key] ? p.loc.key : null })),
+      locations
+    }, { "Cache-Control": `public, max-age=${Math.floor(CONDITIONS_TTL_MS / 1000)}` });
+  } catch (e) {
+    console.warn("AccuWeather batch failed:", e.message);
+    return sendJSON(res, 502, { error: "AccuWeather unavailable", detail: e.message });
+  }
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "GET") return sendJSON(res, 405, { error: "Method not allowed" });
+
+  const query = new URL(req.url, "http://localhost").searchParams;
+  if (query.has("points")) {
+    const points = parsePoints(query.get("points"));
+    if (!points) return sendJSON(res, 400, { error: "points must be lat,lng pairs separated by ;" });
+    return handleBatch(res, points, process.env.ACCUWEATHER_API_KEY);
+  }
+
+  const pos = parseLatLng(query);
+  if (!pos) return sendJSON(res, 400, { error: "lat and lng query parameters are required" });
+
+  if (isMockMode()) {
+    return sendJSON(res, 200, mockWeather(), { "X-FloodSafe-Source": "mock" });
+  }
+
+  const apiKey = process.env.ACCUWEATHER_API_KEY;
+  if (!apiKey) return sendJSON(res, 503, { error: "AccuWeather proxy is not configured (ACCUWEATHER_API_KEY missing)" });
+
+  try {
+    const loc = await resolveLocation(apiKey, pos.lat, pos.lng);
+    const { location, current, forecast, alerts, cached } = await locationWeather(apiKey, loc);
+    return sendJSON(res, 200, { locationKey: loc.key, location, current, forecast, alerts }, {
+      "Cache-Control": `public, max-age=${Math.floor(CONDITIONS_TTL_MS / 1000)}`,
+      "X-FloodSafe-Cache": cached ? "HIT" : "MISS"
+    });
+  } catch (e) {
+    console.warn("AccuWeather upstream failed:", e.message);
+    // 401/403 from AccuWeather usually means a bad key or exhausted quota; surface as 502 either way
+    return sendJSON(res, 502, { error: "AccuWeather unavailable", detail: e.message });
+  }
+};
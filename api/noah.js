@@ -0,0 +1,63 @@
+/*
+ api/noah.js — NOAH data proxy (GET /api/noah)
+ - Fetches NOAH GeoJSON server-side so the browser is not blocked by CORS
+ - ?layer=hazards (default) is the flood hazard polygons; ?layer=evacuation is the evacuation centers
+   (points with name, capacity, occupancy and status). NOAH publishes no public evacuation center feed, so this layer
+   needs NOAH_EVACUATION_URL; without it the proxy answers 503 and the app uses its bundled list
+ - Caches each layer for NOAH_CACHE_TTL seconds (default 1h); on upstream failure a stale copy is served if one exists
+ - FLOODSAFE_MOCK=1 serves the layer's file from api/_fixtures/ instead (offline testing)
+*/
+const { createCache } = require("./_lib/cache");
+const { sendJSON, isMockMode, readFixture, envNumber, fetchUpstreamJSON } = require("./_lib/http");
+
+const LAYERS = {
+  hazards: {
+    url: process.env.NOAH_GEOJSON_URL || "https://noah.up.edu.ph/api/flood-geojson.json",
+    fixture: "noah.geojson",
+    label: "NOAH hazard data"
+  },
+  evacuation: {
+    url: process.env.NOAH_EVACUATION_URL || null,
+    fixture: "evacuation.geojson",
+    label: "NOAH evacuation centers"
+  }
+};
+const TTL_MS = envNumber("NOAH_CACHE_TTL", 3600) * 1000;
+
+const cache = createCache({ ttlMs: TTL_MS, maxEntries: 4 });
+const lastGood = {}; // layer -> { data, fetchedAt }, kept beyond the TTL as a stale fallback
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "GET") return sendJSON(res, 405, { error: "Method not allowed" });
+
+  const name = new URL(req.url, "http://localhost").searchParams.get("layer") || "hazards";
+  const layer = LAYERS[name];
+  if (!layer) return sendJSON(res, 400, { error: `Unknown layer "${name}"`, layers: Object.keys(LAYERS) });
+
+  if (isMockMode()) {
+    return sendJSON(res, 200, readFixture(layer.fixture), { "X-FloodSafe-Source": "mock" });
+  }
+  if (!layer.url) return sendJSON(res, 503, { error: `${layer.label} not configured` });
+
+  try {
+    const { value, cached } = await cache.wrap(name, async () => {
+      const data = await fetchUpstreamJSON(layer.url);
+      lastGood[name] = { data, fetchedAt: Date.now() };
+      return lastGood[name];
+    });
+    return sendJSON(res, 200, value.data, {
+      "Cache-Control": `public, max-age=${Math.floor(TTL_MS / 1000)}`,
+      "X-FloodSafe-Cache": cached ? "HIT" : "MISS",
+      "X-FloodSafe-Fetched-At": new Date(value.fetchedAt).toISOString()
+    });
+  } catch (e) {
+    console.warn(`NOAH upstream failed (${name}):`, e.message);
+    if (lastGood[name]) {
+      return sendJSON(res, 200, lastGood[name].data, {
+        "X-FloodSafe-Cache": "STALE",
+        "X-FloodSafe-Fetched-At": new Date(lastGood[name].fetchedAt).toISOString()
+      });
+    }
+    return sendJSON(res, 502, { error: `${layer.label} unavailable`, detail: e.message });
+  }
+};
@@ -0,0 +1,30 @@
+/*
+ api/reports/[id].js — one report, addressed by its client id
+ - PUT    /api/reports/:id { lat, lng, severity, notes, deviceId } -> { incident }
+ - DELETE /api/reports/:id?deviceId=... -> { incident } (null when the incident had no other reports)
+ Both answer 403 unless deviceId is the one the report was posted with.
+*/
+const { sendJSON, handlePreflight, readJSONBody } = require("../_lib/http");
+const { reportService } = require("../_lib/reports");
+
+function reportIdFromUrl(url) {
+  const parts = url.pathname.split("/").filter(Boolean);
+  return decodeURIComponent(parts[parts.length - 1] || "");
+}
+
+module.exports = async function handler(req, res) {
+  if (handlePreflight(req, res, ["PUT", "DELETE"])) return;
+  const url = new URL(req.url, "http://localhost");
+  const id = reportIdFromUrl(url);
+  const service = reportService();
+  try {
+    if (req.method === "PUT") return sendJSON(res, 200, { incident: await service.update(id, await readJSONBody(req)) });
+    if (req.method === "DELETE") return sendJSON(res, 200, { incident: await service.remove(id, { deviceId: url.searchParams.get("deviceId") }) });
+    return sendJSON(res, 405, { error: "Method not allowed" });
+  } catch (e) {
+    if (e instanceof SyntaxError) return sendJSON(res, 400, { error: "Invalid JSON body" });
+    if (e.status) return sendJSON(res, e.status, { error: e.message });
+    console.warn("Report update failed:", e);
+    return sendJSON(res, 500, { error: "Report store unavailable" });
+  }
+};
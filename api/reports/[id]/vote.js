@@ -0,0 +1,22 @@
+/*
+ api/reports/[id]/vote.js — POST /api/reports/:incidentId/vote { vote: "confirm"|"receded", deviceId } -> { incident }
+ One vote per device per incident; voting again replaces the earlier vote.
+*/
+const { sendJSON, handlePreflight, readJSONBody } = require("../../_lib/http");
+const { reportService } = require("../../_lib/reports");
+
+module.exports = async function handler(req, res) {
+  if (handlePreflight(req, res, ["POST"])) return;
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "Method not allowed" });
+  const parts = new URL(req.url, "http://localhost").pathname.split("/").filter(Boolean);
+  const incidentId = decodeURIComponent(parts[parts.length - 2] || "");
+  try {
+    const incident = await reportService().vote(incidentId, await readJSONBody(req));
+    return sendJSON(res, 200, { incident });
+  } catch (e) {
+    if (e instanceof SyntaxError) return sendJSON(res, 400, { error: "Invalid JSON body" });
+    if (e.status) return sendJSON(res, e.status, { error: e.message });
+    console.warn("Report vote failed:", e);
+    return sendJSON(res, 500, { error: "Report store unavailable" });
+  }
+};
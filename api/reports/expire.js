@@ -0,0 +1,20 @@
+/*
+ api/reports/expire.js — POST /api/reports/expire -> { expired: n }
+ Deletes incidents with no activity for REPORTS_MAX_AGE seconds (listing already hides them). Meant for a
+ scheduled job; when REPORTS_ADMIN_TOKEN is set the request needs `Authorization: Bearer <token>`.
+*/
+const { sendJSON, handlePreflight } = require("../_lib/http");
+const { reportService } = require("../_lib/reports");
+
+module.exports = async function handler(req, res) {
+  if (handlePreflight(req, res, ["POST"])) return;
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "Method not allowed" });
+  const token = process.env.REPORTS_ADMIN_TOKEN;
+  if (token && req.headers.authorization !== `Bearer ${token}`) return sendJSON(res, 401, { error: "Unauthorized" });
+  try {
+    return sendJSON(res, 200, { expired: await reportService().expire() });
+  } catch (e) {
+    console.warn("Report expiry failed:", e);
+    return sendJSON(res, 500, { error: "Report store unavailable" });
+  }
+};
@@ -0,0 +1,34 @@
+/*
+ api/reports/index.js — shared flood reports (see api/_lib/reports.js for merging, votes and storage)
+ - GET  /api/reports?bbox=w,s,e,n[&since=epochMs][&includeReceded=1][&deviceId=...] -> { incidents, serverTime }
+   each incident's reportIds are the ones sent from `deviceId` (empty without it)
+ - POST /api/reports { id, lat, lng, severity, notes, createdAt, deviceId } -> 201 { incident, merged }
+   `id` is the client's report id; re-posting the same id returns the incident it already belongs to
+*/
+const { sendJSON, handlePreflight, readJSONBody } = require("../_lib/http");
+const { reportService, parseBbox } = require("../_lib/reports");
+
+module.exports = async function handler(req, res) {
+  if (handlePreflight(req, res, ["GET", "POST"])) return;
+  const service = reportService();
+  try {
+    if (req.method === "GET") {
+      const query = new URL(req.url, "http://localhost").searchParams;
+      const bbox = parseBbox(query.get("bbox"));
+      if (query.has("bbox") && !bbox) return sendJSON(res, 400, { error: "bbox must be west,south,east,north" });
+      const since = Number(query.get("since")) || 0;
+      const incidents = await service.list({ bbox, since, includeReceded: query.get("includeReceded") === "1", deviceId: query.get("deviceId") });
+      return sendJSON(res, 200, { incidents, serverTime: Date.now() }, { "Cache-Control": "no-store" });
+    }
+    if (req.method === "POST") {
+      const result = await service.create(await readJSONBody(req));
+      return sendJSON(res, 201, result);
+    }
+    return sendJSON(res, 405, { error: "Method not allowed" });
+  } catch (e) {
+    if (e instanceof SyntaxError) return sendJSON(res, 400, { error: "Invalid JSON body" });
+    if (e.status) return sendJSON(res, e.status, { error: e.message });
+    console.warn("Reports request failed:", e);
+    return sendJSON(res, 500, { error: "Report store unavailable" });
+  }
+};
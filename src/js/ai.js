@@ -1,2 +1,219 @@
-// ai.js placeholder - AI module will be added later
-export const FloodLearner = null;
+/*
+ ai.js — flood likelihood model
+ Estimates the probability that a grid cell (~220 m) floods within the next HORIZON_MS from three inputs:
+ report history near the cell, rainfall, and the cell's NOAH hazard class. The default model is an L2-regularised
+ logistic regression that starts from hand-set prior weights (so it is usable before any training), is trained in
+ the browser on examples built from stored reports and rainfall observations, and is then Platt-calibrated on a
+ held-out split. Everything runs on the CPU in a few milliseconds; no external services.
+
+ Model interface (app.js only relies on this, so another model can be swapped in):
+   name                      short identifier shown in the UI
+   predict(features) -> p    features from floodFeatures(); p in [0, 1]
+   train(examples) -> info   examples: [{ features, label: 0|1 }]; info: { examples, positives, brier, ... }
+   toJSON()                  plain object; loadFloodModel(json) restores it
+*/
+
+export const CELL_DEG = 0.002;
+export const HORIZON_MS = 3 * 3600 * 1000;          // "floods within the next 3 hours"
+const CELL_RADIUS_M = 150;                           // reports this close to the cell center count toward it
+const RECENT_MS = 24 * 3600 * 1000;
+const HISTORY_MS = 30 * 24 * 3600 * 1000;            // training window
+const SLOT_MS = 3600 * 1000;                         // examples are built per cell and hour
+const RAIN_MATCH_M = 2000;                           // a rainfall observation applies this far from where it was taken
+const FOLLOW_UP_MS = [6, 12, 24, 48].map(h => h * 3600 * 1000); // negatives sampled after each report
+
+export const FLOOD_FEATURES = ["bias", "reports", "recentReports", "rain", "noah1", "noah2", "noah3", "rainInHazard"];
+
+// prior weights: ~2% base rate, rising with reports, rain and NOAH class
+const PRIOR_WEIGHTS = [-4.0, 2.0, 0.8, 0.8, 0.7, 1.4, 2.2, 0.5];
+const PRIOR_STRENGTH = 20;     // the prior counts like this many examples in the L2 penalty
+const TRAIN_EPOCHS = 400;
+const LEARNING_RATE = 0.2;
+const HOLDOUT_FRACTION = 0.2;
+const MIN_CALIBRATION_EXAMPLES = 30;
+
+function haversineMeters(lat1, lng1, lat2, lng2) {
+  const R = 6371000, toRad = d => d * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1), dLng = toRad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+const logit = p => Math.log(p / (1 - p));
+
+export function cellKey(lat, lng) {
+  return `${Math.floor(lat / CELL_DEG)}|${Math.floor(lng / CELL_DEG)}`;
+}
+
+export function cellCenter(key) {
+  const [i, j] = key.split("|").map(Number);
+  return { lat: (i + 0.5) * CELL_DEG, lng: (j + 0.5) * CELL_DEG };
+}
+
+/*
+ Feature vector for a cell at time `at` (ms). Only reports created before `at` are used.
+ reportWeight(report, at) is the caller's decayed severity weight (FloodReports.weight in app.js).
+*/
+export function floodFeatures({ lat, lng, at, reports = [], reportWeight, rainMM = 0, noahClass = 0 }) {
+  let weighted = 0, recent = 0;
+  reports.forEach(r => {
+    if (r.createdAt > at || haversineMeters(lat, lng, r.lat, r.lng) > CELL_RADIUS_M) return;
+    weighted += reportWeight(r, at);
+    if (at - r.createdAt <= RECENT_MS) recent++;
+  });
+  const rain = Math.log1p(Math.max(0, rainMM || 0));
+  const cls = Math.round(noahClass || 0);
+  return [1, Math.log1p(weighted), Math.log1p(recent), rain, cls === 1 ? 1 : 0, cls === 2 ? 1 : 0, cls >= 3 ? 1 : 0, cls > 0 ? rain : 0];
+}
+
+/*
+ Training examples from history, one per (cell, hour slot) with label 1 if a report was made in the cell within
+ HORIZON_MS after the slot:
+ - the hour before each report (positives)
+ - every rainfall observation, at the cell where it was taken (mostly negatives: rain that flooded nothing)
+ - FOLLOW_UP_MS after each report (teaches how quickly an old report stops predicting new ones)
+ rainObs: [{ lat, lng, at, rainMM }]; noahClassAt(lat, lng) -> 0..3
+*/
+export function buildTrainingExamples({ reports = [], rainObs = [], noahClassAt = () => 0, reportWeight, now = Date.now() }) {
+  const since = now - HISTORY_MS;
+  const slots = new Map(); // "cell@slot" -> { key, t }
+  const addSlot = (lat, lng, t) => {
+    if (t < since || t + HORIZON_MS > now) return; // the label must be observable
+    const key = cellKey(lat, lng);
+    const slot = Math.floor(t / SLOT_MS) * SLOT_MS;
+    slots.set(`${key}@${slot}`, { key, t: slot });
+  };
+  reports.forEach(r => {
+    addSlot(r.lat, r.lng, r.createdAt - SLOT_MS);
+    FOLLOW_UP_MS.forEach(dt => addSlot(r.lat, r.lng, r.createdAt + dt));
+  });
+  rainObs.forEach(o => addSlot(o.lat, o.lng, o.at));
+
+  const rainNear = (lat, lng, t) => {
+    let best = null;
+    rainObs.forEach(o => {
+      if (Math.abs(o.at - t) > SLOT_MS) return;
+      const d = haversineMeters(lat, lng, o.lat, o.lng);
+      if (d <= RAIN_MATCH_M && (!best || d < best.d)) best = { d, mm: o.rainMM };
+    });
+    return best ? best.mm : 0;
+  };
+
+  return Array.from(slots.values()).map(({ key, t }) => {
+    const c = cellCenter(key);
+    const label = reports.some(r => r.createdAt > t && r.createdAt <= t + HORIZON_MS && cellKey(r.lat, r.lng) === key) ? 1 : 0;
+    const features = floodFeatures({ lat: c.lat, lng: c.lng, at: t, reports, reportWeight, rainMM: rainNear(c.lat, c.lng, t), noahClass: noahClassAt(c.lat, c.lng) });
+    return { features, label, cell: key, at: t };
+  });
+}
+
+/* -------------------------
+   Logistic regression (default model)
+   ------------------------- */
+function dot(w, x) { let s = 0; for (let i = 0; i < w.length; i++) s += w[i] * x[i]; return s; }
+
+// full-batch gradient descent on log loss + (PRIOR_STRENGTH / n) * ||w - prior||^2 (bias not penalised)
+function fitWeights(examples, start, prior) {
+  const w = start.slice();
+  const n = examples.length;
+  const lambda = PRIOR_STRENGTH / Math.max(1, n);
+  for (let epoch = 0; epoch < TRAIN_EPOCHS; epoch++) {
+    const grad = new Array(w.length).fill(0);
+    examples.forEach(({ features, label }) => {
+      const err = sigmoid(dot(w, features)) - label;
+      for (let i = 0; i < w.length; i++) grad[i] += err * features[i];
+    });
+    for (let i = 0; i < w.length; i++) {
+      const reg = i === 0 ? 0 : 2 * lambda * (w[i] - prior[i]);
+      w[i] -= LEARNING_RATE * (grad[i] / n + reg);
+    }
+  }
+  return w;
+}
+
+// Platt scaling: p' = sigmoid(a * logit(p) + b), fitted on held-out predictions
+function fitPlatt(preds, labels) {
+  let a = 1, b = 0;
+  const z = preds.map(p => logit(Math.min(1 - 1e-6, Math.max(1e-6, p))));
+  for (let epoch = 0; epoch < TRAIN_EPOCHS; epoch++) {
+    let ga = 0, gb = 0;
+    z.forEach((zi, i) => {
+      const err = sigmoid(a * zi + b) - labels[i];
+      ga += err * zi;
+      gb += err;
+    });
+    a -= LEARNING_RATE * ga / z.length;
+    b -= LEARNING_RATE * gb / z.length;
+  }
+  return { a, b };
+}
+
+function brier(preds, labels) {
+  if (!preds.length) return null;
+  return preds.reduce((m, p, i) => m + (p - labels[i]) ** 2, 0) / preds.length;
+}
+
+// deterministic split so retraining on the same data gives the same model
+function isHoldout(example, i) {
+  const h = `${example.cell || ""}@${example.at || i}`;
+  let x = 0;
+  for (let k = 0; k < h.length; k++) x = (x * 31 + h.charCodeAt(k)) >>> 0;
+  return (x % 1000) / 1000 < HOLDOUT_FRACTION;
+}
+
+export function createFloodModel(state = {}) {
+  let weights = Array.isArray(state.weights) && state.weights.length === FLOOD_FEATURES.length ? state.weights.slice() : PRIOR_WEIGHTS.slice();
+  let calibration = state.calibration || { a: 1, b: 0 };
+  let info = state.info || { examples: 0, positives: 0, brier: null, calibrated: false, trainedAt: null };
+
+  return {
+    name: "logistic",
+
+    predict(features) {
+      const p = sigmoid(dot(weights, features));
+      return sigmoid(calibration.a * logit(Math.min(1 - 1e-9, Math.max(1e-9, p))) + calibration.b);
+    },
+
+    train(examples) {
+      const positives = examples.filter(e => e.label === 1).length;
+      if (!examples.length || positives === 0) {
+        // nothing to learn from yet: stay on the prior
+        info = { examples: examples.length, positives, brier: null, calibrated: false, trainedAt: Date.now() };
+        return info;
+      }
+      const fit = [], holdout = [];
+      examples.forEach((e, i) => (isHoldout(e, i) ? holdout : fit).push(e));
+      const calibrate = holdout.length >= MIN_CALIBRATION_EXAMPLES && holdout.some(e => e.label === 1) && holdout.some(e => e.label === 0);
+
+      weights = fitWeights(calibrate ? fit : examples, PRIOR_WEIGHTS, PRIOR_WEIGHTS);
+      calibration = { a: 1, b: 0 };
+      let score = null;
+      if (calibrate) {
+        const raw = holdout.map(e => sigmoid(dot(weights, e.features)));
+        const labels = holdout.map(e => e.label);
+        calibration = fitPlatt(raw, labels);
+        score = brier(holdout.map(e => this.predict(e.features)), labels);
+      }
+      info = { examples: examples.length, positives, brier: score, calibrated: calibrate, trainedAt: Date.now() };
+      return info;
+    },
+
+    info() { return { ...info }; },
+    weights() { return FLOOD_FEATURES.reduce((o, f, i) => ({ ...o, [f]: weights[i] }), {}); },
+    toJSON() { return { type: "logistic", version: 1, features: FLOOD_FEATURES, weights, calibration, info }; }
+  };
+}
+
+const MODEL_TYPES = { logistic: createFloodModel };
+
+export function registerFloodModelType(type, factory) {
+  MODEL_TYPES[type] = factory;
+}
+
+// restores a model from toJSON() output; unknown or mismatched state falls back to an untrained model
+export function loadFloodModel(json) {
+  if (!json || !MODEL_TYPES[json.type]) return createFloodModel();
+  if (json.features && json.features.join() !== FLOOD_FEATURES.join()) return createFloodModel();
+  return MODEL_TYPES[json.type](json);
+}
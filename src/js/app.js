@@ -3,11 +3,28 @@
  - Uses MapLibre + OSRM (as before)
  - Attempts to fetch NOAH GeoJSON via proxy; falls back to previous direct attempt if proxy missing
  - Route scoring now includes AccuWeather precipitation/alerts sampled at route midpoints
- - Map click still records local flood reports; clicking a point will also show AccuWeather info (if available)
+ - Map click opens the Report Flood modal (severity + notes); reports are saved only on confirm and shown as editable markers
  - Developer-provided local screenshot path (for fallback UI) is included below:
    file:///mnt/data/d5f06fea-e14b-42ea-bbf4-41e4e35224db.png
 */
 
+import {
+  buildHazardIndex, routeHazardExposure, haversineMeters,
+  hazardObstaclesAlongRoute, detourViaPoints, distanceToLineMeters, splitLineByDistance, pointsAlongLine, snapToLine,
+  hazardRiskAtPoint, hazardScenarios, scenarioHazards
+} from "./hazards.js";
+import { createRoutingProvider, ROUTING_DEFAULTS } from "./routing.js";
+import { floodFeatures, buildTrainingExamples, loadFloodModel, cellKey, cellCenter } from "./ai.js";
+import { createGeocoder, parseLatLng } from "./geocoding.js";
+import { FORMATS, toGeoJSON, toCSV, toKML, toGPX, parseImport, validateImport } from "./formats.js";
+import {
+  DIRECTION_LANGUAGES, DEFAULT_DIRECTION_LANGUAGE, instructionText, spokenInstruction, formatDistance, formatDuration,
+  hazardWarningText, phrase, createVoiceGuide
+} from "./directions.js";
+import { WATCH_DEFAULTS, createWatchScheduler, watchAlerts, watchOver, inQuietHours } from "./watch.js";
+import { EVACUATION_DEFAULTS, normalizeCenters, centerCandidates } from "./evacuation.js";
+import { HEALTH_DEFAULTS, createSourceHealth, withRetry, isRetryable, httpError } from "./health.js";
+
 console.log("app.js (with AccuWeather + NOAH proxy support) loaded.");
 
 /* -------------------------
@@ -20,20 +37,487 @@ const NOAH_GEOJSON_PROXY = "api/noah"; // try relative first, fallback to absolu
 const ACCUWEATHER_PROXY = "api/accuweather"; // same for AccuWeather proxy
 const CARTO_STYLE = "https://basemaps.cartocdn.com/gl/voyager-gl-style/style.json";
 const MAPLIBRE_DEMO = "https://demotiles.maplibre.org/style.json";
-const OSRM_SERVER = "https://router.project-osrm.org"; // public demo server
+
+// NOAH hazard classes (the `risk` property of hazard polygons): map colors and the Flood Legend both come from here.
+// Depths follow NOAH's flood hazard map categories.
+const NOAH_HAZARD_LEVELS = [
+  { level: 1, name: "Low", color: "#fecc5c", description: "Up to 0.5 m (ankle to knee deep). Passable with care for most vehicles." },
+  { level: 2, name: "Medium", color: "#fd8d3c", description: "0.5–1.5 m (knee to chest deep). Unsafe on foot, by bike, motorcycle or in a low car." },
+  { level: 3, name: "High", color: "#f03b20", description: "Over 1.5 m (above head height). Avoid; evacuate when advised." }
+];
+
+// routing backend (see routing.js): defaults to the public OSRM demo, which is rate-limited — self-host for production.
+// Override before app.js loads with window.FLOODSAFE_CONFIG = { routing: { provider: "osrm", osrm: { baseUrl: "https://osrm.example.org" } } }
+// ("valhalla" and "stub" are also built in), or per page load with ?router=stub|osrm|valhalla.
+function resolveRoutingConfig() {
+  const fromWindow = (typeof window !== "undefined" && window.FLOODSAFE_CONFIG && window.FLOODSAFE_CONFIG.routing) || {};
+  const config = { ...ROUTING_DEFAULTS, ...fromWindow };
+  try {
+    const fromUrl = new URLSearchParams(window.location.search).get("router");
+    if (fromUrl) config.provider = fromUrl;
+  } catch (e) {}
+  return config;
+}
+
+// offline: hazard data older than this is flagged as stale; "Save this area" pre-fetches basemap tiles for the
+// visible bounds from the current zoom up to OFFLINE_MAX_ZOOM, at most OFFLINE_MAX_TILES tiles
+const NOAH_STALE_MS = 6 * 3600 * 1000;
+const OFFLINE_MAX_ZOOM = 16;
+const OFFLINE_MAX_TILES = 1500;
+// reports saved while offline are queued here and sent when the connection returns
+const REPORTS_SYNC_URL = "api/reports";
+
+// geocoding (see geocoding.js): override endpoints with window.FLOODSAFE_CONFIG = { geocoding: { nominatimUrl, photonUrl, email } }
+function resolveGeocodingConfig() {
+  return (typeof window !== "undefined" && window.FLOODSAFE_CONFIG && window.FLOODSAFE_CONFIG.geocoding) || {};
+}
+
+// weather sampling along a route: one sample every WEATHER_SAMPLE_SPACING_M, but never more than
+// WEATHER_MAX_SAMPLES per route (spacing stretches on long routes). Samples in the same ~1 km cell share one request.
+const WEATHER_SAMPLE_SPACING_M = 2000;
+const WEATHER_MAX_SAMPLES = 8; // keep <= the proxy's ACCUWEATHER_MAX_BATCH
+const WEATHER_CACHE_TTL_MS = 10 * 60 * 1000;
+
+/* -------------------------
+   Vehicle profiles
+   - osrmProfile: OSRM profile segment used in /route/v1/{profile}/ (motorcycles and trucks drive on car roads)
+   - valhallaCosting: Valhalla costing model when the Valhalla provider is active
+   - hazardFactors: multiplier on each NOAH class / report severity contribution; < 1 means the vehicle tolerates
+     that level, > 1 means it is especially vulnerable to it
+   - impassable: lowest NOAH class / report severity that strands this vehicle (null = none); routes touching
+     one are flagged regardless of the numeric threshold
+   ------------------------- */
+const VEHICLE_PROFILES = {
+  foot: {
+    label: "Walking", osrmProfile: "foot", valhallaCosting: "pedestrian",
+    hazardFactors: { noah: { 1: 0.75, 2: 1.5, 3: 2.5 }, reports: { low: 0.75, moderate: 1.5, severe: 2.5 } },
+    impassable: { noah: 3, report: "severe" }
+  },
+  bike: {
+    label: "Bicycle", osrmProfile: "bike", valhallaCosting: "bicycle",
+    hazardFactors: { noah: { 1: 1.0, 2: 1.75, 3: 2.5 }, reports: { low: 1.0, moderate: 1.75, severe: 2.5 } },
+    impassable: { noah: 2, report: "moderate" }
+  },
+  motorcycle: {
+    label: "Motorcycle", osrmProfile: "driving", valhallaCosting: "motorcycle",
+    hazardFactors: { noah: { 1: 1.0, 2: 1.75, 3: 2.5 }, reports: { low: 1.0, moderate: 1.75, severe: 2.5 } },
+    impassable: { noah: 2, report: "moderate" }
+  },
+  car: {
+    label: "Car", osrmProfile: "driving", valhallaCosting: "auto",
+    hazardFactors: { noah: { 1: 0.5, 2: 1.0, 3: 1.5 }, reports: { low: 0.5, moderate: 1.0, severe: 1.5 } },
+    impassable: { noah: 3, report: "severe" }
+  },
+  highClearance: {
+    label: "High-clearance (truck / SUV)", osrmProfile: "driving", valhallaCosting: "truck",
+    hazardFactors: { noah: { 1: 0.1, 2: 0.4, 3: 1.0 }, reports: { low: 0.1, moderate: 0.4, severe: 1.0 } },
+    impassable: null
+  }
+};
+const DEFAULT_VEHICLE_PROFILE = "car";
+
+function getVehicleProfile(id) {
+  return VEHICLE_PROFILES[id] || VEHICLE_PROFILES[DEFAULT_VEHICLE_PROFILE];
+}
+
+function noahFactor(profile, riskClass) {
+  const f = profile && profile.hazardFactors.noah;
+  return f ? (f[Math.round(riskClass)] ?? 1) : 1;
+}
+
+function reportFactor(profile, severity) {
+  const f = profile && profile.hazardFactors.reports;
+  return f ? (f[severity] ?? 1) : 1;
+}
+
+/* -------------------------
+   Risk settings (Settings page)
+   - every tunable of the route score in one object: term weights, the normalization applied to each input,
+     report decay, and the route form defaults. Saved in localStorage (SETTINGS_KEY) and read through
+     RiskSettings.get(), which is cached because scoring calls it for every segment
+   - presets: the built-in ones below plus any saved under a name (PRESETS_KEY)
+   ------------------------- */
+const SETTINGS_KEY = "floodsafe_settings";
+const PRESETS_KEY = "floodsafe_settings_presets";
+
+const RISK_SETTINGS_DEFAULTS = {
+  // risk = learned × weights.learned + NOAH km × weights.noah + rain mm × weights.rain + alert × weights.alert
+  weights: { learned: 1.0, noah: 2.0, rain: 0.2, alert: 2.0 },
+  learnedScale: 3,             // a certain flood (model probability 1) counts like this many report units
+  rainClampMM: 10,             // rain above this (mm in the hour) counts as this much
+  alertScore: 5,               // alert points for a severe-weather phrase, a thunderstorm chance or an official alert
+  alertPattern: "thunderstorm|tornado|flood|severe", // matched (case-insensitive) against the weather text
+  thunderstormProbability: 50, // forecast thunderstorm chance (%) that counts as an alert
+  reportHalfLifeH: 6,          // a report this old counts half
+  reportRadiusM: 75,           // reports within this distance of a route segment count toward it
+  threshold: 2,                // route form default
+  riskSource: "combined"       // route form default (see RISK_SOURCES)
+};
+
+const BUILTIN_PRESETS = {
+  "Default": RISK_SETTINGS_DEFAULTS,
+  "Cautious": { ...RISK_SETTINGS_DEFAULTS, weights: { learned: 1.5, noah: 3.0, rain: 0.3, alert: 3.0 }, reportHalfLifeH: 12, threshold: 1 },
+  "NOAH maps first": { ...RISK_SETTINGS_DEFAULTS, weights: { learned: 0.5, noah: 3.0, rain: 0.1, alert: 1.0 } }
+};
+
+// label, min, max for each numeric setting (also used to build error messages)
+const SETTING_LIMITS = {
+  "weights.learned": ["Flood model weight", 0, 100],
+  "weights.noah": ["NOAH weight", 0, 100],
+  "weights.rain": ["Rain weight", 0, 100],
+  "weights.alert": ["Alert weight", 0, 100],
+  learnedScale: ["Flood model scale", 0, 100],
+  rainClampMM: ["Rain cap", 0.1, 500],
+  alertScore: ["Alert points", 0, 100],
+  thunderstormProbability: ["Thunderstorm chance", 0, 100],
+  reportHalfLifeH: ["Report half-life", 0.1, 24 * 7],
+  reportRadiusM: ["Report radius", 1, 2000],
+  threshold: ["Risk threshold", 0, 1000]
+};
+
+function settingAt(obj, path) {
+  return path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// full, checked settings from a (possibly partial) object; throws with every problem listed
+function validateRiskSettings(input = {}) {
+  const merged = { ...RISK_SETTINGS_DEFAULTS, ...input, weights: { ...RISK_SETTINGS_DEFAULTS.weights, ...(input.weights || {}) } };
+  const problems = [];
+  Object.entries(SETTING_LIMITS).forEach(([path, [label, min, max]]) => {
+    const v = Number(settingAt(merged, path));
+    if (!Number.isFinite(v) || v < min || v > max) problems.push(`${label} must be between ${min} and ${max}`);
+    else if (path.startsWith("weights.")) merged.weights[path.slice(8)] = v;
+    else merged[path] = v;
+  });
+  try { new RegExp(merged.alertPattern, "i"); } catch (e) { problems.push(`Alert words are not a valid pattern (${e.message})`); }
+  if (!RISK_SOURCES[merged.riskSource]) problems.push("Unknown flood risk source");
+  if (problems.length) throw new Error(problems.join("; "));
+  return merged;
+}
+
+const RiskSettings = {
+  _current: null,
+  _alertRe: null,
+  get() {
+    if (!this._current) {
+      let saved = {};
+      try { saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}"); } catch(e){}
+      try { this._current = validateRiskSettings(saved); }
+      catch (e) {
+        console.warn("Stored settings invalid, using defaults:", e.message);
+        this._current = validateRiskSettings();
+      }
+    }
+    return this._current;
+  },
+  save(settings) {
+    const clean = validateRiskSettings(settings);
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(clean));
+    this._current = clean;
+    this._alertRe = null;
+    return clean;
+  },
+  reset() {
+    localStorage.removeItem(SETTINGS_KEY);
+    this._current = null;
+    this._alertRe = null;
+    return this.get();
+  },
+  alertRegex() {
+    if (!this._alertRe) this._alertRe = new RegExp(this.get().alertPattern, "i");
+    return this._alertRe;
+  },
+
+  userPresets() {
+    try { return JSON.parse(localStorage.getItem(PRESETS_KEY) || "{}"); } catch(e){ return {}; }
+  },
+  presets() { return { ...BUILTIN_PRESETS, ...this.userPresets() }; },
+  savePreset(name, settings) {
+    const key = String(name || "").trim();
+    if (!key) throw new Error("Give the preset a name");
+    if (BUILTIN_PRESETS[key]) throw new Error(`"${key}" is a built-in preset; choose another name`);
+    const presets = this.userPresets();
+    presets[key] = validateRiskSettings(settings);
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  },
+  deletePreset(name) {
+    const presets = this.userPresets();
+    delete presets[name];
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  }
+};
 
 // local developer screenshot path (from uploaded files)
 const FOLDER_SCREENSHOT_LOCAL = ""; // removed local file:// usage for deployment safety
 
 /* -------------------------
-   FloodLearner (same shim)
+   Flood report store (localStorage)
+   - each report is a full record: { id, lat, lng, severity, notes, createdAt, updatedAt }
+   - severity is "low" | "moderate" | "severe" (wireframe Report Flood modal)
+   - reports decay with age: weight = severityWeight * 0.5^(age / half-life), half-life from RiskSettings
+   ------------------------- */
+const REPORTS_KEY = "flood_reports";
+const LEGACY_GRID_KEY = "flood_grid"; // old lat|lng -> count map, migrated on first read
+const SEVERITY_WEIGHTS = { low: 1, moderate: 2, severe: 3 };
+const REPORT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // older reports contribute nothing
+
+function newReportId() {
+  return `r-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function normalizeSeverity(s) {
+  const v = String(s || "").toLowerCase();
+  return SEVERITY_WEIGHTS[v] ? v : "moderate";
+}
+
+const FloodReports = {
+  all() {
+    this._migrateLegacy();
+    try { return JSON.parse(localStorage.getItem(REPORTS_KEY) || "[]"); } catch(e){ return []; }
+  },
+  _save(list) { localStorage.setItem(REPORTS_KEY, JSON.stringify(list)); },
+  get(id) { return this.all().find(r => r.id === id) || null; },
+  // origin: file name for imported reports (they stay on this device and are not sent to the reports service)
+  add({ lat, lng, severity, notes = "", createdAt = Date.now(), origin = null }) {
+    if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) throw new Error("Report needs a valid lat/lng");
+    const report = {
+      id: newReportId(),
+      lat: Number(lat),
+      lng: Number(lng),
+      severity: normalizeSeverity(severity),
+      notes: String(notes || ""),
+      createdAt,
+      updatedAt: createdAt
+    };
+    if (origin) report.origin = String(origin);
+    const list = this.all();
+    list.push(report);
+    this._save(list);
+    return report;
+  },
+  update(id, patch) {
+    const list = this.all();
+    const r = list.find(x => x.id === id);
+    if (!r) return null;
+    if (patch.lat !== undefined) r.lat = Number(patch.lat);
+    if (patch.lng !== undefined) r.lng = Number(patch.lng);
+    if (patch.severity !== undefined) r.severity = normalizeSeverity(patch.severity);
+    if (patch.notes !== undefined) r.notes = String(patch.notes);
+    r.updatedAt = Date.now();
+    this._save(list);
+    return r;
+  },
+  remove(id) {
+    const list = this.all();
+    const next = list.filter(r => r.id !== id);
+    this._save(next);
+    return next.length !== list.length;
+  },
+  clear() { localStorage.removeItem(REPORTS_KEY); localStorage.removeItem(LEGACY_GRID_KEY); },
+
+  // severity- and time-weighted contribution of a single report (0 once past REPORT_MAX_AGE_MS);
+  // shared incidents (see SharedReports) also carry a corroboration factor
+  weight(report, now = Date.now()) {
+    const age = Math.max(0, now - (report.createdAt || 0));
+    if (age > REPORT_MAX_AGE_MS) return 0;
+    const halfLifeMs = RiskSettings.get().reportHalfLifeH * 3600 * 1000;
+    return (SEVERITY_WEIGHTS[report.severity] || SEVERITY_WEIGHTS.moderate) * Math.pow(0.5, age / halfLifeMs) * (report.corroboration || 1);
+  },
+
+  // one-time conversion of the old count map: each count becomes a "moderate" report. The counter kept no dates,
+  // so they are stamped just past REPORT_MAX_AGE_MS: still on the map, but they add nothing to route scores
+  _migrateLegacy() {
+    const raw = localStorage.getItem(LEGACY_GRID_KEY);
+    if (!raw) return;
+    let grid = {};
+    try { grid = JSON.parse(raw) || {}; } catch(e){}
+    let list = [];
+    try { list = JSON.parse(localStorage.getItem(REPORTS_KEY) || "[]"); } catch(e){}
+    const stamp = Date.now() - REPORT_MAX_AGE_MS - 1;
+    Object.entries(grid).forEach(([k, count]) => {
+      const [lat, lng] = k.split("|").map(Number);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+      const n = Number(count) || 0;
+      for (let i = 0; i < n; i++) {
+        list.push({ id: newReportId(), lat, lng, severity: "moderate", notes: "Migrated from legacy flood counter", createdAt: stamp, updatedAt: stamp });
+      }
+    });
+    this._save(list);
+    localStorage.removeItem(LEGACY_GRID_KEY);
+  }
+};
+
+/* -------------------------
+   SharedReports — incidents from the shared reports service (api/reports)
+   - the last fetched incidents are kept in localStorage, so they also work offline
+   - an incident merges nearby reports from many devices; other devices can confirm it or vote it receded
+   ------------------------- */
+const SHARED_REPORTS_KEY = "flood_incidents";
+const DEVICE_ID_KEY = "floodsafe_device_id";
+const SHARED_REFRESH_MS = 2 * 60 * 1000;
+// each extra report or confirmation adds 25% to an incident's weight, up to 2x
+const CORROBORATION_STEP = 0.25;
+const CORROBORATION_MAX = 2;
+
+function deviceId() {
+  let id = localStorage.getItem(DEVICE_ID_KEY);
+  if (!id) {
+    id = `d-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem(DEVICE_ID_KEY, id);
+  }
+  return id;
+}
+
+// true when every report of the incident came from this device and is still stored locally
+// (the service's reportIds only lists the asking device's reports, so the count has to match too)
+function reportsOnlyMine(incident, mineIds) {
+  const ids = incident.reportIds || [];
+  return ids.length >= (incident.reportCount || 1) && ids.every(id => mineIds.has(id));
+}
+
+// each extra report or confirmation on an incident adds CORROBORATION_STEP, up to CORROBORATION_MAX
+function incidentCorroboration(incident) {
+  return Math.min(CORROBORATION_MAX, 1 + CORROBORATION_STEP * (((incident.reportCount || 1) - 1) + (incident.confirmations || 0)));
+}
+
+const SharedReports = {
+  // { incidents: [...], fetchedAt, bbox }
+  cached() {
+    try { return JSON.parse(localStorage.getItem(SHARED_REPORTS_KEY) || "null") || { incidents: [], fetchedAt: 0, bbox: null }; }
+    catch(e){ return { incidents: [], fetchedAt: 0, bbox: null }; }
+  },
+  incidents() { return this.cached().incidents; },
+  _save(state) { localStorage.setItem(SHARED_REPORTS_KEY, JSON.stringify(state)); },
+
+  // GET api/reports for bbox [w, s, e, n]; keeps the cached list when the service is unreachable
+  async sync(bbox) {
+    // deviceId: the service only lists this device's own report ids (see reportsOnlyMine); receded incidents are
+    // kept so learnerReports knows which local reports they swallowed
+    const url = `${REPORTS_SYNC_URL}?bbox=${bbox.map(v => v.toFixed(4)).join(",")}&includeReceded=1&deviceId=${encodeURIComponent(deviceId())}`;
+    const r = await fetch(url, { headers: { "Accept": "application/json" } });
+    if (!r.ok) throw new Error(`Reports service ${r.status}`);
+    const body = await r.json();
+    const state = { incidents: body.incidents || [], fetchedAt: Date.now(), bbox };
+    this._save(state);
+    ReportHistory.remember(state.incidents);
+    return state.incidents;
+  },
+
+  async vote(incidentId, vote) {
+    const r = await fetch(`${REPORTS_SYNC_URL}/${encodeURIComponent(incidentId)}/vote`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ vote, deviceId: deviceId() })
+    });
+    if (!r.ok) throw new Error(`Vote failed (${r.status})`);
+    const { incident } = await r.json();
+    const state = this.cached();
+    state.incidents = state.incidents.map(i => i.id === incident.id ? incident : i);
+    this._save(state);
+    ReportHistory.remember([incident]);
+    return incident;
+  },
+
+  // incidents as report-like records for the learner: last activity stands in for createdAt
+  asReports() {
+    return this.incidents()
+      .filter(i => i.status !== "receded")
+      .map(i => ({
+        id: i.id,
+        lat: i.lat,
+        lng: i.lng,
+        severity: i.severity,
+        createdAt: i.lastActivityAt,
+        corroboration: incidentCorroboration(i),
+        reportCount: i.reportCount || 1,
+        shared: true
+      }));
+  },
+
+  clear() { localStorage.removeItem(SHARED_REPORTS_KEY); }
+};
+
+// everything the learner counts: active shared incidents plus local reports the service hasn't merged into one yet
+// (unsent, or the service is unavailable) so a report is never counted twice. A receded incident drops out as a
+// whole: asReports skips it and its local reports stay in `merged`, so they don't come back one by one.
+function learnerReports() {
+  const incidents = SharedReports.incidents();
+  const merged = new Set(incidents.flatMap(i => i.reportIds || []));
+  return FloodReports.all().filter(r => !merged.has(r.id)).concat(SharedReports.asReports());
+}
+
+/* -------------------------
+   FloodLearner — learned flood likelihood (model interface from ai.js)
+   - probability(lat,lng): the model's probability that the ~220 m cell floods within 3 h, from nearby reports
+     (local + shared), rain at that time and the cell's NOAH class
+   - score(lat,lng): that probability in report units (× RiskSettings learnedScale; the default 3 makes a certain
+     flood count like one fresh severe report), scaled by the vehicle profile's factor for the strongest nearby
+     report (moderate if none), so the route weights keep their meaning
+   - the model lives in localStorage (MODEL_KEY), is retrained from report + rain history at most every
+     MODEL_RETRAIN_MS, and can be replaced with setModel() by anything implementing the ai.js interface
    ------------------------- */
+const MODEL_KEY = "flood_model";
+const MODEL_RETRAIN_MS = 6 * 60 * 60 * 1000;
+
 const FloodLearner = {
-  _key(lat, lng, p = 3) { return `${Number(lat).toFixed(p)}|${Number(lng).toFixed(p)}`; },
-  all() { try { return JSON.parse(localStorage.getItem("flood_grid") || "{}"); } catch(e){ return {}; } },
-  increment(lat, lng) { const k = this._key(lat,lng); const g = this.all(); g[k] = (g[k]||0)+1; localStorage.setItem("flood_grid", JSON.stringify(g)); return g[k]; },
-  score(lat, lng) { const g = this.all(); return g[this._key(lat,lng)]||0; },
-  clear() { localStorage.removeItem("flood_grid"); }
+  model: null,
+  getModel() {
+    if (!this.model) {
+      let saved = null;
+      try { saved = JSON.parse(localStorage.getItem(MODEL_KEY) || "null"); } catch(e){}
+      this.model = loadFloodModel(saved);
+    }
+    return this.model;
+  },
+  setModel(model) { this.model = model; this._persist(); },
+  _persist() {
+    try { localStorage.setItem(MODEL_KEY, JSON.stringify(this.model.toJSON())); }
+    catch (e) { console.warn("Could not save flood model:", e); }
+  },
+
+  // noahClass defaults to the loaded NOAH polygons at that point
+  probability(lat, lng, now = Date.now(), reports = learnerReports(), rainMM = 0, noahClass = null) {
+    const cls = noahClass ?? (noahHazardIndex ? hazardRiskAtPoint(noahHazardIndex, lng, lat) : 0);
+    const features = floodFeatures({ lat, lng, at: now, reports, reportWeight: (r, at) => FloodReports.weight(r, at), rainMM, noahClass: cls });
+    return this.getModel().predict(features);
+  },
+
+  // pass `reports` when scoring many points so storage is parsed once
+  score(lat, lng, now = Date.now(), reports = learnerReports(), profile = null, rainMM = 0, noahClass = null) {
+    const { reportRadiusM, learnedScale } = RiskSettings.get();
+    let strongest = null;
+    reports.forEach(r => {
+      if (FloodReports.weight(r, now) <= 0 || haversineMeters(lat, lng, r.lat, r.lng) > reportRadiusM) return;
+      if (!strongest || SEVERITY_WEIGHTS[r.severity] > SEVERITY_WEIGHTS[strongest]) strongest = r.severity;
+    });
+    return this.probability(lat, lng, now, reports, rainMM, noahClass) * learnedScale * reportFactor(profile, strongest || "moderate");
+  },
+
+  // retrain on everything stored: reports (local + shared) and the rain observations gathered while routing
+  train(now = Date.now()) {
+    const examples = buildTrainingExamples({
+      reports: learnerReports(),
+      rainObs: RainHistory.all(),
+      noahClassAt: (lat, lng) => noahHazardIndex ? hazardRiskAtPoint(noahHazardIndex, lng, lat) : 0,
+      reportWeight: (r, at) => FloodReports.weight(r, at),
+      now
+    });
+    const info = this.getModel().train(examples);
+    this._persist();
+    return info;
+  },
+  maybeTrain(now = Date.now()) {
+    const info = this.getModel().info ? this.getModel().info() : {};
+    if (!info.trainedAt || now - info.trainedAt > MODEL_RETRAIN_MS) return this.train(now);
+    return null;
+  },
+
+  // forgets reports and whatever the model learned from them
+  clear() {
+    FloodReports.clear();
+    localStorage.removeItem(MODEL_KEY);
+    this.model = null;
+  }
 };
 
 /* -------------------------
@@ -45,6 +529,10 @@ function setStatus(msg) {
   console.log("[STATUS]", msg);
 }
 
+function escapeHtml(str) {
+  return String(str ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
 function safeFetchJSON(url, opts = {}) {
   return fetch(url, opts).then(r => {
     if (!r.ok) throw new Error(`HTTP ${r.status} ${r.statusText}`);
@@ -58,6 +546,16 @@ function safeFetchJSON(url, opts = {}) {
 let map;
 let routeSources = [];
 
+// last loaded NOAH hazard GeoJSON + the spatial index of its selected scenario, imported hazard areas included
+// (mergedHazardData; used for scoring and evacuation, independent of the map viewport)
+let noahHazardData = null;
+let noahHazardIndex = null;
+// return periods (years) found in noahHazardData ([] for a single hazard map) and the one in use
+let noahScenarios = [];
+let noahScenario = null;
+// { via: "proxy"|"direct", fetchedAt (ms, null if unknown), offline (served from the service worker cache) }
+let noahHazardFreshness = null;
+
 // add state for user location marker
 let userLocationMarker = null;
 
@@ -66,9 +564,13 @@ async function testNoahTileAvailability() {
   try {
     // HEAD may be blocked on some servers, fallback to GET with no-cache
     const r = await fetch(testURL, { method: "GET", cache: "no-store" });
-    return r.ok && r.headers.get("content-type") && r.headers.get("content-type").startsWith("image");
+    if (!r.ok) throw httpError("NOAH tiles", r);
+    if (!(r.headers.get("content-type") || "").startsWith("image")) throw new Error("NOAH tiles: response is not an image");
+    SourceHealth.success("noahTiles");
+    return true;
   } catch (e) {
     console.warn("NOAH tiles test failed:", e);
+    SourceHealth.failure("noahTiles", e);
     return false;
   }
 }
@@ -97,6 +599,7 @@ async function initMap() {
   } else {
     chosenStyle = CARTO_STYLE; // prefer Carto Voyager as fallback
     console.log("NOAH tiles not available; using Carto Voyager style.");
+    scheduleTileProbe();
   }
 
   map = new maplibregl.Map({
@@ -108,88 +611,361 @@ async function initMap() {
 
   map.addControl(new maplibregl.NavigationControl());
 
-  // click to record flood and show AccuWeather popup if available
-  map.on("click", async (ev) => {
-    const lat = ev.lngLat.lat;
-    const lng = ev.lngLat.lng;
-    const count = FloodLearner.increment(lat, lng);
-    setStatus(`Flood report recorded (count=${count})`);
-
-    // add a simple marker
-    const el = document.createElement("div");
-    el.className = "flood-marker";
-    const marker = new maplibregl.Marker(el).setLngLat([lng, lat]).addTo(map);
-
-    // try fetch AccuWeather info for this point (via proxy)
-    const accu = await fetchAccuWeatherProxy(lat, lng);
-    if (accu && accu.current) {
-      const cur = accu.current;
-      const html = `<strong>Weather</strong><br/>
-                    ${cur.WeatherText || "N/A"}<br/>
-                    Precip (past hour): ${cur.PrecipitationSummary?.PastHour?.Metric?.Value ?? "N/A"} ${cur.PrecipitationSummary?.PastHour?.Metric?.Unit ?? ""}`;
-      new maplibregl.Popup({ offset: 12 }).setLngLat([lng, lat]).setHTML(html).addTo(map);
-    }
+  // click opens the Report Flood modal prefilled with the clicked point (nothing is saved until "Save")
+  map.on("click", (ev) => {
+    // clicks on a report marker toggle its popup (MapLibre routes them through the map click too)
+    if (ev.originalEvent?.target?.closest?.(".flood-marker")) return;
+    const center = evacuationCenterAt(ev.point);
+    if (center) { showEvacuationCenterPopup(center); return; }
+    openReportModal({ lat: ev.lngLat.lat, lng: ev.lngLat.lng });
   });
 
+  // markers for reports saved in earlier sessions, then shared incidents (cached first, refreshed from the service)
+  restoreReportMarkers();
+  renderIncidentMarkers();
+  map.on("moveend", () => syncSharedReports());
+  map.once("load", () => { renderFloodHistory(); syncSharedReports(true); loadEvacuationCenters(); });
+  setInterval(() => syncSharedReports(true), SHARED_REFRESH_MS);
+
   // attempt to load NOAH hazard polygons via proxy (preferred) or direct if proxy missing
   await attemptLoadNoahGeoJSON();
+  // imported hazard areas still apply when NOAH itself is unavailable
+  if (!noahHazardData && ImportedHazards.all().length) refreshHazardLayer();
+
+  // the flood model uses NOAH classes as a feature, so (re)train once they are in
+  trainFloodModel(false);
 
   setStatus("Map ready.");
+
+  // shared route link: plan it once hazards and the model are in, so it is scored like the sender's
+  const shared = readSharedRoute(location.search);
+  if (shared) {
+    if (map.isStyleLoaded()) openSharedRoute(shared);
+    else map.once("load", () => openSharedRoute(shared));
+  }
 }
 
 /* -------------------------
-   NOAH GeoJSON loading helper (prefers /api/noah)
+   Report Flood modal & report markers
+   - map click / "Report Flood" / GPS prefill the modal; only "Save" writes to FloodReports
+   - each saved report gets a marker whose popup offers Edit / Delete
    ------------------------- */
-async function attemptLoadNoahGeoJSON() {
-  setStatus("Loading NOAH hazard polygons...");
-  // Try proxy first
+const reportMarkers = new Map(); // report id -> maplibregl.Marker
+let editingReportId = null;
+
+function reportPopupHtml(report) {
+  const sev = report.severity.charAt(0).toUpperCase() + report.severity.slice(1);
+  const when = new Date(report.createdAt).toLocaleString();
+  const edited = report.updatedAt && report.updatedAt !== report.createdAt ? ` · edited ${new Date(report.updatedAt).toLocaleString()}` : "";
+  const origin = report.origin ? ` · imported from ${report.origin}` : "";
+  return `<div class="report-popup">
+            <strong>${escapeHtml(sev)} flooding</strong>
+            <div class="meta">${escapeHtml(when)}${escapeHtml(edited)}${escapeHtml(origin)}</div>
+            ${report.notes ? `<div class="notes">${escapeHtml(report.notes)}</div>` : ""}
+            <div class="popup-actions">
+              <button type="button" class="secondary" data-action="edit">Edit</button>
+              <button type="button" class="secondary" data-action="delete">Delete</button>
+            </div>
+          </div>`;
+}
+
+function renderReportMarker(report) {
+  if (!map) return;
+  removeReportMarker(report.id);
+  const el = document.createElement("div");
+  el.className = `flood-marker sev-${report.severity}`;
+  el.title = `${report.severity} flood report`;
+  if (!LayerSettings.get().reports) el.style.display = "none";
+
+  const popup = new maplibregl.Popup({ offset: 12 }).setHTML(reportPopupHtml(report));
+  popup.on("open", () => {
+    const root = popup.getElement();
+    if (!root) return;
+    root.querySelector('[data-action="edit"]')?.addEventListener("click", () => {
+      popup.remove();
+      const current = FloodReports.get(report.id);
+      if (current) openReportModal(current);
+    });
+    root.querySelector('[data-action="delete"]')?.addEventListener("click", () => {
+      if (!confirm("Delete this flood report?")) return;
+      popup.remove();
+      FloodReports.remove(report.id);
+      queueReportSync("delete", report);
+      removeReportMarker(report.id);
+      setStatus("Flood report deleted.");
+    });
+  });
+
+  const marker = new maplibregl.Marker(el).setLngLat([report.lng, report.lat]).setPopup(popup).addTo(map);
+  reportMarkers.set(report.id, marker);
+}
+
+function removeReportMarker(id) {
+  const m = reportMarkers.get(id);
+  if (m) { try { m.remove(); } catch(e){} reportMarkers.delete(id); }
+}
+
+function clearReportMarkers() {
+  Array.from(reportMarkers.keys()).forEach(removeReportMarker);
+}
+
+function restoreReportMarkers() {
+  clearReportMarkers();
+  FloodReports.all().forEach(renderReportMarker);
+}
+
+// shared incidents: separate markers (hollow ring) with confirm / receded voting
+const incidentMarkers = new Map(); // incident id -> maplibregl.Marker
+
+function incidentPopupHtml(incident) {
+  const sev = incident.severity.charAt(0).toUpperCase() + incident.severity.slice(1);
+  const reports = incident.reportCount === 1 ? "1 report" : `${incident.reportCount} reports`;
+  const votes = `${incident.confirmations} still flooded · ${incident.recededVotes} receded`;
+  return `<div class="report-popup">
+            <strong>${escapeHtml(sev)} flooding</strong> <span class="meta">(shared)</span>
+            <div class="meta">${escapeHtml(reports)} · last update ${escapeHtml(new Date(incident.lastActivityAt).toLocaleString())}</div>
+            <div class="meta">${escapeHtml(votes)}</div>
+            ${incident.notes ? `<div class="notes">${escapeHtml(incident.notes)}</div>` : ""}
+            <div class="popup-actions">
+              <button type="button" class="secondary" data-action="confirm">Still flooded</button>
+              <button type="button" class="secondary" data-action="receded">Receded</button>
+            </div>
+          </div>`;
+}
+
+function renderIncidentMarkers() {
+  if (!map) return;
+  incidentMarkers.forEach(m => { try { m.remove(); } catch(e){} });
+  incidentMarkers.clear();
+  const mine = new Set(FloodReports.all().map(r => r.id));
+  const visible = LayerSettings.get().shared;
+  SharedReports.incidents().forEach(incident => {
+    // incidents made only of this device's reports are already on the map as editable markers
+    if (reportsOnlyMine(incident, mine)) return;
+    const el = document.createElement("div");
+    el.className = `flood-marker shared sev-${incident.severity}${incident.status === "receded" ? " receded" : ""}`;
+    el.title = `${incident.severity} flooding (${incident.reportCount} shared report(s))`;
+    if (!visible) el.style.display = "none";
+    const popup = new maplibregl.Popup({ offset: 12 }).setHTML(incidentPopupHtml(incident));
+    popup.on("open", () => {
+      popup.getElement()?.querySelectorAll("[data-action]").forEach(btn => btn.addEventListener("click", async () => {
+        try {
+          const updated = await SharedReports.vote(incident.id, btn.dataset.action);
+          popup.remove();
+          renderIncidentMarkers();
+          setStatus(updated.status === "receded" ? "Thanks — incident marked as receded." : "Thanks — vote recorded.");
+          checkHazardsAhead();
+        } catch (e) {
+          console.warn("Vote failed:", e);
+          setStatus("Could not send your vote (offline or reports service unavailable).");
+        }
+      }));
+    });
+    incidentMarkers.set(incident.id, new maplibregl.Marker(el).setLngLat([incident.lng, incident.lat]).setPopup(popup).addTo(map));
+  });
+}
+
+// fetches incidents for the visible map (padded by half a view) unless the cache already covers it and is fresh
+async function syncSharedReports(force = false) {
+  if (!map || !navigator.onLine) return;
+  const b = map.getBounds();
+  const padLng = (b.getEast() - b.getWest()) / 2, padLat = (b.getNorth() - b.getSouth()) / 2;
+  const cached = SharedReports.cached();
+  const covered = cached.bbox && b.getWest() >= cached.bbox[0] && b.getSouth() >= cached.bbox[1] && b.getEast() <= cached.bbox[2] && b.getNorth() <= cached.bbox[3];
+  if (!force && covered && Date.now() - cached.fetchedAt < SHARED_REFRESH_MS) return;
   try {
-    const gj = await fetchNoahGeojsonProxy();
-    if (gj) {
-      addNoahHazardLayer(gj);
-      setStatus("NOAH hazard polygons loaded (via proxy).");
-      return;
-    }
+    await SharedReports.sync([b.getWest() - padLng, b.getSouth() - padLat, b.getEast() + padLng, b.getNorth() + padLat]);
+    renderIncidentMarkers();
+    renderFloodHistory();
+    checkHazardsAhead();
   } catch (e) {
-    console.warn("NOAH proxy failed:", e);
+    console.warn("Shared reports sync failed:", e);
   }
+}
 
-  // Fallback: attempt direct fetch (may be blocked by CORS)
-  try {
-    const gjDirect = await safeFetchJSON(NOAH_GEOJSON_DIRECT);
-    addNoahHazardLayer(gjDirect);
-    setStatus("NOAH hazard polygons loaded (direct).");
+// opens the modal; pass a stored report to edit it, or { lat, lng } (or nothing) for a new one
+function openReportModal(prefill = {}) {
+  const modal = document.getElementById("report-modal");
+  if (!modal) return;
+  editingReportId = prefill.id || null;
+  document.getElementById("report-modal-title").textContent = editingReportId ? "Edit Flood Report" : "Report Flood";
+  document.getElementById("report-lat").value = Number.isFinite(prefill.lat) ? prefill.lat.toFixed(6) : "";
+  document.getElementById("report-lng").value = Number.isFinite(prefill.lng) ? prefill.lng.toFixed(6) : "";
+  document.getElementById("report-severity").value = prefill.severity || "moderate";
+  document.getElementById("report-notes").value = prefill.notes || "";
+  document.getElementById("report-error").textContent = "";
+  document.getElementById("report-weather").textContent = "";
+  modal.hidden = false;
+  document.getElementById("report-severity").focus();
+  if (Number.isFinite(prefill.lat) && Number.isFinite(prefill.lng)) showReportModalWeather(prefill.lat, prefill.lng);
+}
+
+function closeReportModal() {
+  const modal = document.getElementById("report-modal");
+  if (modal) modal.hidden = true;
+  editingReportId = null;
+}
+
+// current conditions at the reported spot, so the reporter can sanity-check (best effort)
+async function showReportModalWeather(lat, lng) {
+  const el = document.getElementById("report-weather");
+  if (!el) return;
+  el.textContent = "Checking weather here...";
+  const accu = await fetchAccuWeatherProxy(lat, lng);
+  if (!accu || !accu.current) { el.textContent = ""; return; }
+  const cur = accu.current;
+  const precip = cur.PrecipitationSummary?.PastHour?.Metric?.Value ?? "N/A";
+  const unit = cur.PrecipitationSummary?.PastHour?.Metric?.Unit ?? "";
+  el.textContent = `Weather here: ${cur.WeatherText || "N/A"} — Precip (1h): ${precip} ${unit}`;
+}
+
+function fillReportModalFromGPS() {
+  const errEl = document.getElementById("report-error");
+  if (!navigator.geolocation) { errEl.textContent = "Geolocation is not supported by this browser."; return; }
+  errEl.textContent = "Locating...";
+  navigator.geolocation.getCurrentPosition((pos) => {
+    errEl.textContent = "";
+    document.getElementById("report-lat").value = pos.coords.latitude.toFixed(6);
+    document.getElementById("report-lng").value = pos.coords.longitude.toFixed(6);
+    showReportModalWeather(pos.coords.latitude, pos.coords.longitude);
+  }, (err) => {
+    errEl.textContent = `Could not get your position: ${err.message}`;
+  }, { enableHighAccuracy: true, timeout: 10000 });
+}
+
+function saveReportFromModal() {
+  const errEl = document.getElementById("report-error");
+  const lat = parseFloat(document.getElementById("report-lat").value);
+  const lng = parseFloat(document.getElementById("report-lng").value);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    errEl.textContent = "Enter a valid latitude (-90..90) and longitude (-180..180).";
     return;
+  }
+  const fields = {
+    lat,
+    lng,
+    severity: document.getElementById("report-severity").value,
+    notes: document.getElementById("report-notes").value.trim()
+  };
+  const report = editingReportId ? FloodReports.update(editingReportId, fields) : FloodReports.add(fields);
+  if (!report) { errEl.textContent = "This report no longer exists."; return; }
+  queueReportSync(editingReportId ? "update" : "create", report);
+  renderReportMarker(report);
+  renderFloodHistory();
+  setStatus(editingReportId ? "Flood report updated." : `Flood report saved (${report.severity}).`);
+  closeReportModal();
+  checkHazardsAhead();
+}
+
+function wireReportModal() {
+  const form = document.getElementById("report-form");
+  if (!form) return;
+  form.addEventListener("submit", (ev) => { ev.preventDefault(); saveReportFromModal(); });
+  document.getElementById("report-cancel")?.addEventListener("click", closeReportModal);
+  document.getElementById("report-gps")?.addEventListener("click", fillReportModalFromGPS);
+  // clicking the backdrop or pressing Escape cancels
+  document.getElementById("report-modal")?.addEventListener("click", (ev) => { if (ev.target.id === "report-modal") closeReportModal(); });
+  document.addEventListener("keydown", (ev) => {
+    if (ev.key === "Escape" && !document.getElementById("report-modal")?.hidden) closeReportModal();
+  });
+
+  const cta = document.getElementById("report-flood-btn");
+  if (cta) cta.addEventListener("click", () => {
+    // default to the map center; the GPS button in the modal can refine it
+    const c = map ? map.getCenter() : null;
+    openReportModal(c ? { lat: c.lat, lng: c.lng } : {});
+  });
+}
+
+/* -------------------------
+   NOAH GeoJSON loading helper (prefers /api/noah)
+   ------------------------- */
+// quiet: periodic refresh, which leaves #status to whatever the user is doing. Returns true when hazards were loaded
+// (a saved copy counts, but SourceHealth records it as a failure so the next attempt backs off).
+async function attemptLoadNoahGeoJSON({ quiet = false } = {}) {
+  if (!quiet) setStatus("Loading NOAH hazard polygons...");
+  try {
+    return loadedNoahGeoJSON(await loadNoahGeoJSON(), quiet);
   } catch (e) {
     console.warn("Direct NOAH GeoJSON fetch failed:", e);
-    setStatus("NOAH hazard polygons unavailable.");
+    SourceHealth.failure("noahGeojson", e);
+    if (!quiet) setStatus(noahHazardData ? "NOAH hazard polygons could not be refreshed; keeping the ones loaded earlier." : "NOAH hazard polygons unavailable.");
+    renderHazardFreshness();
+    return false;
+  } finally {
+    scheduleNoahRefresh();
+  }
+}
+
+// proxy first, then a direct fetch (may be blocked by CORS): { geojson, freshness, via }
+async function loadNoahGeoJSON() {
+  try {
+    const res = await fetchNoahGeojsonProxy();
+    if (res) return { ...res, via: "proxy" };
+  } catch (e) {
+    console.warn("NOAH proxy failed:", e);
   }
+  const r = await fetch(NOAH_GEOJSON_DIRECT);
+  if (!r.ok) throw httpError("NOAH GeoJSON", r);
+  return { geojson: await r.json(), freshness: responseFreshness(r), via: "direct" };
+}
+
+function loadedNoahGeoJSON({ geojson, freshness, via }, quiet) {
+  noahHazardFreshness = { via, ...freshness };
+  addNoahHazardLayer(geojson);
+  if (freshness.offline) SourceHealth.failure("noahGeojson", new Error("NOAH unreachable; using a saved copy"), { dataAt: freshness.fetchedAt });
+  else SourceHealth.success("noahGeojson", { dataAt: freshness.fetchedAt });
+  if (!quiet) setStatus(freshness.offline ? "Offline: using saved NOAH hazard polygons." : `NOAH hazard polygons loaded (${via === "proxy" ? "via proxy" : "direct"}).`);
+  renderHazardFreshness();
+  return true;
 }
 
 /* -------------------------
    Add NOAH hazard layer styling (expects GeoJSON)
+   - imported hazard areas (see ImportedHazards) are merged into the same `noahHazard` source; they carry
+     source: "import" and their file as `origin`, and are outlined in purple
+   - multi-scenario data (see hazards.js) is reduced to the selected return period before indexing and drawing,
+     so the map and route scoring always use the same hazard map
    ------------------------- */
+const hazardRiskExpr = ["to-number", ["coalesce", ["get", "risk"], 0]];
+
 function addNoahHazardLayer(geojson) {
+  noahHazardData = geojson;
+  refreshHazardLayer();
+}
+
+// NOAH features plus every imported hazard set
+function mergedHazardData() {
+  const imported = ImportedHazards.features();
+  if (!imported.length) return noahHazardData;
+  const noah = !noahHazardData ? [] : noahHazardData.type === "FeatureCollection" ? noahHazardData.features || [] : [noahHazardData];
+  return { type: "FeatureCollection", features: [...noah, ...imported] };
+}
+
+function refreshHazardLayer() {
+  const merged = mergedHazardData();
+  noahScenarios = hazardScenarios(merged);
+  noahScenario = pickNoahScenario(noahScenarios);
+  const active = scenarioHazards(merged, noahScenario) || { type: "FeatureCollection", features: [] };
+  // index first so scoring works even if the map layer cannot be added
+  noahHazardIndex = buildHazardIndex(active);
+  renderFloodLegend();
+  checkHazardsAhead();
+
   try {
     if (map.getSource("noahHazard")) {
-      map.getSource("noahHazard").setData(geojson);
+      map.getSource("noahHazard").setData(active);
     } else {
-      map.addSource("noahHazard", { type: "geojson", data: geojson });
+      map.addSource("noahHazard", { type: "geojson", data: active });
+      // class 0 means "no hazard in this scenario": nothing drawn
+      const hazardous = [">", hazardRiskExpr, 0];
       map.addLayer({
         id: "noahHazard-fill",
         type: "fill",
         source: "noahHazard",
+        filter: hazardous,
         paint: {
-          // use 'risk' property if present; fallback to a single color
-          "fill-color": [
-            "interpolate",
-            ["linear"],
-            ["coalesce", ["get", "risk"], 0],
-            0, "#ffffb2",
-            1, "#fecc5c",
-            2, "#fd8d3c",
-            3, "#f03b20"
-          ],
+          "fill-color": ["step", hazardRiskExpr, "rgba(0,0,0,0)", ...NOAH_HAZARD_LEVELS.flatMap(l => [l.level, l.color])],
           "fill-opacity": 0.35
         }
       });
@@ -197,31 +973,169 @@ function addNoahHazardLayer(geojson) {
         id: "noahHazard-line",
         type: "line",
         source: "noahHazard",
-        paint: { "line-color": "#990000", "line-width": 1 }
+        filter: hazardous,
+        paint: {
+          "line-color": ["case", ["==", ["get", "source"], "import"], "#5f3dc4", "#990000"],
+          "line-width": ["case", ["==", ["get", "source"], "import"], 2, 1]
+        }
       });
 
-      // optional labels: show risk property if present
+      // labels: the feature's own label if present, else the level name
       map.addLayer({
         id: "noahHazard-labels",
         type: "symbol",
         source: "noahHazard",
+        filter: hazardous,
         layout: {
-          "text-field": ["coalesce", ["get", "label"], ["concat", ["to-string", ["coalesce", ["get", "risk"], 0]], " risk"]],
+          "text-field": ["coalesce", ["get", "label"], ["concat", ["step", hazardRiskExpr, "", ...NOAH_HAZARD_LEVELS.flatMap(l => [l.level, l.name])], " hazard"]],
           "text-size": 12,
           "text-allow-overlap": false
         },
         paint: { "text-color": "#600000" }
       });
     }
+    applyLayerVisibility();
   } catch (e) {
     console.warn("Failed to add NOAH hazard layer:", e);
   }
 }
 
+/* -------------------------
+   Flood legend & map layers (wireframe: Flood Legend Panel)
+   - LayerSettings (localStorage) keeps which overlays are shown and the chosen NOAH scenario
+   - visibility toggles only affect the map; the scenario also decides which hazard map routes are scored on
+   ------------------------- */
+const LAYERS_KEY = "floodsafe_layers";
+const LAYER_DEFAULTS = { hazards: true, hazardLabels: true, reports: true, shared: true, weather: true, history: false, evacuation: true, scenario: null };
+const MAP_LAYER_GROUPS = {
+  hazards: ["noahHazard-fill", "noahHazard-line"],
+  hazardLabels: ["noahHazard-labels"],
+  weather: ["weatherOverlay-circles", "weatherOverlay-labels"],
+  history: ["floodHistory-heat", "floodHistory-points"],
+  evacuation: ["evacuation-points", "evacuation-labels"]
+};
+
+const LayerSettings = {
+  get() {
+    try { return { ...LAYER_DEFAULTS, ...JSON.parse(localStorage.getItem(LAYERS_KEY) || "{}") }; } catch(e){ return { ...LAYER_DEFAULTS }; }
+  },
+  set(patch) {
+    const next = { ...this.get(), ...patch };
+    localStorage.setItem(LAYERS_KEY, JSON.stringify(next));
+    return next;
+  }
+};
+
+// the saved scenario if the data has it, else the rarest flood available (the cautious choice for routing)
+function pickNoahScenario(periods) {
+  const saved = LayerSettings.get().scenario;
+  if (periods.includes(saved)) return saved;
+  return periods.length ? periods[periods.length - 1] : null;
+}
+
+function setNoahScenario(period) {
+  LayerSettings.set({ scenario: period });
+  refreshHazardLayer();
+  const hint = lastPlan && !nav.active ? " Calculate the route again to score it against this scenario." : "";
+  setStatus(`NOAH flood scenario: ${period}-year rain.${hint}`);
+}
+
+function applyLayerVisibility() {
+  const settings = LayerSettings.get();
+  if (map) {
+    Object.entries(MAP_LAYER_GROUPS).forEach(([key, ids]) => ids.forEach(id => {
+      if (map.getLayer(id)) map.setLayoutProperty(id, "visibility", settings[key] ? "visible" : "none");
+    }));
+  }
+  reportMarkers.forEach(m => { m.getElement().style.display = settings.reports ? "" : "none"; });
+  incidentMarkers.forEach(m => { m.getElement().style.display = settings.shared ? "" : "none"; });
+}
+
+// expected rain at the chosen route's weather samples: circles sized/colored by mm, red ring where an alert applies
+function drawWeatherOverlay(samples = []) {
+  if (!map) return;
+  const data = {
+    type: "FeatureCollection",
+    features: samples.map(s => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [s.lng, s.lat] },
+      properties: { rain: s.rainScore, alert: s.alertScore > 0 ? 1 : 0, label: `${s.rainScore.toFixed(1)} mm` }
+    }))
+  };
+  try {
+    if (map.getSource("weatherOverlay")) { map.getSource("weatherOverlay").setData(data); return; }
+    map.addSource("weatherOverlay", { type: "geojson", data });
+    map.addLayer({
+      id: "weatherOverlay-circles",
+      type: "circle",
+      source: "weatherOverlay",
+      paint: {
+        "circle-radius": ["interpolate", ["linear"], ["get", "rain"], 0, 5, 10, 14],
+        "circle-color": ["interpolate", ["linear"], ["get", "rain"], 0, "#a5d8ff", 10, "#1864ab"],
+        "circle-opacity": 0.8,
+        "circle-stroke-color": ["case", ["==", ["get", "alert"], 1], "#c92a2a", "#ffffff"],
+        "circle-stroke-width": 2
+      }
+    });
+    map.addLayer({
+      id: "weatherOverlay-labels",
+      type: "symbol",
+      source: "weatherOverlay",
+      layout: { "text-field": ["get", "label"], "text-size": 11, "text-offset": [0, 1.4], "text-anchor": "top" },
+      paint: { "text-color": "#1864ab", "text-halo-color": "#fff", "text-halo-width": 1 }
+    });
+    applyLayerVisibility();
+  } catch (e) {
+    console.warn("Failed to draw weather overlay:", e);
+  }
+}
+
+function renderFloodLegend() {
+  const field = document.getElementById("scenario-field");
+  const select = document.getElementById("noah-scenario");
+  if (field && select) {
+    field.hidden = noahScenarios.length < 2;
+    select.innerHTML = noahScenarios.map(p => `<option value="${p}"${p === noahScenario ? " selected" : ""}>${p}-year flood</option>`).join("");
+  }
+  const title = document.getElementById("legend-hazard-title");
+  if (title) title.textContent = noahScenario ? `NOAH hazard areas (${noahScenario}-year flood)` : "NOAH hazard areas";
+  const list = document.getElementById("legend-hazard");
+  if (list) {
+    list.innerHTML = NOAH_HAZARD_LEVELS.map(l => `<li><span class="swatch" style="background:${l.color}"></span>
+      <span><strong>${escapeHtml(l.name)}</strong> — ${escapeHtml(l.description)}</span></li>`).join("");
+  }
+}
+
+function wireLayerPanel() {
+  const settings = LayerSettings.get();
+  document.querySelectorAll("input[data-layer]").forEach(input => {
+    input.checked = !!settings[input.dataset.layer];
+    input.addEventListener("change", () => {
+      LayerSettings.set({ [input.dataset.layer]: input.checked });
+      applyLayerVisibility();
+    });
+  });
+  document.getElementById("noah-scenario")?.addEventListener("change", (ev) => setNoahScenario(Number(ev.target.value)));
+  renderFloodLegend();
+}
+
 /* -------------------------
    Proxies: fetch NOAH and AccuWeather via server endpoints (if available)
    ------------------------- */
 /* updated proxy helpers: try relative then absolute (/api/...) so app works from subpath or root */
+// when a hazard response was produced and whether it is a fallback copy: the proxy stamps X-FloodSafe-Fetched-At
+// (X-FloodSafe-Cache: STALE when NOAH was down), the service worker stamps X-FloodSafe-Cached-At on what it stores
+// and X-FloodSafe-Offline on what it serves from that store
+function responseFreshness(r) {
+  const stamp = r.headers.get("X-FloodSafe-Fetched-At") || r.headers.get("X-FloodSafe-Cached-At") || r.headers.get("Date");
+  const t = stamp ? Date.parse(stamp) : NaN;
+  return {
+    fetchedAt: Number.isFinite(t) ? t : null,
+    offline: r.headers.get("X-FloodSafe-Offline") === "1" || r.headers.get("X-FloodSafe-Cache") === "STALE"
+  };
+}
+
+// returns { geojson, freshness } or null
 async function fetchNoahGeojsonProxy() {
   const candidates = [ NOAH_GEOJSON_PROXY, (NOAH_GEOJSON_PROXY.startsWith("/") ? null : "/" + NOAH_GEOJSON_PROXY) ].filter(Boolean);
   for (const url of candidates) {
@@ -232,7 +1146,7 @@ async function fetchNoahGeojsonProxy() {
         console.warn(`NOAH proxy candidate ${url} returned ${r.status}`);
         continue;
       }
-      return await r.json();
+      return { geojson: await r.json(), freshness: responseFreshness(r) };
     } catch (e) {
       console.warn(`NOAH proxy candidate ${url} failed:`, e);
     }
@@ -240,98 +1154,451 @@ async function fetchNoahGeojsonProxy() {
   return null;
 }
 
+// both weather helpers report to SourceHealth and return null without a request while the proxy is cooling down
 async function fetchAccuWeatherProxy(lat, lng) {
+  if (SourceHealth.coolingDown("weather")) return null;
   const q = `?lat=${encodeURIComponent(lat)}&lng=${encodeURIComponent(lng)}`;
   const candidates = [ ACCUWEATHER_PROXY + q, (ACCUWEATHER_PROXY.startsWith("/") ? null : "/" + ACCUWEATHER_PROXY + q) ].filter(Boolean);
+  let lastError = null;
   for (const url of candidates) {
     try {
       const r = await fetch(url, { headers: { "Accept": "application/json" } });
       if (!r.ok) {
         console.warn(`Accu proxy candidate ${url} returned ${r.status}`);
+        lastError = httpError("AccuWeather proxy", r);
         continue;
       }
-      return await r.json();
+      const json = await r.json();
+      SourceHealth.success("weather");
+      return json;
     } catch (e) {
       console.warn(`Accu proxy candidate ${url} failed:`, e);
+      lastError = e;
     }
   }
   // no proxy available — return null and let the caller handle missing weather gracefully
+  SourceHealth.failure("weather", lastError);
+  return null;
+}
+
+// batch form of the proxy: one request for many points, conditions de-duplicated by AccuWeather location key
+async function fetchAccuWeatherBatchProxy(points) {
+  if (SourceHealth.coolingDown("weather")) return null;
+  const q = `?points=${encodeURIComponent(points.map(p => `${p.lat.toFixed(4)},${p.lng.toFixed(4)}`).join(";"))}`;
+  const candidates = [ ACCUWEATHER_PROXY + q, (ACCUWEATHER_PROXY.startsWith("/") ? null : "/" + ACCUWEATHER_PROXY + q) ].filter(Boolean);
+  let lastError = null;
+  for (const url of candidates) {
+    try {
+      const r = await fetch(url, { headers: { "Accept": "application/json" } });
+      if (!r.ok) {
+        console.warn(`Accu batch candidate ${url} returned ${r.status}`);
+        lastError = httpError("AccuWeather proxy", r);
+        continue;
+      }
+      const json = await r.json();
+      SourceHealth.success("weather");
+      return json;
+    } catch (e) {
+      console.warn(`Accu batch candidate ${url} failed:`, e);
+      lastError = e;
+    }
+  }
+  SourceHealth.failure("weather", lastError);
   return null;
 }
 
 /* -------------------------
-   Geocoding (Nominatim fallback)
+   Geocoding & place fields
+   - origin / destination inputs keep the picked place in data-lat / data-lng, so routing never re-geocodes
+     what the user already chose; typing clears the pick
+   - suggestions: saved places first, then Photon results biased to the map view (debounced)
+   - free text that was never picked goes to Nominatim on submit (top result; a note under the field says so)
+   - coordinates (typed, GPS) are reverse-geocoded so the field shows an address
    ------------------------- */
+const SUGGEST_DEBOUNCE_MS = 300;
+const SAVED_PLACES_KEY = "floodsafe_saved_places";
+
+let geocoder = null;
+function getGeocoder() {
+  if (!geocoder) {
+    geocoder = createGeocoder({
+      ...resolveGeocodingConfig(),
+      onNominatim: e => (e ? SourceHealth.failure("geocoding", e) : SourceHealth.success("geocoding"))
+    });
+  }
+  return geocoder;
+}
+
+// saved places ("Home", "Office", ...): [{ id, name, label, lat, lng }]
+const SavedPlaces = {
+  all() {
+    try { return JSON.parse(localStorage.getItem(SAVED_PLACES_KEY) || "[]"); } catch(e){ return []; }
+  },
+  _save(list) { localStorage.setItem(SAVED_PLACES_KEY, JSON.stringify(list)); },
+  // saving under an existing name replaces that place
+  add({ name, label = "", lat, lng }) {
+    const list = this.all().filter(p => p.name.toLowerCase() !== name.toLowerCase());
+    const place = { id: `p-${Date.now().toString(36)}`, name, label, lat: Number(lat), lng: Number(lng) };
+    list.push(place);
+    this._save(list);
+    return place;
+  },
+  remove(id) { this._save(this.all().filter(p => p.id !== id)); },
+  byName(text) {
+    const q = String(text || "").trim().toLowerCase();
+    return this.all().find(p => p.name.toLowerCase() === q) || null;
+  },
+  // all saved places for an empty query, otherwise those whose name or address contains it
+  match(text) {
+    const q = String(text || "").trim().toLowerCase();
+    return this.all().filter(p => !q || p.name.toLowerCase().includes(q) || p.label.toLowerCase().includes(q));
+  }
+};
+
+function mapViewbox() {
+  if (!map) return null;
+  const b = map.getBounds();
+  return [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()];
+}
+
+function placeFromField(input) {
+  const lat = parseFloat(input.dataset.lat), lng = parseFloat(input.dataset.lng);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng, label: input.value } : null;
+}
+
+function clearPlaceField(input) {
+  delete input.dataset.lat;
+  delete input.dataset.lng;
+}
+
+// shows a place in the field; points without a label get one from reverse geocoding
+function setPlaceField(input, place) {
+  if (!input || !place) return;
+  input.dataset.lat = String(place.lat);
+  input.dataset.lng = String(place.lng);
+  input.value = place.name && place.source === "saved" ? `${place.name} — ${place.label || "saved place"}` : (place.label || `${place.lat.toFixed(6)},${place.lng.toFixed(6)}`);
+  if (!place.label) {
+    getGeocoder().reverse(place.lat, place.lng).then(found => {
+      // only if the field still holds this point
+      if (found && input.dataset.lat === String(place.lat) && input.dataset.lng === String(place.lng)) input.value = found.label;
+    }).catch(e => console.warn("Reverse geocoding failed:", e));
+  }
+}
+
+// free text / "lat,lng" -> { lat, lng, label } (null when nothing matches)
 async function resolveLocation(text) {
   if (!text) return null;
-  const parts = text.split(",").map(s => s.trim());
-  if (parts.length === 2) {
-    const lat = parseFloat(parts[0]), lng = parseFloat(parts[1]);
-    if (!isNaN(lat) && !isNaN(lng)) return { lat, lng };
-  }
-  // Nominatim search (rate-limited)
+  const ll = parseLatLng(text);
+  if (ll) return ll;
+  const saved = SavedPlaces.byName(text);
+  if (saved) return saved;
   try {
-    const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(text)}`;
-    const r = await safeFetchJSON(url);
-    if (Array.isArray(r) && r.length > 0) return { lat: parseFloat(r[0].lat), lng: parseFloat(r[0].lon) };
+    const results = await getGeocoder().search(text, { viewbox: mapViewbox() });
+    if (results.length) return { ...results[0], alternatives: results.length - 1 };
   } catch (e) {
     console.warn("Nominatim geocode failed:", e);
   }
   return null;
 }
 
-/* -------------------------
-   OSRM routing request (request steps for turn-by-turn)
-   ------------------------- */
-async function requestOSRMRoute(origin, destination) {
-  const coords = `${origin.lng},${origin.lat};${destination.lng},${destination.lat}`;
-  // include steps=true so we can render turn-by-turn instructions
-  const url = `${OSRM_SERVER}/route/v1/driving/${coords}?overview=full&alternatives=true&geometries=geojson&steps=true`;
-  const r = await fetch(url);
-  if (!r.ok) throw new Error(`OSRM ${r.status}`);
-  return await r.json();
+// the place a field stands for: the picked one, or its text geocoded now (and shown in the field)
+async function resolvePlaceField(input) {
+  if (!input) return null;
+  const picked = placeFromField(input);
+  if (picked) return picked;
+  const text = input.value.trim();
+  const place = await resolveLocation(text);
+  if (!place) return null;
+  setPlaceField(input, place);
+  const note = input.closest(".place-field")?.querySelector(".place-note");
+  if (note && place.alternatives) note.textContent = `Showing the best match for "${text}". Not it? Type again and pick a suggestion.`;
+  return place;
 }
 
-/* -------------------------
-   Render directions & weather
-   ------------------------- */
-function renderDirections(route) {
-  const list = document.getElementById("directions");
-  const summary = document.getElementById("directions-summary");
+function wirePlaceField(input) {
+  const wrap = input && input.closest(".place-field");
+  const list = wrap && wrap.querySelector(".suggestions");
   if (!list) return;
-  list.innerHTML = "";
-  if (!route || !route.legs || route.legs.length === 0) {
-    if (summary) summary.textContent = "";
-    list.innerHTML = "<li>No directions available</li>";
-    return;
-  }
-  // summary: total distance / duration (OSRM provides route.distance/duration on route object)
-  if (summary && typeof route.distance === "number" && typeof route.duration === "number") {
-    const km = (route.distance / 1000).toFixed(2);
-    const mins = Math.round(route.duration / 60);
-    summary.textContent = `Total: ${km} km · ${mins} min`;
-  } else if (summary) {
-    summary.textContent = "";
+  let items = [];
+  let active = -1;
+  let timer = null;
+  let seq = 0;
+
+  const hide = () => { list.hidden = true; active = -1; input.setAttribute("aria-expanded", "false"); };
+  const render = () => {
+    if (!items.length) { hide(); return; }
+    list.innerHTML = items.map((p, i) => `<li role="option" data-i="${i}" class="${p.source}${i === active ? " active" : ""}">
+        ${p.source === "saved" ? `<strong>★ ${escapeHtml(p.name)}</strong> ` : ""}<span>${escapeHtml(p.label || "")}</span>
+        ${p.source === "saved" ? `<button type="button" class="remove" data-remove="${escapeHtml(p.id)}" title="Forget this place">×</button>` : ""}
+      </li>`).join("");
+    list.hidden = false;
+    input.setAttribute("aria-expanded", "true");
+  };
+  const pick = (i) => {
+    const place = items[i];
+    if (!place) return;
+    setPlaceField(input, place);
+    hide();
+  };
+
+  async function update() {
+    const text = input.value.trim();
+    const mine = ++seq;
+    const saved = SavedPlaces.match(text).map(p => ({ ...p, source: "saved" }));
+    items = saved;
+    active = -1;
+    render();
+    if (text.length < 3 || parseLatLng(text) || placeFromField(input)) return;
+    try {
+      const c = map ? map.getCenter() : null;
+      const remote = await getGeocoder().suggest(text, { near: c ? { lat: c.lat, lng: c.lng } : null });
+      if (mine !== seq) return; // a newer keystroke won
+      items = saved.concat(remote);
+      render();
+    } catch (e) {
+      console.warn("Place suggestions failed:", e);
+    }
   }
 
-  route.legs.forEach((leg) => {
-    leg.steps.forEach((step) => {
-      const li = document.createElement("li");
-      const m = step.maneuver || {};
-      const instrParts = [];
-      if (m.type) instrParts.push(m.type);
-      if (m.modifier) instrParts.push(m.modifier);
-      const instr = instrParts.join(" ");
-      const name = step.name || "";
-      const distM = Math.round(step.distance || 0);
-      li.textContent = `${instr}${name ? ' to ' + name : ''} — ${distM} m`;
-      list.appendChild(li);
-    });
+  input.setAttribute("autocomplete", "off");
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-expanded", "false");
+  input.addEventListener("input", () => {
+    clearPlaceField(input);
+    const note = wrap.querySelector(".place-note");
+    if (note) note.textContent = "";
+    clearTimeout(timer);
+    timer = setTimeout(update, SUGGEST_DEBOUNCE_MS);
   });
-}
-
-async function renderWeatherForPoint(elId, lat, lng, label) {
-  const el = document.getElementById(elId);
+  input.addEventListener("focus", update);
+  // let a click on a suggestion land before the list disappears
+  input.addEventListener("blur", () => setTimeout(hide, 150));
+  // typed/pasted coordinates: keep the point, show its address
+  input.addEventListener("change", () => {
+    const ll = parseLatLng(input.value);
+    if (ll && !placeFromField(input)) setPlaceField(input, ll);
+  });
+  input.addEventListener("keydown", (ev) => {
+    if (list.hidden) return;
+    if (ev.key === "ArrowDown" || ev.key === "ArrowUp") {
+      ev.preventDefault();
+      active = (active + (ev.key === "ArrowDown" ? 1 : -1) + items.length) % items.length;
+      render();
+    } else if (ev.key === "Enter" && active >= 0) {
+      ev.preventDefault(); // pick instead of submitting the route form
+      pick(active);
+    } else if (ev.key === "Escape") {
+      hide();
+    }
+  });
+  list.addEventListener("mousedown", (ev) => {
+    ev.preventDefault(); // keep focus in the input
+    const remove = ev.target.closest("[data-remove]");
+    if (remove) {
+      if (confirm("Forget this saved place?")) { SavedPlaces.remove(remove.dataset.remove); update(); renderWatchList(); }
+      return;
+    }
+    const li = ev.target.closest("li[data-i]");
+    if (li) pick(Number(li.dataset.i));
+  });
+
+  // ☆ saves whatever the field currently resolves to
+  wrap.querySelector(".save-place")?.addEventListener("click", async () => {
+    const place = await resolvePlaceField(input);
+    if (!place) { setStatus("Enter or pick a place first, then save it."); return; }
+    const name = prompt("Save this place as (e.g. Home, Office):", "Home");
+    if (!name || !name.trim()) return;
+    SavedPlaces.add({ name: name.trim(), label: place.label || "", lat: place.lat, lng: place.lng });
+    renderWatchList();
+    setStatus(`Saved "${name.trim()}".`);
+  });
+}
+
+/* -------------------------
+   Routing request (request steps for turn-by-turn)
+   - goes through the configured provider (routing.js); every provider returns the OSRM route/legs/steps shape
+   ------------------------- */
+let routingProvider = null;
+
+function getRoutingProvider() {
+  if (!routingProvider) {
+    const config = resolveRoutingConfig();
+    try {
+      routingProvider = createRoutingProvider(config);
+    } catch (e) {
+      console.warn(`Routing provider "${config.provider}" unavailable, falling back to OSRM:`, e);
+      routingProvider = createRoutingProvider({ ...config, provider: "osrm" });
+    }
+    console.log(`Routing provider: ${routingProvider.name}`);
+    SourceHealth.get("routing").label = `Routing (${routingProvider.name === "osrm" ? "OSRM" : routingProvider.name})`;
+  }
+  return routingProvider;
+}
+
+// `via` is an optional list of { lat, lng } waypoints (used for detours); `profile` is a VEHICLE_PROFILES entry.
+// Network errors and busy servers (429 / 5xx) are retried ROUTING_ATTEMPTS times; a 4xx (e.g. no route between
+// the points) means the service answered, so it is not a routing outage.
+const ROUTING_ATTEMPTS = 3;
+
+async function requestOSRMRoute(origin, destination, via = [], profile = getVehicleProfile(DEFAULT_VEHICLE_PROFILE)) {
+  try {
+    const res = await withRetry(() => getRoutingProvider().route({ origin, destination, via, profile, alternatives: via.length === 0 }),
+      { attempts: ROUTING_ATTEMPTS, baseMs: 1000 });
+    SourceHealth.success("routing");
+    return res;
+  } catch (e) {
+    if (isRetryable(e)) SourceHealth.failure("routing", e);
+    else SourceHealth.success("routing");
+    throw e;
+  }
+}
+
+/* -------------------------
+   Render directions & weather
+   - instruction text, distances and durations come from directions.js in the chosen language (DirectionPrefs)
+   - steps that run through a flagged stretch (see isFlaggedSegment) carry a flood warning
+   ------------------------- */
+const DIRECTIONS_KEY = "floodsafe_directions";
+
+// { language, voice } for the directions panel and navigation prompts
+const DirectionPrefs = {
+  get() {
+    let saved = {};
+    try { saved = JSON.parse(localStorage.getItem(DIRECTIONS_KEY) || "{}"); } catch(e){}
+    return { language: DIRECTION_LANGUAGES[saved.language] ? saved.language : DEFAULT_DIRECTION_LANGUAGE, voice: !!saved.voice };
+  },
+  set(patch) {
+    const next = { ...this.get(), ...patch };
+    localStorage.setItem(DIRECTIONS_KEY, JSON.stringify(next));
+    return next;
+  }
+};
+
+// hazards a step runs through: segments (geometry meters) overlapping the step's OSRM distance range
+function stepHazard(entry, segments, threshold, scale) {
+  const from = entry.startM / scale, to = entry.endM / scale;
+  const hit = segments.filter(seg => seg.endM > from && seg.startM < to && isFlaggedSegment(seg, threshold));
+  if (!hit.length) return null;
+  return {
+    noahClass: Math.max(...hit.map(seg => seg.maxNoahClass)),
+    reportCount: hit.reduce((n, seg) => n + seg.reportCount, 0),
+    alerts: Array.from(new Set(hit.flatMap(seg => seg.weatherAlerts))),
+    risk: Math.max(...hit.map(seg => seg.risk))
+  };
+}
+
+// `segments` / `threshold` (from the route's evaluation) attach flood warnings to the steps
+function renderDirections(route, { segments = [], threshold = RiskSettings.get().threshold } = {}) {
+  const list = document.getElementById("directions");
+  const summary = document.getElementById("directions-summary");
+  if (!list) return;
+  const { language } = DirectionPrefs.get();
+  list.innerHTML = "";
+  if (!route || !route.legs || route.legs.length === 0) {
+    if (summary) summary.textContent = "";
+    list.innerHTML = `<li>${escapeHtml(phrase("noDirections", language))}</li>`;
+    return;
+  }
+  // summary: total distance / duration (OSRM provides route.distance/duration on route object)
+  if (summary && typeof route.distance === "number" && typeof route.duration === "number") {
+    summary.textContent = phrase("total", language, { distance: formatDistance(route.distance, language), duration: formatDuration(route.duration, language) });
+  } else if (summary) {
+    summary.textContent = "";
+  }
+  const geomM = segments.length ? segments[segments.length - 1].endM : 0;
+  const scale = geomM > 0 && route.distance ? route.distance / geomM : 1;
+
+  flattenSteps(route).forEach((entry) => {
+    const { step, legIdx, globalIdx, isLastLeg } = entry;
+    const m = step.maneuver || {};
+    // detour via-points split the route into legs; hide their intermediate (zero-length) arrive steps
+    if (m.type === "arrive" && !isLastLeg) return;
+    const li = document.createElement("li");
+    li.id = `dir-step-${globalIdx}`;
+    // a later leg's "depart" is really just continuing past the via-point
+    const instr = instructionText(step, { language, continuing: m.type === "depart" && legIdx > 0 });
+    li.dataset.instruction = instr;
+    const text = document.createElement("span");
+    text.className = "dir-text";
+    text.textContent = instr;
+    li.appendChild(text);
+    if (m.type !== "arrive") {
+      const dist = document.createElement("span");
+      dist.className = "dir-dist";
+      dist.textContent = ` — ${formatDistance(step.distance, language)}`;
+      li.appendChild(dist);
+    }
+    const hazard = entry.endM > entry.startM ? stepHazard(entry, segments, threshold, scale) : null;
+    if (hazard) {
+      li.dataset.warning = hazardWarningText(hazard, language);
+      li.dataset.hazard = hazardWarningText(hazard, language, { spoken: true });
+      li.classList.add("hazard");
+      const warn = document.createElement("div");
+      warn.className = "dir-hazard";
+      warn.textContent = `⚠ ${li.dataset.warning}`;
+      li.appendChild(warn);
+    }
+    list.appendChild(li);
+  });
+}
+
+// language select and voice checkbox above the directions list
+function wireDirectionControls() {
+  const prefs = DirectionPrefs.get();
+  const select = document.getElementById("directions-language");
+  const voiceBox = document.getElementById("voice-guidance");
+  if (select) {
+    select.innerHTML = Object.entries(DIRECTION_LANGUAGES)
+      .map(([id, l]) => `<option value="${id}"${id === prefs.language ? " selected" : ""}>${escapeHtml(l.label)}</option>`).join("");
+    select.addEventListener("change", () => {
+      DirectionPrefs.set({ language: select.value });
+      if (lastPlan && lastPlan.best) renderDirections(lastPlan.best.route, { segments: lastPlan.best.details.segments, threshold: lastPlan.threshold });
+      updateNavBanner({});
+    });
+  }
+  if (voiceBox) {
+    voiceBox.checked = prefs.voice && voiceGuide.supported;
+    voiceBox.disabled = !voiceGuide.supported;
+    if (!voiceGuide.supported) voiceBox.parentElement?.setAttribute("title", "This browser has no speech synthesis");
+    voiceBox.addEventListener("change", () => {
+      DirectionPrefs.set({ voice: voiceBox.checked });
+      if (!voiceBox.checked) voiceGuide.cancel();
+    });
+  }
+}
+
+// all steps across legs with a stable global index and cumulative distance range (meters from start)
+function flattenSteps(route) {
+  const out = [];
+  if (!route || !route.legs) return out;
+  let at = 0;
+  route.legs.forEach((leg, legIdx) => {
+    (leg.steps || []).forEach((step, stepIdx) => {
+      const dist = step.distance || 0;
+      out.push({ step, legIdx, stepIdx, globalIdx: out.length, startM: at, endM: at + dist, isLastLeg: legIdx === route.legs.length - 1 });
+      at += dist;
+    });
+  });
+  return out;
+}
+
+// step that covers a given distance along the route (OSRM meters)
+function stepIndexAtDistance(route, meters) {
+  const steps = flattenSteps(route).filter(s => s.endM > s.startM);
+  const hit = steps.find(s => meters >= s.startM && meters < s.endM) || steps[steps.length - 1];
+  return hit ? hit.globalIdx : -1;
+}
+
+function highlightDirectionStep(globalIdx, scroll = true) {
+  const li = document.getElementById(`dir-step-${globalIdx}`);
+  if (!li || li.classList.contains("active")) return;
+  document.querySelectorAll("#directions li.active").forEach(x => x.classList.remove("active"));
+  li.classList.add("active");
+  if (scroll) li.scrollIntoView({ behavior: "smooth", block: "center" });
+}
+
+async function renderWeatherForPoint(elId, lat, lng, label) {
+  const el = document.getElementById(elId);
   if (!el) return;
   el.textContent = `${label}: loading...`;
   try {
@@ -352,96 +1619,503 @@ async function renderWeatherForPoint(elId, lat, lng, label) {
 
 /* -------------------------
    Scoring: combine learned + NOAH feature + AccuWeather
-   - learned: FloodLearner average over sampled points
-   - noahRisk: if NOAH polygons present, compute intersection count or co-locate sample -> simplified here
-   - weather: fetch AccuWeather via proxy at midpoint, derive rainScore & alertScore
-   ------------------------- */
-function sampleCoordsFromGeojson(geojson, maxSamples = 30) {
-  if (!geojson || !geojson.coordinates) return [];
-  const coords = geojson.coordinates;
-  const step = Math.max(1, Math.floor(coords.length / maxSamples));
-  const out = [];
-  for (let i = 0; i < coords.length; i += step) {
-    const [lng, lat] = coords[i];
-    out.push({ lat, lng });
-  }
-  return out;
+   - learned: FloodLearner average over points along the route (flood likelihood model, see ai.js)
+   - noahRisk: route length inside each NOAH hazard class, weighted by class (geometric, viewport-independent)
+   - weather: AccuWeather samples along the route (via proxy batch), rainScore & alertScore per segment
+   ------------------------- */
+const LEARNED_SAMPLES = 30;
+
+// evenly spaced points along the route, with their distance from the start
+function sampleCoordsFromGeojson(geojson, maxSamples = LEARNED_SAMPLES) {
+  if (!geojson || !geojson.coordinates || geojson.coordinates.length < 2) return [];
+  const pieces = splitLineByDistance(geojson, SEGMENT_LENGTH_M);
+  const totalM = pieces.length ? pieces[pieces.length - 1].endM : 0;
+  const distances = Array.from({ length: maxSamples }, (_, i) => totalM * (i + 0.5) / maxSamples);
+  return pointsAlongLine(geojson, distances);
 }
 
-// compute learned average
-function computeLearnedScore(geojson) {
-  const samples = sampleCoordsFromGeojson(geojson, 30);
+// compute learned average (model flood likelihood at each sample, with the rain expected there);
+// `now` and `reports` can describe a past moment (see the Flood history section)
+function computeLearnedScore(geojson, profile = null, weatherSamples = [], now = Date.now(), reports = learnerReports()) {
+  const samples = sampleCoordsFromGeojson(geojson);
   if (samples.length === 0) return 0;
   let sum = 0;
-  samples.forEach(p => { sum += FloodLearner.score(p.lat, p.lng); });
+  samples.forEach(p => {
+    const rain = nearestWeatherSample(weatherSamples, p.alongM).rainScore;
+    sum += FloodLearner.score(p.lat, p.lng, now, reports, profile, rain);
+  });
   return sum / samples.length;
 }
 
-// optionally compute NOAH polygon overlap score by sampling points and checking if they fall within a hazard feature
-// (lightweight client-side approach: use map.queryRenderedFeatures if the noahHazard source/layer exists)
-function computeNoahScore(geojson) {
-  if (!map || !map.getSource || !map.getLayer) return 0;
-  if (!map.getSource("noahHazard")) return 0;
-  const samples = sampleCoordsFromGeojson(geojson, 20);
-  let hits = 0;
-  samples.forEach(p => {
-    // queryRenderedFeatures expects [point] in pixel coordinates; we can use map.queryRenderedFeatures with bbox small around point
-    try {
-      const bbox = [
-        map.project([p.lng - 0.0001, p.lat - 0.0001]),
-        map.project([p.lng + 0.0001, p.lat + 0.0001])
-      ];
-      const features = map.queryRenderedFeatures([bbox[0], bbox[1]], { layers: ["noahHazard-fill", "noahHazard-line"] });
-      if (features && features.length > 0) hits++;
-    } catch (e) {
-      // ignore
-    }
-  });
-  // return normalized hit rate
-  return samples.length > 0 ? hits / samples.length : 0;
+// NOAH exposure: meters of the route inside each hazard class (point-in-polygon + edge crossings against the
+// loaded GeoJSON via hazards.js). score = sum(profile factor * risk * km inside), so a long stretch in a high class dominates.
+function computeNoahScore(geojson, profile = null) {
+  const exposure = routeHazardExposure(noahHazardIndex, geojson);
+  return { score: profileNoahKm(exposure, profile), exposure };
 }
 
-// fetch weather for a sample point and compute a small score
-async function computeWeatherScoreForPoint(lat, lng) {
-  const accu = await fetchAccuWeatherProxy(lat, lng);
-  if (!accu || !accu.current) return { rainScore: 0, alertScore: 0, raw: null };
-  const cur = accu.current;
+// sum over classes of factor(class) * class * km; equals exposure.weightedKm when no profile is given
+function profileNoahKm(exposure, profile) {
+  return Object.keys(exposure.byClass).reduce((sum, k) => sum + noahFactor(profile, Number(k)) * Number(k) * exposure.byClass[k] / 1000, 0);
+}
+
+// worst hazard this route meets that the profile cannot pass, or null; only inputs the risk source uses count
+function impassableHazard(segments, profile, source = RISK_SOURCES.combined) {
+  if (!profile || !profile.impassable) return null;
+  const sevRank = SEVERITY_WEIGHTS[profile.impassable.report] || Infinity;
+  for (const seg of segments) {
+    if (source.noah && seg.maxNoahClass >= profile.impassable.noah) return { seg, reason: `NOAH hazard class ${seg.maxNoahClass}` };
+    if (source.reports && seg.maxReportSeverity && SEVERITY_WEIGHTS[seg.maxReportSeverity] >= sevRank) return { seg, reason: `${seg.maxReportSeverity} flood report` };
+  }
+  return null;
+}
+
+// rain / alert score from one AccuWeather current-conditions object (cap, alert words and points from RiskSettings)
+function weatherScoreFromCurrent(cur) {
+  if (!cur) return { rainScore: 0, alertScore: 0, raw: null };
+  const settings = RiskSettings.get();
   // sample fields (AccuWeather's schema may differ; adapt as needed)
   // HasPrecipitation, PrecipitationSummary.PastHour.Metric.Value
   const pastHour = cur.PrecipitationSummary && cur.PrecipitationSummary.PastHour && cur.PrecipitationSummary.PastHour.Metric && cur.PrecipitationSummary.PastHour.Metric.Value;
   const rainMM = pastHour ? Number(pastHour) : 0;
-  const rainScore = Math.min(10, rainMM); // simple clamp
+  const rainScore = Math.min(settings.rainClampMM, rainMM);
   let alertScore = 0;
-  if (cur.WeatherText && /thunderstorm|tornado|flood|severe/i.test(cur.WeatherText)) alertScore = 5;
+  if (cur.WeatherText && RiskSettings.alertRegex().test(cur.WeatherText)) alertScore = settings.alertScore;
   return { rainScore, alertScore, raw: cur };
 }
 
+// same scale from one hourly forecast entry: expected rain = forecast liquid * probability of precipitation
+function weatherScoreFromForecastHour(hour) {
+  const settings = RiskSettings.get();
+  const liquid = Number(hour.TotalLiquid?.Value ?? hour.Rain?.Value ?? 0) || 0;
+  const prob = Number(hour.PrecipitationProbability ?? 100) / 100;
+  const rainScore = Math.min(settings.rainClampMM, liquid * prob);
+  let alertScore = 0;
+  if ((hour.IconPhrase && RiskSettings.alertRegex().test(hour.IconPhrase)) || Number(hour.ThunderstormProbability) >= settings.thunderstormProbability) alertScore = settings.alertScore;
+  return { rainScore, alertScore, raw: hour };
+}
+
+// official alerts whose area window covers `atMs`
+function activeAlertsAt(alerts, atMs) {
+  return (alerts || []).filter(a => (a.Area || []).some(area => {
+    const start = Number(area.EpochStartTime) * 1000 || -Infinity;
+    const end = Number(area.EpochEndTime) * 1000 || Infinity;
+    return atMs >= start && atMs <= end;
+  }));
+}
+
+/*
+ Weather score for one location at the time the vehicle is expected there.
+ - within FORECAST_CURRENT_WINDOW_MS of now: current conditions (past-hour rain is the best signal)
+ - later: the hourly forecast entry covering that time; past the 12h horizon, the last hour (flagged)
+ - an official alert active at that time always sets the alert score
+*/
+const FORECAST_CURRENT_WINDOW_MS = 45 * 60 * 1000;
+
+function weatherScoreAt(loc, atMs, now = Date.now()) {
+  if (!loc) return { rainScore: 0, alertScore: 0, raw: null, source: "none", alerts: [] };
+  let out = { ...weatherScoreFromCurrent(loc.current), source: loc.current ? "current" : "none" };
+  const hours = Array.isArray(loc.forecast) ? loc.forecast : [];
+  if (atMs - now > FORECAST_CURRENT_WINDOW_MS && hours.length) {
+    const hour = hours.find(h => atMs >= h.EpochDateTime * 1000 && atMs < h.EpochDateTime * 1000 + 3600 * 1000);
+    const last = hours[hours.length - 1];
+    const beyondHorizon = !hour && atMs >= last.EpochDateTime * 1000;
+    const picked = hour || (beyondHorizon ? last : hours[0]);
+    out = { ...weatherScoreFromForecastHour(picked), source: beyondHorizon ? "forecast-horizon" : "forecast" };
+  }
+  const alerts = activeAlertsAt(loc.alerts, atMs);
+  if (alerts.length) out.alertScore = Math.max(out.alertScore, RiskSettings.get().alertScore);
+  out.alerts = alerts.map(a => a.Description?.Localized || a.Category || "Weather alert");
+  return out;
+}
+
+/* -------------------------
+   Travel timeline: when the vehicle reaches each point of the route
+   - uses OSRM step distances/durations (interpolated within a step); geometry meters are scaled to OSRM meters
+   - without OSRM steps, falls back to a constant FALLBACK_SPEED_MPS
+   ------------------------- */
+const FALLBACK_SPEED_MPS = 8; // ~30 km/h city traffic
+
+function routeTimeline(route, geomTotalM) {
+  const steps = flattenSteps(route);
+  const osrmTotal = steps.length ? steps[steps.length - 1].endM : 0;
+  if (!osrmTotal) return (alongM) => alongM / FALLBACK_SPEED_MPS;
+  const scale = geomTotalM > 0 ? osrmTotal / geomTotalM : 1;
+  const timed = [];
+  let t = 0;
+  steps.forEach(s => { timed.push({ startM: s.startM, endM: s.endM, t0: t, dur: s.step.duration || 0 }); t += s.step.duration || 0; });
+  return (alongGeomM) => {
+    const m = alongGeomM * scale;
+    const s = timed.find(x => m >= x.startM && m < x.endM) || timed[timed.length - 1];
+    const frac = s.endM > s.startM ? Math.min(1, (m - s.startM) / (s.endM - s.startM)) : 1;
+    return s.t0 + frac * s.dur;
+  };
+}
+
+/* -------------------------
+   Route weather sampling
+   - evenly spaced samples along the route (see WEATHER_SAMPLE_SPACING_M / WEATHER_MAX_SAMPLES)
+   - client cache per ~1 km cell (same granularity as the proxy's location lookup), shared by all
+     alternatives in flight; the proxy then de-duplicates by AccuWeather location key
+   ------------------------- */
+const weatherCellCache = new Map(); // cell -> { expires, promise<{ current, forecast, alerts }|null> }
+
+// observed past-hour rain per weather cell, kept as training data for the flood model (ai.js)
+const RAIN_HISTORY_KEY = "flood_rain_history";
+const RAIN_HISTORY_MAX = 2000;
+const RAIN_HISTORY_MIN_GAP_MS = 30 * 60 * 1000; // one observation per cell per half hour is plenty
+
+const RainHistory = {
+  all() {
+    try { return JSON.parse(localStorage.getItem(RAIN_HISTORY_KEY) || "[]"); } catch(e){ return []; }
+  },
+  record(lat, lng, at, rainMM) {
+    if (!Number.isFinite(rainMM)) return;
+    const list = this.all();
+    const cell = weatherCellKey(lat, lng);
+    if (list.some(o => weatherCellKey(o.lat, o.lng) === cell && Math.abs(o.at - at) < RAIN_HISTORY_MIN_GAP_MS)) return;
+    list.push({ lat, lng, at, rainMM });
+    try { localStorage.setItem(RAIN_HISTORY_KEY, JSON.stringify(list.slice(-RAIN_HISTORY_MAX))); } catch(e){}
+  }
+};
+
+function weatherCellKey(lat, lng) { return `${lat.toFixed(2)},${lng.toFixed(2)}`; }
+
+function routeWeatherSamplePoints(geojson) {
+  const pieces = splitLineByDistance(geojson, SEGMENT_LENGTH_M);
+  const totalM = pieces.length ? pieces[pieces.length - 1].endM : 0;
+  const n = Math.max(1, Math.min(WEATHER_MAX_SAMPLES, Math.ceil(totalM / WEATHER_SAMPLE_SPACING_M)));
+  // centers of n equal stretches, so both ends are covered without sampling the exact endpoints twice
+  const distances = Array.from({ length: n }, (_, i) => totalM * (i + 0.5) / n);
+  return pointsAlongLine(geojson, distances);
+}
+
+async function fetchWeatherForPoints(points) {
+  const now = Date.now();
+  const missing = [];
+  points.forEach(p => {
+    const key = weatherCellKey(p.lat, p.lng);
+    const hit = weatherCellCache.get(key);
+    if (!hit || hit.expires < now) missing.push({ key, lat: p.lat, lng: p.lng });
+  });
+  // one batch for all uncached cells (deduped by cell)
+  const unique = Array.from(new Map(missing.map(m => [m.key, m])).values());
+  if (unique.length) {
+    const batch = fetchAccuWeatherBatchProxy(unique).catch(() => null);
+    unique.forEach((m, i) => {
+      const promise = batch.then(res => {
+        const entry = res && res.points && res.points[i];
+        const loc = entry && entry.locationKey && res.locations ? res.locations[entry.locationKey] : null;
+        if (!loc) weatherCellCache.delete(m.key); // don't cache failures
+        const pastHour = loc?.current?.PrecipitationSummary?.PastHour?.Metric?.Value;
+        if (pastHour !== undefined) RainHistory.record(m.lat, m.lng, now, Number(pastHour));
+        return loc || null;
+      });
+      weatherCellCache.set(m.key, { expires: now + WEATHER_CACHE_TTL_MS, promise });
+    });
+  }
+  return Promise.all(points.map(p => weatherCellCache.get(weatherCellKey(p.lat, p.lng))?.promise ?? null));
+}
+
+// each sample is scored for its ETA: departAt + travel time to that point (`elapsedAt(alongM)` in seconds)
+async function computeRouteWeatherSamples(geojson, departAt, elapsedAt) {
+  const points = routeWeatherSamplePoints(geojson);
+  const locs = await fetchWeatherForPoints(points);
+  const now = Date.now();
+  return points.map((p, i) => {
+    const etaMs = departAt + elapsedAt(p.alongM) * 1000;
+    return { ...p, etaMs, ...weatherScoreAt(locs[i], etaMs, now) };
+  });
+}
+
+// nearest weather sample (by along-route distance) for a point at `alongM`
+function nearestWeatherSample(samples, alongM) {
+  let best = null;
+  samples.forEach(s => { if (!best || Math.abs(s.alongM - alongM) < Math.abs(best.alongM - alongM)) best = s; });
+  return best || { rainScore: 0, alertScore: 0, raw: null, source: "none", alerts: [] };
+}
+
+// route-level weather from segments: rain is length-weighted (a storm over 20% of the route counts 20%),
+// alerts take the worst segment since one severe cell is enough to strand a driver
+function aggregateSegmentWeather(segments, samples) {
+  let totalM = 0, rainSum = 0, alertMax = 0;
+  segments.forEach(seg => {
+    const len = seg.endM - seg.startM;
+    totalM += len;
+    rainSum += seg.rainScore * len;
+    alertMax = Math.max(alertMax, seg.alertScore);
+  });
+  return {
+    rainScore: totalM > 0 ? rainSum / totalM : 0,
+    alertScore: alertMax,
+    alerts: Array.from(new Set(samples.flatMap(s => s.alerts || []))),
+    sources: Array.from(new Set(samples.map(s => s.source).filter(Boolean))),
+    samples,
+    raw: samples.find(s => s.raw)?.raw ?? null
+  };
+}
+
+// per-segment risk: the route is cut into ~SEGMENT_LENGTH_M pieces, each with its own learned / NOAH / weather terms.
+// Segment NOAH uses the average hazard class along the piece (0..3) rather than km, so short and long pieces compare.
+const SEGMENT_LENGTH_M = 250;
+
+function computeRouteSegments(geojson, weatherSamples, weights, elapsedAt, departAt, profile = null, now = Date.now()) {
+  const { reportRadiusM } = RiskSettings.get();
+  const allReports = learnerReports();
+  const reports = allReports.map(r => ({ r, w: FloodReports.weight(r, now) })).filter(x => x.w > 0);
+  return splitLineByDistance(geojson, SEGMENT_LENGTH_M).map((piece, i) => {
+    const lengthM = piece.endM - piece.startM;
+    let reportCount = 0, maxReportSeverity = null;
+    reports.forEach(({ r }) => {
+      if (distanceToLineMeters(r.lng, r.lat, piece.coords) > reportRadiusM) return;
+      reportCount++;
+      if (!maxReportSeverity || SEVERITY_WEIGHTS[r.severity] > SEVERITY_WEIGHTS[maxReportSeverity]) maxReportSeverity = r.severity;
+    });
+    const exposure = routeHazardExposure(noahHazardIndex, piece.coords);
+    const noahClass = lengthM > 0 ? profileNoahKm(exposure, profile) * 1000 / lengthM : 0;
+    const maxNoahClass = Object.keys(exposure.byClass).reduce((m, k) => Math.max(m, Number(k)), 0);
+    const weather = nearestWeatherSample(weatherSamples, (piece.startM + piece.endM) / 2);
+    const [midLng, midLat] = piece.coords[Math.floor(piece.coords.length / 2)];
+    const learned = FloodLearner.score(midLat, midLng, now, allReports, profile, weather.rainScore, maxNoahClass);
+    const risk = (weights.learned * learned) + (weights.noah * noahClass) + (weights.rain * weather.rainScore) + (weights.alert * weather.alertScore);
+    return {
+      index: i,
+      coords: piece.coords,
+      startM: piece.startM,
+      endM: piece.endM,
+      learned,
+      reportCount,
+      maxReportSeverity,
+      noah: noahClass,
+      maxNoahClass,
+      rainScore: weather.rainScore,
+      alertScore: weather.alertScore,
+      weatherSource: weather.source,
+      weatherAlerts: weather.alerts || [],
+      etaMs: departAt + elapsedAt((piece.startM + piece.endM) / 2) * 1000,
+      risk
+    };
+  });
+}
+
+// "Flood risk source" (route form): which inputs a route's score is built from. Terms a source leaves out get
+// weight 0 and their hazards don't make a route impassable; weather is still fetched for "reports" since the
+// flood model uses the expected rain.
+const RISK_SOURCES = {
+  combined: { label: "Combined", noah: true, weather: true, reports: true },
+  noah: { label: "NOAH hazard maps", noah: true, weather: false, reports: false },
+  weather: { label: "AccuWeather", noah: false, weather: true, reports: false }
+};
+const DEFAULT_RISK_SOURCE = "combined";
+
+function getRiskSource(id) {
+  return RISK_SOURCES[id] || RISK_SOURCES[DEFAULT_RISK_SOURCE];
+}
+
 // combined scoring for a route geometry (async)
-async function scoreRouteCombinedAsync(geojson) {
-  // learned
-  const learned = computeLearnedScore(geojson); // avg count
+// options.route: the OSRM route (step durations drive ETAs); options.departAt: departure time in ms (default now);
+// options.profile: a VEHICLE_PROFILES entry whose hazard factors scale the learned and NOAH terms;
+// options.riskSource: a RISK_SOURCES key (default "combined")
+async function scoreRouteCombinedAsync(geojson, options = {}) {
+  const profile = options.profile || null;
+  const source = getRiskSource(options.riskSource);
+  const departAt = Number.isFinite(options.departAt) ? options.departAt : Date.now();
+  const geomTotalM = splitLineByDistance(geojson, SEGMENT_LENGTH_M).reduce((m, p) => Math.max(m, p.endM), 0);
+  const elapsedAt = routeTimeline(options.route, geomTotalM);
   // noah
-  const noah = computeNoahScore(geojson); // 0..1
-  // weather: sample midpoint
-  const coords = geojson.coordinates;
-  const midIdx = Math.floor(coords.length / 2);
-  const [midLng, midLat] = coords[midIdx] || coords[0];
-  let weather = { rainScore: 0, alertScore: 0, raw: null };
-  try {
-    weather = await computeWeatherScoreForPoint(midLat, midLng);
-  } catch (e) { console.warn("Weather score failed:", e); }
+  const { score: noah, exposure: noahExposure } = computeNoahScore(geojson, profile); // risk-weighted km
+  // weather: evenly spaced samples along the route, each scored for the time the vehicle gets there
+  let weatherSamples = [];
+  if (source.weather || source.reports) {
+    try {
+      weatherSamples = await computeRouteWeatherSamples(geojson, departAt, elapsedAt);
+    } catch (e) { console.warn("Weather score failed:", e); }
+  }
+  // learned (uses the expected rain, so after weather)
+  const learned = source.reports ? computeLearnedScore(geojson, profile, weatherSamples) : 0; // avg model likelihood, report units
+
+  // combine with the weights from RiskSettings; inputs the risk source leaves out weigh nothing
+  const w = RiskSettings.get().weights;
+  const weights = {
+    learned: source.reports ? w.learned : 0,  // per weighted-report unit
+    noah: source.noah ? w.noah : 0,           // per risk-weighted km inside NOAH hazard polygons
+    rain: source.weather ? w.rain : 0,        // per mm of rain
+    alert: source.weather ? w.alert : 0       // per alert point
+  };
+
+  const segments = computeRouteSegments(geojson, weatherSamples, weights, elapsedAt, departAt, profile);
+  const weather = aggregateSegmentWeather(segments, weatherSamples);
+  const combined = (weights.learned * learned) + (weights.noah * noah) + (weights.rain * weather.rainScore) + (weights.alert * weather.alertScore);
+  const arriveAt = departAt + elapsedAt(geomTotalM) * 1000;
+  const impassable = impassableHazard(segments, profile, source);
+  const missing = routeMissingInputs(source, weatherSamples);
+  return { combined, breakdown: { learned, noah, noahExposure, weather, weights, segments, departAt, arriveAt, impassable, riskSource: source, missing } };
+}
+
+// inputs the risk source uses that had no data for this route: [{ input: "noah"|"weather", label, partial }]
+// (partial: weather answered for some sample points only). Their terms count 0, which must not read as "no risk".
+// Imported hazard areas are scored as NOAH polygons, so they count as hazard data when the NOAH map is down.
+function routeMissingInputs(source, weatherSamples) {
+  const missing = [];
+  if (source.noah && !noahHazardData && !ImportedHazards.all().length) missing.push({ input: "noah", label: "NOAH hazard map" });
+  if (source.weather && weatherSamples.length) {
+    const without = weatherSamples.filter(s => s.source === "none").length;
+    if (without === weatherSamples.length) missing.push({ input: "weather", label: "AccuWeather" });
+    else if (without) missing.push({ input: "weather", label: "AccuWeather", partial: `${without} of ${weatherSamples.length} points` });
+  }
+  return missing;
+}
+
+function missingInputsText(missing) {
+  return missing.map(m => (m.partial ? `${m.label} missing at ${m.partial}` : `no ${m.label} data`)).join(", ");
+}
+
+// a route's risk for display: "1.23", "1.23 (incomplete: no AccuWeather data)", or "unknown (...)" when every
+// input of the risk source is missing
+function riskLabel(ev) {
+  const missing = ev.details.missing || [];
+  if (!missing.length) return ev.score.toFixed(2);
+  const source = ev.details.riskSource;
+  const used = [source.noah && "noah", source.weather && "weather", source.reports && "reports"].filter(Boolean);
+  const none = used.every(input => missing.some(m => m.input === input && !m.partial));
+  return `${none ? "unknown" : ev.score.toFixed(2)} (${none ? "" : "incomplete: "}${missingInputsText(missing)})`;
+}
+
+function formatNoahExposure(exp) {
+  if (!exp || exp.insideMeters <= 0) return "none";
+  const parts = Object.keys(exp.byClass).sort((a, b) => b - a)
+    .map(k => `class ${k}: ${(exp.byClass[k] / 1000).toFixed(2)} km`);
+  return `${parts.join(", ")} (${(100 * exp.insideMeters / exp.totalMeters).toFixed(1)}% of route)`;
+}
+
+// the four terms of the route score: weight × value, what each added and its share of the total
+function scoreTerms(details) {
+  const w = details.weights;
+  const terms = [
+    { key: "learned", label: "Flood model (reports)", weight: w.learned, value: details.learned, unit: "" },
+    { key: "noah", label: "NOAH hazard", weight: w.noah, value: details.noah, unit: " km" },
+    { key: "rain", label: "Rain", weight: w.rain, value: details.weather.rainScore, unit: " mm" },
+    { key: "alert", label: "Weather alert", weight: w.alert, value: details.weather.alertScore, unit: " pts" }
+  ].map(t => ({ ...t, contribution: t.weight * t.value }));
+  const total = terms.reduce((s, t) => s + t.contribution, 0);
+  terms.forEach(t => { t.share = total > 0 ? t.contribution / total : 0; });
+  return terms;
+}
+
+// popup explanation: the formula with this route's numbers, then one line per term
+function scoreExplanationHtml(details, score) {
+  const terms = scoreTerms(details);
+  const formula = terms.filter(t => t.weight > 0).map(t => `${t.weight} × ${t.value.toFixed(2)}`).join(" + ") || "0";
+  const source = details.riskSource;
+  const inSource = { learned: source.reports, noah: source.noah, rain: source.weather, alert: source.weather };
+  const missing = details.missing || [];
+  const missingFor = t => missing.find(m => m.input === ({ noah: "noah", rain: "weather", alert: "weather" })[t.key]);
+  const rows = terms.map(t => {
+    const gap = missingFor(t);
+    if (gap && !gap.partial) return `<li class="missing">${t.label}: no data (${escapeHtml(gap.label)} unavailable), left out of the total</li>`;
+    return t.weight > 0
+      ? `<li>${t.label}: ${t.weight} × ${t.value.toFixed(2)}${t.unit} = <strong>${t.contribution.toFixed(2)}</strong> (${Math.round(100 * t.share)}%)${gap ? ` <em>(${escapeHtml(gap.partial)} had no data)</em>` : ""}</li>`
+      : `<li class="unused">${t.label}: ${inSource[t.key] ? "weight 0 in Settings" : "not used by this risk source"}</li>`;
+  }).join("");
+  const warning = missing.length
+    ? `<div class="score-missing">⚠ Incomplete: ${escapeHtml(missingInputsText(missing))}. Missing inputs are not counted, so the real risk may be higher.</div>` : "";
+  return `<div class="score-formula"><code>risk = ${formula} = ${score.toFixed(2)}</code></div>${warning}<ul class="score-terms">${rows}</ul>`;
+}
+
+/* -------------------------
+   Hazard-avoiding rerouting ("Avoid flooded roads")
+   - when every OSRM alternative is at/above the threshold, steer around the heaviest obstacles on the
+     best route: NOAH polygons it crosses and clusters of user reports near it
+   - each obstacle yields a left/right via-point; each candidate costs one OSRM request, capped at DETOUR_MAX_ATTEMPTS
+   ------------------------- */
+const DETOUR_MAX_ATTEMPTS = 6;
+const DETOUR_MAX_OBSTACLES = 3;
+const DETOUR_MARGIN_M = 300;
+const REPORT_CLUSTER_RADIUS_M = 250;
+const REPORT_CLUSTER_MIN_WEIGHT = 1.5; // ignore clusters that are only a faded low-severity report or two
+const REPORT_CLUSTER_NEAR_ROUTE_M = 150;
+
+// greedy clustering of live reports; each cluster becomes an obstacle if the route passes close to it
+function reportObstaclesAlongRoute(coords, now = Date.now()) {
+  const live = learnerReports()
+    .map(r => ({ r, w: FloodReports.weight(r, now) }))
+    .filter(x => x.w > 0)
+    .sort((a, b) => b.w - a.w);
+  const clusters = [];
+  live.forEach(({ r, w }) => {
+    const c = clusters.find(c => haversineMeters(c.lat, c.lng, r.lat, r.lng) <= REPORT_CLUSTER_RADIUS_M);
+    if (c) { c.members.push(r); c.weight += w; }
+    else clusters.push({ lat: r.lat, lng: r.lng, members: [r], weight: w });
+  });
+  return clusters
+    .filter(c => c.weight >= REPORT_CLUSTER_MIN_WEIGHT)
+    .filter(c => distanceToLineMeters(c.lng, c.lat, coords) <= REPORT_CLUSTER_NEAR_ROUTE_M)
+    .map(c => {
+      const spread = Math.max(...c.members.map(m => haversineMeters(c.lat, c.lng, m.lat, m.lng)));
+      return {
+        lng: c.lng, lat: c.lat,
+        radiusM: spread + 100,
+        weight: c.weight,
+        source: "reports",
+        label: `${c.members.length} flood report${c.members.length > 1 ? "s" : ""}`
+      };
+    });
+}
 
-  // combine with weights (tunable)
-  const wLearned = 1.0;        // per-count weight
-  const wNoah = 3.0;          // noah presence heavy weight
-  const wRain = 0.2;          // rain mm scaling
-  const wAlert = 2.0;         // alert importance
+function detourObstacles(geo) {
+  return [
+    ...hazardObstaclesAlongRoute(noahHazardIndex, geo),
+    ...reportObstaclesAlongRoute(geo.coordinates)
+  ].sort((a, b) => b.weight - a.weight).slice(0, DETOUR_MAX_OBSTACLES);
+}
+
+// under the threshold, nothing on it that strands the chosen vehicle, and every input of the risk source had data
+// (a missing input scores 0, so an incomplete score under the threshold proves nothing)
+function isRouteSafe(ev, threshold) {
+  return ev.score < threshold && !ev.details.impassable && !ev.details.missing?.length;
+}
+
+// score against the threshold, by the same rule as isRouteSafe (impassability aside): "over", "under", or "unknown"
+// when an incomplete score is under it (its missing terms count 0, so it may really be over)
+function thresholdStatus(ev, threshold) {
+  if (ev.score >= threshold) return "over";
+  return ev.details.missing?.length ? "unknown" : "under";
+}
 
-  // normalize noah (0..1) to 0..3
-  const noahNorm = noah * 3.0;
+// passable routes first, then complete scores before incomplete ones, then by score
+function compareEvaluations(a, b) {
+  const rank = ev => (ev.details.impassable ? 2 : 0) + (ev.details.missing?.length ? 1 : 0);
+  return rank(a) - rank(b) || a.score - b.score;
+}
 
-  const combined = (wLearned * learned) + (wNoah * noahNorm) + (wRain * weather.rainScore) + (wAlert * weather.alertScore);
-  return { combined, breakdown: { learned, noah, weather } };
+// returns { candidates: [evaluation...], attempts, obstacles }; stops early once a candidate is safe (isRouteSafe)
+async function searchDetours(o, d, best, threshold, departAt, profile, riskSource) {
+  const obstacles = detourObstacles(best.geo);
+  const candidates = [];
+  let attempts = 0;
+  const tried = new Set();
+  for (const obstacle of obstacles) {
+    for (const via of detourViaPoints(best.geo, obstacle, DETOUR_MARGIN_M)) {
+      if (attempts >= DETOUR_MAX_ATTEMPTS) return { candidates, attempts, obstacles };
+      const key = `${via.lat.toFixed(4)},${via.lng.toFixed(4)}`;
+      if (tried.has(key)) continue;
+      tried.add(key);
+      attempts++;
+      setStatus(`Searching detour ${attempts}/${DETOUR_MAX_ATTEMPTS} around ${obstacle.label} (${via.side})...`);
+      try {
+        const osrm = await requestOSRMRoute(o, d, [via], profile);
+        const r = osrm && osrm.routes && osrm.routes[0];
+        if (!r) continue;
+        const scoreObj = await scoreRouteCombinedAsync(r.geometry, { route: r, departAt, profile, riskSource });
+        const ev = { idx: `detour-${attempts}`, geo: r.geometry, score: scoreObj.combined, details: scoreObj.breakdown, route: r, detour: { via, obstacle } };
+        candidates.push(ev);
+        if (isRouteSafe(ev, threshold)) return { candidates, attempts, obstacles };
+      } catch (e) {
+        console.warn("Detour request failed:", e);
+      }
+    }
+  }
+  return { candidates, attempts, obstacles };
 }
 
 /* -------------------------
@@ -478,34 +2152,241 @@ function drawGeojsonRoute(geojson, idSuffix, isBest=false) {
   drawnRouteIds.push(lineId);
 }
 
+const RISK_UNKNOWN_COLOR = "#868e96"; // scores with missing inputs, which no risk band fits
+
+// color band for a risk value relative to the user's threshold
+function riskColor(risk, threshold) {
+  const ratio = threshold > 0 ? risk / threshold : risk;
+  if (ratio < 0.25) return "#2f9e44";
+  if (ratio < 0.5) return "#94d82d";
+  if (ratio < 0.75) return "#fab005";
+  if (ratio < 1) return "#f76707";
+  return "#c92a2a";
+}
+
+// best route painted with a line-gradient: one color stop per segment midpoint, by segment risk
+// incomplete: the score has missing inputs (their terms are 0 in every segment), so the line is drawn in
+// RISK_UNKNOWN_COLOR instead of risk bands that would read as low risk
+function drawRiskGradientRoute(geojson, segments, threshold, idSuffix = "best", incomplete = false) {
+  const srcId = `route-src-${idSuffix}`;
+  const lineId = `route-line-${idSuffix}`;
+  if (map.getLayer(lineId)) map.removeLayer(lineId);
+  if (map.getSource(srcId)) map.removeSource(srcId);
+  const totalM = segments.length ? segments[segments.length - 1].endM : 0;
+  if (!segments.length || totalM <= 0) { drawGeojsonRoute(geojson, idSuffix, true); return; }
+
+  const stops = [];
+  let last = -1;
+  segments.forEach(seg => {
+    const p = Math.min(1, Math.max(0, ((seg.startM + seg.endM) / 2) / totalM));
+    if (p <= last) return; // interpolate stops must be strictly increasing
+    stops.push(p, incomplete ? RISK_UNKNOWN_COLOR : riskColor(seg.risk, threshold));
+    last = p;
+  });
+  const gradient = stops.length >= 4
+    ? ["interpolate", ["linear"], ["line-progress"], ...stops]
+    : ["interpolate", ["linear"], ["line-progress"], 0, stops[1], 1, stops[1]];
+
+  map.addSource(srcId, { type: "geojson", data: geojson, lineMetrics: true });
+  map.addLayer({
+    id: lineId,
+    type: "line",
+    source: srcId,
+    layout: { "line-cap": "round", "line-join": "round" },
+    paint: { "line-width": 7, "line-opacity": 0.95, "line-gradient": gradient }
+  });
+  drawnRouteIds.push(lineId);
+}
+
+/* -------------------------
+   Route Summary: distance/duration + flooded or high-risk stretches
+   - consecutive risky segments are merged into one stretch; each links to its directions step
+   ------------------------- */
+// at/above the threshold, NOAH class 2+, any flood report or a weather alert (also used for direction warnings)
+function isFlaggedSegment(seg, threshold) {
+  return seg.risk >= threshold || seg.maxNoahClass >= 2 || seg.reportCount > 0 || seg.weatherAlerts.length > 0;
+}
+
+function riskyStretches(segments, threshold) {
+  const stretches = [];
+  segments.forEach(seg => {
+    if (!isFlaggedSegment(seg, threshold)) return;
+    const prev = stretches[stretches.length - 1];
+    if (prev && prev.endSeg === seg.index - 1) {
+      prev.endSeg = seg.index;
+      prev.endM = seg.endM;
+      prev.maxRisk = Math.max(prev.maxRisk, seg.risk);
+      prev.maxNoahClass = Math.max(prev.maxNoahClass, seg.maxNoahClass);
+      prev.reportCount += seg.reportCount;
+      seg.weatherAlerts.forEach(a => prev.weatherAlerts.add(a));
+      prev.forecast = prev.forecast || seg.weatherSource.startsWith("forecast");
+    } else {
+      stretches.push({
+        startSeg: seg.index, endSeg: seg.index, startM: seg.startM, endM: seg.endM,
+        maxRisk: seg.risk, maxNoahClass: seg.maxNoahClass, reportCount: seg.reportCount,
+        weatherAlerts: new Set(seg.weatherAlerts), forecast: seg.weatherSource.startsWith("forecast"), etaMs: seg.etaMs
+      });
+    }
+  });
+  return stretches;
+}
+
+// why a stretch was flagged (summary list, GPX waypoints)
+function stretchReasons(st, threshold) {
+  const reasons = [];
+  if (st.maxNoahClass > 0) reasons.push(`NOAH hazard class ${st.maxNoahClass}`);
+  if (st.reportCount > 0) reasons.push(`${st.reportCount} flood report${st.reportCount > 1 ? "s" : ""}`);
+  if (st.weatherAlerts.size) reasons.push(Array.from(st.weatherAlerts).join("; "));
+  if (st.maxRisk >= threshold && !reasons.length) reasons.push(st.forecast ? "forecast rain" : "weather");
+  return reasons;
+}
+
+function renderRouteSummary(ev, threshold) {
+  const el = document.getElementById("route-summary");
+  if (!el) return;
+  if (!ev) { el.innerHTML = "<em>No route</em>"; return; }
+  const segments = ev.details.segments || [];
+  const geomM = segments.length ? segments[segments.length - 1].endM : 0;
+  // geometry length and OSRM distance differ slightly; map along-route positions onto OSRM meters
+  const scale = geomM > 0 && ev.route && ev.route.distance ? ev.route.distance / geomM : 1;
+  const km = ((ev.route?.distance ?? geomM) / 1000).toFixed(2);
+  const mins = ev.route?.duration ? Math.round(ev.route.duration / 60) : null;
+
+  const missing = ev.details.missing || [];
+  const stretches = riskyStretches(segments, threshold);
+  const items = stretches.map(st => {
+    const reasons = stretchReasons(st, threshold);
+    reasons.push(`around ${formatClock(st.etaMs)}`);
+    const stepIdx = stepIndexAtDistance(ev.route, st.startM * scale);
+    const from = (st.startM * scale / 1000).toFixed(2);
+    const to = (st.endM * scale / 1000).toFixed(2);
+    const link = stepIdx >= 0 ? ` <a href="#dir-step-${stepIdx}" data-step="${stepIdx}">go to step</a>` : "";
+    const color = missing.length ? RISK_UNKNOWN_COLOR : riskColor(st.maxRisk, threshold);
+    return `<li><span class="swatch" style="background:${color}"></span>
+              km ${from}–${to}: ${escapeHtml(reasons.join(", "))} (risk ${st.maxRisk.toFixed(2)}${missing.length ? ", incomplete" : ""})${link}</li>`;
+  });
+  // a route scored without some inputs can't be called clear: their terms count 0 on every stretch
+  const missingText = missing.length ? escapeHtml(missingInputsText(missing)) : "";
+  const stretchList = items.length
+    ? `<strong>Flooded / high-risk stretches</strong><ul class="stretch-list">${items.join("")}</ul>` +
+      (missing.length ? `<div class="hint">Checked without all inputs (${missingText}); other stretches may be at risk too.</div>` : "")
+    : missing.length
+      ? `<div>Can't tell which stretches are flooded or high-risk: ${missingText}.</div>`
+      : "<div>No flooded or high-risk stretches detected.</div>";
+
+  const horizonNote = (ev.details.weather.sources || []).includes("forecast-horizon")
+    ? "<div class=\"hint\">Part of this trip is beyond the 12-hour forecast; the last forecast hour was used.</div>" : "";
+  const routerNote = ev.route?.notice ? `<div class="hint router-notice">${escapeHtml(ev.route.notice)}</div>` : "";
+  el.innerHTML = `<div>Distance: ${km} km${mins !== null ? ` · ${mins} min` : ""} · overall risk ${escapeHtml(riskLabel(ev))}</div>
+    <div>Depart ${formatClock(ev.details.departAt)} · arrive ~${formatClock(ev.details.arriveAt)}</div>${routerNote}${horizonNote}
+    ${stretchList}`;
+  el.querySelectorAll("a[data-step]").forEach(a => a.addEventListener("click", (e) => {
+    e.preventDefault();
+    highlightDirectionStep(Number(a.dataset.step));
+  }));
+}
+
+// departure time from the form (datetime-local is in the browser's local time); empty or invalid = now
+function readDepartureTime() {
+  const raw = document.getElementById("departure")?.value;
+  const t = raw ? new Date(raw).getTime() : NaN;
+  return Number.isFinite(t) ? t : Date.now();
+}
+
+// ms -> datetime-local input value (local time)
+function dateTimeInputValue(ms) {
+  const d = new Date(ms);
+  return `${dateInputValue(ms)}T${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+function formatClock(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
 /* -------------------------
    Main routing flow (async) — include route object in evaluation and render directions/weather
    ------------------------- */
+// the route form's threshold: 0 is a valid choice; an empty or invalid field falls back to the Settings default
+function formThreshold() {
+  const raw = String(document.getElementById("threshold")?.value ?? "").trim();
+  const n = Number(raw);
+  return raw !== "" && Number.isFinite(n) && n >= 0 ? n : RiskSettings.get().threshold;
+}
+
 async function handleRouting() {
   setStatus("Resolving origin & destination...");
-  const originText = document.getElementById("origin").value;
-  const destText = document.getElementById("destination").value;
-  const threshold = Number(document.getElementById("threshold").value) || 2;
+  const originInput = document.getElementById("origin");
+  const destInput = document.getElementById("destination");
+  const threshold = formThreshold();
+  const avoidFloods = !!document.getElementById("avoid-floods")?.checked;
+  const departAt = readDepartureTime();
+  const fixedDeparture = !!document.getElementById("departure")?.value;
+  const profile = getVehicleProfile(document.getElementById("vehicle-profile")?.value);
+  const riskSource = document.getElementById("risk-source")?.value || DEFAULT_RISK_SOURCE;
 
-  const o = await resolveLocation(originText);
-  const d = await resolveLocation(destText);
+  const o = await resolvePlaceField(originInput);
+  const d = await resolvePlaceField(destInput);
   if (!o || !d) { setStatus("Could not resolve origin or destination. Use lat,lng or a valid address."); return; }
 
-  setStatus("Requesting OSRM routes...");
+  await planRoute({ o, d, threshold, avoidFloods, departAt, fixedDeparture, profile, riskSource });
+}
+
+// last planned route (navigation mode follows and re-plans it)
+let lastPlan = null;
+
+// requests, scores, draws and describes routes from o to d; returns the chosen evaluation (or null).
+// `reroute: true` (navigation) skips the weather panels and the breakdown popup.
+// `pick` (from a shared link, see readSharedRoute) puts that route first instead of the safest one.
+async function planRoute({ o, d, threshold, avoidFloods, departAt, fixedDeparture = false, profile, riskSource = DEFAULT_RISK_SOURCE, reroute = false, pick = null }) {
+  setStatus(`Requesting routes (${getRoutingProvider().name})...`);
   try {
-    const osrm = await requestOSRMRoute(o, d);
-    if (!osrm || !osrm.routes || osrm.routes.length === 0) { setStatus("No routes found."); return; }
+    const osrm = await requestOSRMRoute(o, d, [], profile);
+    if (!osrm || !osrm.routes || osrm.routes.length === 0) { setStatus("No routes found."); return null; }
 
     clearRoutes();
     // evaluate all routes in parallel (scoreRouteCombinedAsync)
     const evaluations = await Promise.all(osrm.routes.map(async (r, idx) => {
       const geo = r.geometry;
-      const scoreObj = await scoreRouteCombinedAsync(geo);
+      const scoreObj = await scoreRouteCombinedAsync(geo, { route: r, departAt, profile, riskSource });
       return { idx, geo, score: scoreObj.combined, details: scoreObj.breakdown, route: r };
     }));
 
-    // sort by score ascending (safer = lower)
-    evaluations.sort((a,b) => a.score - b.score);
+    // sort by score ascending (safer = lower), incomplete scores after complete ones, impassable routes last
+    evaluations.sort(compareEvaluations);
+
+    // shared link: the sender's route goes first even when it is no longer the safest
+    let pickNote = "";
+    let picked = null;
+    if (pick) {
+      const safest = evaluations[0];
+      picked = await sharedRouteEvaluation(evaluations, pick, { o, d, departAt, profile, riskSource });
+      if (!picked) {
+        pickNote = "The shared route is no longer offered by the router; showing the safest route instead.";
+      } else {
+        if (evaluations.includes(picked)) evaluations.splice(evaluations.indexOf(picked), 1);
+        evaluations.unshift(picked);
+        if (safest && picked !== safest && compareEvaluations(safest, picked) < 0) {
+          pickNote = `A safer route (risk ${riskLabel(safest)}) is available now; it is drawn as an alternative.`;
+        }
+      }
+    }
+
+    // every alternative too risky: look for detours around the hazards on the best one (not when the only problem is
+    // missing data, which a detour would be missing too)
+    let detourNote = "";
+    const tooRisky = ev => ev.score >= threshold || ev.details.impassable;
+    if (avoidFloods && !picked && evaluations[0] && tooRisky(evaluations[0])) {
+      const search = await searchDetours(o, d, evaluations[0], threshold, departAt, profile, riskSource);
+      evaluations.push(...search.candidates);
+      evaluations.sort(compareEvaluations);
+      if (!search.obstacles.length) {
+        detourNote = "No specific hazard or report cluster on the route to steer around.";
+      } else if (tooRisky(evaluations[0])) {
+        detourNote = `No route under the threshold after ${search.attempts} detour attempt(s) around ${search.obstacles.map(x => x.label).join("; ")}. Showing the least risky option.`;
+      } else if (evaluations[0].detour) {
+        detourNote = `Detour found around ${evaluations[0].detour.obstacle.label}.`;
+      }
+    }
 
     // draw alternatives and best
     evaluations.forEach((ev, i) => {
@@ -514,58 +2395,2298 @@ async function handleRouting() {
 
     const best = evaluations[0];
     if (best) {
-      drawGeojsonRoute({ type: "Feature", geometry: best.geo }, `best`, true);
-      setStatus(`Best route selected (risk ${best.score.toFixed(2)}).`);
+      drawRiskGradientRoute({ type: "Feature", geometry: best.geo }, best.details.segments, threshold, "best", !!best.details.missing?.length);
+      drawWeatherOverlay(best.details.weather.samples);
+      const chosenLabel = picked ? "Shared route" : "Best route";
+      setStatus(`${chosenLabel} selected (risk ${riskLabel(best)}).`);
+      lastPlan = { o, d, threshold, avoidFloods, departAt, fixedDeparture, profile, riskSource, best, evaluations };
+      const navBtn = document.getElementById("nav-start");
+      if (navBtn) navBtn.disabled = false;
+      const exportBtn = document.getElementById("export-route");
+      if (exportBtn) exportBtn.disabled = false;
+      const historyBtn = document.getElementById("history-score");
+      if (historyBtn) historyBtn.disabled = false;
+      const watchBtn = document.getElementById("watch-route");
+      if (watchBtn) watchBtn.disabled = false;
+      setRouteActionsEnabled(true);
+      // navigation re-plans from wherever the device is; the address bar keeps the original request
+      if (!reroute) updateShareUrl();
 
       // show directions using the full OSRM route (contains legs/steps)
-      renderDirections(best.route);
-
-      // show weather for origin & destination (if proxy available)
-      await Promise.all([
-        renderWeatherForPoint("weather-origin", o.lat, o.lng, "Origin"),
-        renderWeatherForPoint("weather-destination", d.lat, d.lng, "Destination")
-      ]);
-
-      // popup with breakdown
-      const mid = best.geo.coordinates[Math.floor(best.geo.coordinates.length/2)];
-      const [lng, lat] = mid;
-      const popupHtml = `<strong>Route risk: ${best.score.toFixed(2)}</strong><br/>
-                         learned avg: ${best.details.learned.toFixed(2)}<br/>
-                         NOAH overlap: ${(best.details.noah*100).toFixed(1)}%<br/>
-                         weather sample rainScore: ${best.details.weather.rainScore} mm, alertScore: ${best.details.weather.alertScore}`;
-      new maplibregl.Popup({ offset: 12 }).setLngLat([lng, lat]).setHTML(popupHtml).addTo(map);
-
-      if (best.score >= threshold) {
-        setStatus(`Warning: best route risk ${best.score.toFixed(2)} >= threshold ${threshold}. Consider detour.`);
+      renderDirections(best.route, { segments: best.details.segments, threshold });
+      renderRouteSummary(best, threshold);
+
+      if (!reroute) {
+        // show weather for origin & destination (if proxy available)
+        await Promise.all([
+          renderWeatherForPoint("weather-origin", o.lat, o.lng, "Origin"),
+          renderWeatherForPoint("weather-destination", d.lat, d.lng, "Destination")
+        ]);
+
+        // popup with breakdown
+        const mid = best.geo.coordinates[Math.floor(best.geo.coordinates.length/2)];
+        const [lng, lat] = mid;
+        const popupHtml = `<strong>Route risk: ${escapeHtml(riskLabel(best))}</strong> (${escapeHtml(profile.label)}, risk source: ${escapeHtml(best.details.riskSource.label)})
+                           ${scoreExplanationHtml(best.details, best.score)}
+                           NOAH exposure: ${formatNoahExposure(best.details.noahExposure)}<br/>
+                           weather (${best.details.weather.samples.length} samples, ${best.details.weather.sources.join("/") || "none"}): rainScore ${best.details.weather.rainScore.toFixed(1)} mm, alertScore: ${best.details.weather.alertScore}
+                           ${best.details.weather.alerts.length ? `<br/>alerts: ${escapeHtml(best.details.weather.alerts.join("; "))}` : ""}`;
+        new maplibregl.Popup({ offset: 12 }).setLngLat([lng, lat]).setHTML(popupHtml).addTo(map);
+      }
+
+      const advice = [avoidFloods ? detourNote : "Enable \"Avoid flooded roads\" to search for detours.", pickNote].filter(Boolean).join(" ");
+      if (best.details.impassable) {
+        setStatus(`Warning: route crosses a ${best.details.impassable.reason} — likely impassable by ${profile.label.toLowerCase()}. ${advice}`.trim());
+      } else if (best.score >= threshold) {
+        setStatus(`Warning: best route risk ${riskLabel(best)} >= threshold ${threshold} for ${profile.label.toLowerCase()}. ${advice}`.trim());
+      } else if (best.details.missing?.length) {
+        setStatus(`Warning: best route risk ${riskLabel(best)} can't be confirmed under threshold ${threshold}; missing inputs count 0. ${[detourNote, pickNote].filter(Boolean).join(" ")}`.trim());
+      } else if (detourNote || pickNote) {
+        setStatus(`${chosenLabel} selected (risk ${riskLabel(best)}). ${[detourNote, pickNote].filter(Boolean).join(" ")}`);
       }
     }
+    return best || null;
 
   } catch (e) {
     console.error("Routing flow error:", e);
     setStatus("Routing failed (see console).");
+    return null;
   }
 }
 
 /* -------------------------
-   Wire UI & init — clear weather/directions when clearing memory
+   Current location ("Use current location")
    ------------------------- */
-function wireUI() {
-  const form = document.getElementById("route-form");
-  if (form) form.addEventListener("submit", (ev) => { ev.preventDefault(); handleRouting(); });
+function setUserLocationMarker(lat, lng) {
+  if (!map) return;
+  if (!userLocationMarker) {
+    const el = document.createElement("div");
+    el.className = "user-location-marker";
+    userLocationMarker = new maplibregl.Marker(el).setLngLat([lng, lat]).addTo(map);
+  } else {
+    userLocationMarker.setLngLat([lng, lat]);
+  }
+}
 
-  const clearBtn = document.getElementById("clear-memory");
-  if (clearBtn) clearBtn.addEventListener("click", () => {
-    FloodLearner.clear();
-    setStatus("Local flood memory cleared.");
-    clearRoutes();
-    const directions = document.getElementById("directions");
-    const summary = document.getElementById("directions-summary");
-    const w1 = document.getElementById("weather-origin");
-    const w2 = document.getElementById("weather-destination");
-    if (directions) directions.innerHTML = "";
-    if (summary) summary.textContent = "";
-    if (w1) w1.innerHTML = "Origin: <em>none</em>";
-    if (w2) w2.innerHTML = "Destination: <em>none</em>";
+function getCurrentPosition(options = { enableHighAccuracy: true, timeout: 10000, maximumAge: 30000 }) {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) { reject(new Error("Geolocation is not supported by this browser.")); return; }
+    navigator.geolocation.getCurrentPosition(resolve, reject, options);
+  });
+}
+
+// fills the origin field with the device position and centers the map on it
+async function detectCurrentLocation() {
+  setStatus("Locating...");
+  try {
+    const pos = await getCurrentPosition();
+    const { latitude: lat, longitude: lng, accuracy } = pos.coords;
+    setPlaceField(document.getElementById("origin"), { lat, lng });
+    setUserLocationMarker(lat, lng);
+    if (map) map.flyTo({ center: [lng, lat], zoom: Math.max(map.getZoom(), 15) });
+    setStatus(`Current location set (±${Math.round(accuracy)} m).`);
+    return { lat, lng };
+  } catch (e) {
+    console.warn("Geolocation failed:", e);
+    setStatus(`Could not get current location: ${e.message}`);
+    return null;
+  }
+}
+
+/* -------------------------
+   Navigation mode
+   - follows navigator.geolocation.watchPosition, snaps each fix to the route and advances through the steps
+   - off-route: more than NAV_OFF_ROUTE_M (plus GPS accuracy) away for NAV_OFF_ROUTE_FIXES fixes in a row -> reroute
+   - hazard ahead: when reports or NOAH data change, the remaining path is re-scored; if it became impassable or
+     rose past the threshold and above its earlier score, reroute
+   - reroutes are spaced at least NAV_REROUTE_COOLDOWN_MS apart
+   ------------------------- */
+const NAV_OFF_ROUTE_M = 40;
+const NAV_OFF_ROUTE_FIXES = 3;
+const NAV_ARRIVE_M = 30;
+const NAV_REROUTE_COOLDOWN_MS = 30 * 1000;
+const NAV_HAZARD_DELTA = 1.0; // rise of the worst segment risk ahead that counts as "new hazard ahead"
+const NAV_PROMPT_AHEAD_M = 250; // voice: announce the next maneuver (and its flood warning) this far ahead...
+const NAV_PROMPT_NOW_M = 40;    // ...and again when it is this close
+
+const voiceGuide = createVoiceGuide();
+
+const nav = {
+  active: false,
+  watchId: null,
+  offRouteCount: 0,
+  lastFix: null,     // { lat, lng, accuracy }
+  alongM: 0,
+  lastRerouteAt: 0,
+  rerouting: false,
+  spoken: new Set()  // "<step>:ahead" / "<step>:now" prompts already spoken on this route
+};
+
+function startNavigation() {
+  if (!lastPlan || !lastPlan.best) { setStatus("Plan a route before starting navigation."); return; }
+  if (!navigator.geolocation) { setStatus("Geolocation is not supported by this browser."); return; }
+  stopNavigation(true);
+  nav.active = true;
+  nav.offRouteCount = 0;
+  nav.alongM = 0;
+  nav.spoken.clear();
+  nav.watchId = navigator.geolocation.watchPosition(onNavPosition, (err) => {
+    console.warn("watchPosition error:", err);
+    updateNavBanner({ error: `GPS: ${err.message}` });
+  }, { enableHighAccuracy: true, maximumAge: 2000, timeout: 15000 });
+  document.getElementById("nav-start")?.setAttribute("hidden", "");
+  document.getElementById("nav-stop")?.removeAttribute("hidden");
+  updateNavBanner({});
+  const first = document.querySelector("#directions li[data-instruction]");
+  if (first && DirectionPrefs.get().voice) voiceGuide.speak([first.dataset.instruction, first.dataset.hazard].filter(Boolean).join(". "), DirectionPrefs.get().language, { interrupt: true });
+  setStatus("Navigation started.");
+}
+
+function stopNavigation(silent = false) {
+  if (nav.watchId !== null) { try { navigator.geolocation.clearWatch(nav.watchId); } catch(e){} }
+  nav.watchId = null;
+  nav.active = false;
+  voiceGuide.cancel();
+  const banner = document.getElementById("nav-banner");
+  if (banner) banner.hidden = true;
+  document.getElementById("nav-stop")?.setAttribute("hidden", "");
+  document.getElementById("nav-start")?.removeAttribute("hidden");
+  if (!silent) setStatus("Navigation stopped.");
+}
+
+async function onNavPosition(pos) {
+  if (!nav.active || !lastPlan) return;
+  const { latitude: lat, longitude: lng, accuracy = 0 } = pos.coords;
+  nav.lastFix = { lat, lng, accuracy };
+  setUserLocationMarker(lat, lng);
+  if (map) map.easeTo({ center: [lng, lat], duration: 500 });
+
+  const best = lastPlan.best;
+  const snap = snapToLine(best.geo, lng, lat);
+  const totalM = best.details.segments.length ? best.details.segments[best.details.segments.length - 1].endM : 0;
+
+  if (haversineMeters(lat, lng, lastPlan.d.lat, lastPlan.d.lng) <= NAV_ARRIVE_M || (totalM > 0 && totalM - snap.alongM <= NAV_ARRIVE_M && snap.distanceM <= NAV_OFF_ROUTE_M)) {
+    stopNavigation(true);
+    const { language, voice } = DirectionPrefs.get();
+    setStatus(phrase("arrived", language));
+    if (voice) voiceGuide.speak(phrase("arrived", language), language);
+    return;
+  }
+
+  if (snap.distanceM > NAV_OFF_ROUTE_M + accuracy) {
+    nav.offRouteCount++;
+    updateNavBanner({ offRoute: true });
+    if (nav.offRouteCount >= NAV_OFF_ROUTE_FIXES) await navReroute("Off route");
+    return;
+  }
+  nav.offRouteCount = 0;
+  nav.alongM = Math.max(nav.alongM, snap.alongM); // GPS jitter shouldn't move us backwards
+  updateNavBanner({});
+}
+
+// re-plan from the latest fix to the same destination with the same settings
+async function navReroute(reason) {
+  if (!nav.active || nav.rerouting || !nav.lastFix) return;
+  if (Date.now() - nav.lastRerouteAt < NAV_REROUTE_COOLDOWN_MS) return;
+  nav.rerouting = true;
+  nav.lastRerouteAt = Date.now();
+  setStatus(`${reason} — rerouting...`);
+  try {
+    const o = { lat: nav.lastFix.lat, lng: nav.lastFix.lng };
+    const best = await planRoute({ ...lastPlan, o, departAt: Date.now(), reroute: true });
+    if (best) {
+      nav.alongM = 0;
+      nav.offRouteCount = 0;
+      nav.spoken.clear();
+      setStatus(`${reason} — new route (risk ${riskLabel(best)}).`);
+    }
+  } finally {
+    nav.rerouting = false;
+    updateNavBanner({});
+  }
+}
+
+// the part of the current route still ahead of the driver
+function remainingGeometry() {
+  const coords = lastPlan.best.geo.coordinates;
+  if (!nav.lastFix) return lastPlan.best.geo;
+  const snap = snapToLine(coords, nav.lastFix.lng, nav.lastFix.lat);
+  return { type: "LineString", coordinates: [snap.point, ...coords.slice(snap.index + 1)] };
+}
+
+// worst segment risk the current plan expected from `alongM` (geometry meters) to the end
+function plannedRiskAhead(alongM) {
+  return lastPlan.best.details.segments.filter(seg => seg.endM > alongM).reduce((m, seg) => Math.max(m, seg.risk), 0);
+}
+
+// called when reports or NOAH data change while navigating
+async function checkHazardsAhead() {
+  if (!nav.active || !lastPlan || nav.rerouting) return;
+  const remaining = remainingGeometry();
+  if (remaining.coordinates.length < 2) return;
+  const scored = await scoreRouteCombinedAsync(remaining, { profile: lastPlan.profile, riskSource: lastPlan.riskSource, departAt: Date.now() });
+  // same stretch on both sides: the worst segment ahead now vs. the worst one planned from here on (a whole-route
+  // score would stay high after the riskiest part is behind, and dilute new risk on a short remainder)
+  const riskAhead = scored.breakdown.segments.reduce((m, seg) => Math.max(m, seg.risk), 0);
+  const worse = riskAhead >= lastPlan.threshold && riskAhead > plannedRiskAhead(nav.alongM) + NAV_HAZARD_DELTA;
+  if (scored.breakdown.impassable || worse) {
+    const why = scored.breakdown.impassable ? scored.breakdown.impassable.reason : `risk ${riskAhead.toFixed(2)}`;
+    await navReroute(`New hazard ahead (${why})`);
+    return;
+  }
+  // an input the plan had is gone now: its term counts 0 ahead, so "not worse" can't be trusted
+  const planned = lastPlan.best.details.missing || [];
+  const lost = scored.breakdown.missing.filter(m => !planned.some(p => p.input === m.input && !p.partial));
+  if (lost.length) setStatus(`Can't fully check the road ahead: ${missingInputsText(lost)}.`);
+}
+
+function updateNavBanner({ offRoute = false, error = null }) {
+  const banner = document.getElementById("nav-banner");
+  if (!banner || !nav.active || !lastPlan) return;
+  banner.hidden = false;
+  const best = lastPlan.best;
+  const segs = best.details.segments;
+  const geomM = segs.length ? segs[segs.length - 1].endM : 0;
+  const scale = geomM > 0 && best.route.distance ? best.route.distance / geomM : 1;
+  const osrmAlong = nav.alongM * scale;
+  const steps = flattenSteps(best.route);
+  // the next maneuver is the first step starting ahead of us; the current step's text describes it
+  const next = steps.find(s => s.startM > osrmAlong && document.getElementById(`dir-step-${s.globalIdx}`));
+  highlightDirectionStep(stepIndexAtDistance(best.route, osrmAlong), false);
+  const { language, voice } = DirectionPrefs.get();
+  const nextLi = next ? document.getElementById(`dir-step-${next.globalIdx}`) : null;
+  const nextText = nextLi ? nextLi.dataset.instruction : instructionText({ maneuver: { type: "arrive" } }, { language });
+  const toNext = Math.max(0, next ? next.startM - osrmAlong : (best.route.distance || 0) - osrmAlong);
+  const remainingM = Math.max(0, (best.route.distance || geomM * scale) - osrmAlong);
+  banner.innerHTML = `<div class="nav-next">${escapeHtml(phrase("inDistance", language, { distance: formatDistance(toNext, language), instruction: nextText }))}</div>
+    ${nextLi?.dataset.warning ? `<div class="nav-hazard">⚠ ${escapeHtml(nextLi.dataset.warning)}</div>` : ""}
+    <div class="nav-meta">${escapeHtml(phrase("remaining", language, { distance: formatDistance(remainingM, language) }))}${offRoute ? ` · <strong>${escapeHtml(phrase("offRoute", language))}</strong>` : ""}${nav.rerouting ? ` · ${escapeHtml(phrase("rerouting", language))}` : ""}</div>
+    ${error ? `<div class="nav-error">${escapeHtml(error)}</div>` : ""}`;
+  if (voice && next && nextLi && !offRoute && !nav.rerouting) announceStep(next, nextLi, toNext, language);
+}
+
+// voice prompts for the next maneuver: once NAV_PROMPT_AHEAD_M before it (with its flood warning), once at it
+function announceStep(entry, li, toNext, language) {
+  const key = entry.globalIdx;
+  if (toNext <= NAV_PROMPT_NOW_M) {
+    if (nav.spoken.has(`${key}:now`)) return;
+    nav.spoken.add(`${key}:now`).add(`${key}:ahead`);
+    voiceGuide.speak(li.dataset.instruction, language, { interrupt: true });
+  } else if (toNext <= NAV_PROMPT_AHEAD_M && !nav.spoken.has(`${key}:ahead`)) {
+    nav.spoken.add(`${key}:ahead`);
+    const continuing = entry.step.maneuver?.type === "depart" && entry.legIdx > 0;
+    const text = spokenInstruction(entry.step, toNext, { language, continuing });
+    voiceGuide.speak([text, li.dataset.hazard].filter(Boolean).join(". "), language);
+  }
+}
+
+/* -------------------------
+   Flood model status ("Retrain" button)
+   ------------------------- */
+function renderModelInfo() {
+  const el = document.getElementById("model-info");
+  if (!el) return;
+  const model = FloodLearner.getModel();
+  const info = model.info ? model.info() : {};
+  if (!info.trainedAt) { el.textContent = `Flood model (${model.name}): prior weights, not trained yet.`; return; }
+  if (!info.positives) {
+    el.textContent = `Flood model (${model.name}): prior weights — no flood reports in the last 30 days to learn from.`;
+    return;
+  }
+  const quality = info.calibrated ? `calibrated, Brier ${info.brier.toFixed(3)} on held-out data` : "too little data to calibrate";
+  el.textContent = `Flood model (${model.name}): trained ${new Date(info.trainedAt).toLocaleString()} on ${info.examples} cell-hours (${info.positives} with floods); ${quality}.`;
+}
+
+function trainFloodModel(force = true) {
+  try {
+    const info = force ? FloodLearner.train() : FloodLearner.maybeTrain();
+    if (info && force) setStatus(`Flood model retrained on ${info.examples} examples.`);
+  } catch (e) {
+    console.warn("Flood model training failed:", e);
+  }
+  renderModelInfo();
+}
+
+/* -------------------------
+   Flood history (heatmap, time slider, past scoring)
+   - the reports service forgets incidents after 7 days, so every incident it returns is also archived here
+     (ReportHistory); together with this device's own reports that is the history shown
+   - heatmap of the reports in the time window that ends at the slider, within the date range and severities
+     picked; Play steps the slider through the range
+   - "Score routes at this time" re-runs computeLearnedScore for the planned routes with only the reports known at
+     that moment (same filters) and the rain recorded then (RainHistory), to compare routes as they would have been
+     scored. An incident whose later reports or confirmations came after that moment counts as its first report.
+   ------------------------- */
+const HISTORY_KEY = "floodsafe_report_history";
+const HISTORY_MAX_AGE_MS = 400 * 24 * 60 * 60 * 1000; // this rainy season and last year's
+const HISTORY_MAX = 3000;
+const HISTORY_DEFAULT_RANGE_MS = 30 * 24 * 60 * 60 * 1000;
+const HISTORY_STEPS = 100; // slider positions across the date range
+const HISTORY_PLAY_INTERVAL_MS = 600;
+const HISTORY_WINDOWS = { "6h": 6 * 3600 * 1000, "24h": 24 * 3600 * 1000, "7d": 7 * 24 * 3600 * 1000, all: Infinity };
+const HISTORY_RAIN_MATCH_MS = 90 * 60 * 1000; // rain observations this close to the chosen time count as "then"
+const HISTORY_SPOTS_SHOWN = 5;
+
+const ReportHistory = {
+  all() {
+    try { return JSON.parse(localStorage.getItem(HISTORY_KEY) || "[]"); } catch(e){ return []; }
+  },
+  // merges incidents from the service (the latest copy wins) and drops the oldest beyond the limits
+  remember(incidents, now = Date.now()) {
+    if (!incidents || !incidents.length) return;
+    const byId = new Map(this.all().map(i => [i.id, i]));
+    incidents.forEach(i => byId.set(i.id, {
+      id: i.id, lat: i.lat, lng: i.lng, severity: i.severity, status: i.status,
+      createdAt: i.createdAt ?? i.lastActivityAt, lastActivityAt: i.lastActivityAt,
+      reportCount: i.reportCount || 1, confirmations: i.confirmations || 0, reportIds: i.reportIds || []
+    }));
+    const list = Array.from(byId.values())
+      .filter(i => now - i.lastActivityAt <= HISTORY_MAX_AGE_MS)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(-HISTORY_MAX);
+    try { localStorage.setItem(HISTORY_KEY, JSON.stringify(list)); }
+    catch (e) { console.warn("Could not store report history:", e); }
+  },
+  clear() { localStorage.removeItem(HISTORY_KEY); }
+};
+
+// local reports (unless already inside an archived incident) and archived incidents, oldest first:
+// { id, lat, lng, severity, createdAt, lastActivityAt, corroboration, status, shared }
+function historyReports() {
+  const incidents = ReportHistory.all();
+  const merged = new Set(incidents.flatMap(i => i.reportIds || []));
+  const local = FloodReports.all()
+    .filter(r => !merged.has(r.id))
+    .map(r => ({ ...r, lastActivityAt: r.createdAt, corroboration: 1, status: "active", shared: false }));
+  const shared = incidents.map(i => ({
+    id: i.id, lat: i.lat, lng: i.lng, severity: i.severity, createdAt: i.createdAt, lastActivityAt: i.lastActivityAt,
+    corroboration: incidentCorroboration(i), status: i.status, shared: true
+  }));
+  return local.concat(shared).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// what the learner would have seen at `at`, limited to reports created since `from`
+function reportsAsOf(reports, at, from = 0) {
+  return reports
+    .filter(r => r.createdAt >= from && r.createdAt <= at)
+    .filter(r => !(r.status === "receded" && r.lastActivityAt <= at))
+    .map(r => r.lastActivityAt <= at ? { ...r, createdAt: r.lastActivityAt } : { ...r, corroboration: 1 });
+}
+
+// "2024-07-24" <-> local midnight (end of day for the range end)
+function dateInputValue(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+function parseDateInput(value, endOfDay = false) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  if (endOfDay) d.setHours(23, 59, 59, 999);
+  return d.getTime();
+}
+
+function formatDateTime(ms) {
+  return new Date(ms).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+}
+
+// the history panel's current filters; null while the date range is incomplete or reversed
+function readHistoryFilter() {
+  const from = parseDateInput(document.getElementById("history-from")?.value);
+  const to = parseDateInput(document.getElementById("history-to")?.value, true);
+  if (from === null || to === null || to <= from) return null;
+  const severities = new Set(Array.from(document.querySelectorAll("input[data-history-severity]"))
+    .filter(i => i.checked).map(i => i.dataset.historySeverity));
+  const windowKey = document.getElementById("history-window")?.value || "24h";
+  const step = Number(document.getElementById("history-time")?.value ?? HISTORY_STEPS);
+  return { from, to, severities, windowKey, window: HISTORY_WINDOWS[windowKey] ?? HISTORY_WINDOWS["24h"], at: from + (to - from) * step / HISTORY_STEPS };
+}
+
+function historyInRange(f) {
+  return historyReports().filter(r => f.severities.has(r.severity) && r.createdAt >= f.from && r.createdAt <= f.to);
+}
+
+// ~220 m cells (ai.js grid) that flooded on the most distinct days in the range
+function recurringFloodSpots(reports) {
+  const cells = new Map();
+  reports.forEach(r => {
+    const key = cellKey(r.lat, r.lng);
+    const cell = cells.get(key) || { key, days: new Set(), last: 0, worst: "low" };
+    cell.days.add(dateInputValue(r.createdAt));
+    cell.last = Math.max(cell.last, r.createdAt);
+    if (SEVERITY_WEIGHTS[r.severity] > SEVERITY_WEIGHTS[cell.worst]) cell.worst = r.severity;
+    cells.set(key, cell);
+  });
+  return Array.from(cells.values())
+    .filter(c => c.days.size > 1)
+    .sort((a, b) => b.days.size - a.days.size || b.last - a.last)
+    .slice(0, HISTORY_SPOTS_SHOWN)
+    .map(c => ({ ...cellCenter(c.key), days: c.days.size, last: c.last, worst: c.worst }));
+}
+
+function drawFloodHistoryLayer(reports) {
+  if (!map) return;
+  const data = {
+    type: "FeatureCollection",
+    features: reports.map(r => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [r.lng, r.lat] },
+      properties: { weight: (SEVERITY_WEIGHTS[r.severity] || 1) * (r.corroboration || 1), severity: r.severity }
+    }))
+  };
+  try {
+    if (map.getSource("floodHistory")) { map.getSource("floodHistory").setData(data); return; }
+    map.addSource("floodHistory", { type: "geojson", data });
+    map.addLayer({
+      id: "floodHistory-heat",
+      type: "heatmap",
+      source: "floodHistory",
+      maxzoom: 16,
+      paint: {
+        "heatmap-weight": ["interpolate", ["linear"], ["get", "weight"], 0, 0, 6, 1],
+        "heatmap-intensity": ["interpolate", ["linear"], ["zoom"], 10, 1, 16, 3],
+        "heatmap-radius": ["interpolate", ["linear"], ["zoom"], 10, 12, 16, 40],
+        "heatmap-color": ["interpolate", ["linear"], ["heatmap-density"],
+          0, "rgba(33,102,172,0)", 0.2, "#67a9cf", 0.4, "#d1e5f0", 0.6, "#fddbc7", 0.8, "#ef8a62", 1, "#b2182b"],
+        "heatmap-opacity": ["interpolate", ["linear"], ["zoom"], 14, 0.8, 16, 0.3]
+      }
+    });
+    map.addLayer({
+      id: "floodHistory-points",
+      type: "circle",
+      source: "floodHistory",
+      minzoom: 14,
+      paint: {
+        "circle-radius": 5,
+        "circle-color": ["match", ["get", "severity"], "low", SEVERITY_COLORS.low, "severe", SEVERITY_COLORS.severe, SEVERITY_COLORS.moderate],
+        "circle-stroke-color": "#fff",
+        "circle-stroke-width": 1,
+        "circle-opacity": ["interpolate", ["linear"], ["zoom"], 14, 0, 15, 0.9]
+      }
+    });
+    applyLayerVisibility();
+  } catch (e) {
+    console.warn("Failed to draw flood history:", e);
+  }
+}
+
+function renderFloodHistory() {
+  const label = document.getElementById("history-time-label");
+  const spots = document.getElementById("history-spots");
+  const f = readHistoryFilter();
+  if (!f) {
+    if (label) label.textContent = "Pick a date range (From before To).";
+    drawFloodHistoryLayer([]);
+    return;
+  }
+  const inRange = historyInRange(f);
+  const visible = inRange.filter(r => r.createdAt <= f.at && r.createdAt > f.at - f.window);
+  const windowText = f.windowKey === "all" ? "since the start of the range" : `in the ${document.getElementById("history-window")?.selectedOptions[0]?.textContent || f.windowKey} before`;
+  if (label) label.textContent = `${formatDateTime(f.at)}: ${visible.length} report${visible.length === 1 ? "" : "s"} ${windowText} (${inRange.length} in the range).`;
+  if (spots) {
+    const top = recurringFloodSpots(inRange);
+    spots.innerHTML = top.length
+      ? top.map(s => `<li><span class="flood-marker sev-${s.worst}"></span><span><a href="#" data-lat="${s.lat}" data-lng="${s.lng}">${s.lat.toFixed(4)}, ${s.lng.toFixed(4)}</a>
+          — flooded on ${s.days} days, last ${escapeHtml(new Date(s.last).toLocaleDateString())}</span></li>`).join("")
+      : "<li>No spot flooded on more than one day in this range.</li>";
+  }
+  drawFloodHistoryLayer(visible);
+}
+
+// rain recorded near each weather sample point around `at` (0 where nothing was recorded)
+function historicalRainSamples(geojson, at) {
+  const { rainClampMM } = RiskSettings.get();
+  const obs = RainHistory.all().filter(o => Math.abs(o.at - at) <= HISTORY_RAIN_MATCH_MS);
+  return routeWeatherSamplePoints(geojson).map(p => {
+    const cell = weatherCellKey(p.lat, p.lng);
+    const hit = obs.filter(o => weatherCellKey(o.lat, o.lng) === cell).sort((a, b) => Math.abs(a.at - at) - Math.abs(b.at - at))[0];
+    return { ...p, rainScore: hit ? Math.min(rainClampMM, hit.rainMM) : 0, alertScore: 0, source: hit ? "history" : "none", alerts: [] };
+  });
+}
+
+function scoreRoutesAtHistoryTime() {
+  const list = document.getElementById("history-scores");
+  const f = readHistoryFilter();
+  if (!list || !f || !lastPlan) return;
+  const reports = reportsAsOf(historyInRange(f), f.at, f.at - f.window);
+  const rows = lastPlan.evaluations.map((ev, i) => {
+    const rain = historicalRainSamples(ev.geo, f.at);
+    const learnedThen = computeLearnedScore(ev.geo, lastPlan.profile, rain, f.at, reports);
+    const w = ev.details.weights.learned;
+    const riskThen = ev.score + w * (learnedThen - ev.details.learned);
+    const name = evaluationName(ev, i);
+    const rainNote = rain.some(s => s.source === "history") ? "" : ", no rain recorded then";
+    // NOAH and weather terms are today's, so today's missing inputs apply to both scores
+    const color = ev.details.missing?.length ? RISK_UNKNOWN_COLOR : riskColor(riskThen, lastPlan.threshold);
+    return `<li><span class="swatch" style="background:${color}"></span>
+      <span><strong>${escapeHtml(name)}</strong>: flood model ${learnedThen.toFixed(2)} then vs ${ev.details.learned.toFixed(2)} now;
+      risk ${escapeHtml(riskLabel({ score: riskThen, details: ev.details }))} then vs ${escapeHtml(riskLabel(ev))} now${rainNote}</span></li>`;
+  });
+  const note = lastPlan.evaluations[0]?.details.weights.learned
+    ? `Scored with the ${reports.length} report(s) known at ${escapeHtml(formatDateTime(f.at))}; NOAH and weather terms keep today's values.`
+    : "The route's flood risk source does not use reports, so its score would have been the same.";
+  list.innerHTML = rows.join("") + `<li class="hint">${note}</li>`;
+}
+
+const historyPlayback = { timer: null };
+
+function stopHistoryPlayback() {
+  if (historyPlayback.timer) clearInterval(historyPlayback.timer);
+  historyPlayback.timer = null;
+  const btn = document.getElementById("history-play");
+  if (btn) btn.textContent = "Play";
+}
+
+function toggleHistoryPlayback() {
+  const slider = document.getElementById("history-time");
+  if (!slider) return;
+  if (historyPlayback.timer) { stopHistoryPlayback(); return; }
+  if (Number(slider.value) >= HISTORY_STEPS) slider.value = 0;
+  // playing only makes sense with the heatmap on
+  if (!LayerSettings.get().history) {
+    LayerSettings.set({ history: true });
+    const toggle = document.querySelector('input[data-layer="history"]');
+    if (toggle) toggle.checked = true;
+    applyLayerVisibility();
+  }
+  document.getElementById("history-play").textContent = "Pause";
+  historyPlayback.timer = setInterval(() => {
+    slider.value = Math.min(HISTORY_STEPS, Number(slider.value) + 1);
+    renderFloodHistory();
+    if (Number(slider.value) >= HISTORY_STEPS) stopHistoryPlayback();
+  }, HISTORY_PLAY_INTERVAL_MS);
+  renderFloodHistory();
+}
+
+function wireFloodHistory() {
+  ReportHistory.remember(SharedReports.incidents());
+  const now = Date.now();
+  const oldest = historyReports()[0];
+  const from = oldest ? Math.max(oldest.createdAt, now - HISTORY_MAX_AGE_MS) : now - HISTORY_DEFAULT_RANGE_MS;
+  const fromInput = document.getElementById("history-from");
+  const toInput = document.getElementById("history-to");
+  if (fromInput) fromInput.value = dateInputValue(Math.min(from, now - HISTORY_DEFAULT_RANGE_MS));
+  if (toInput) toInput.value = dateInputValue(now);
+  const slider = document.getElementById("history-time");
+  if (slider) { slider.max = HISTORY_STEPS; slider.value = HISTORY_STEPS; }
+
+  ["history-from", "history-to", "history-window"].forEach(id => document.getElementById(id)?.addEventListener("change", renderFloodHistory));
+  document.querySelectorAll("input[data-history-severity]").forEach(i => i.addEventListener("change", renderFloodHistory));
+  slider?.addEventListener("input", () => { stopHistoryPlayback(); renderFloodHistory(); });
+  document.getElementById("history-play")?.addEventListener("click", toggleHistoryPlayback);
+  document.getElementById("history-score")?.addEventListener("click", scoreRoutesAtHistoryTime);
+  document.getElementById("history-spots")?.addEventListener("click", (ev) => {
+    const a = ev.target.closest("a[data-lat]");
+    if (!a || !map) return;
+    ev.preventDefault();
+    map.flyTo({ center: [Number(a.dataset.lng), Number(a.dataset.lat)], zoom: 16 });
+  });
+  renderFloodHistory();
+}
+
+/* -------------------------
+   Import / export (GeoJSON, CSV, KML via formats.js)
+   - export: flood reports (this device's plus shared incidents) and the chosen route's per-segment risk
+   - import: file -> validation -> preview (table + dashed outline on the map) -> confirm. Points become local
+     reports tagged with the file as `origin` (not sent to the reports service); polygons become an imported
+     hazard set merged into the `noahHazard` source
+   ------------------------- */
+const IMPORTED_HAZARDS_KEY = "floodsafe_imported_hazards";
+const IMPORT_PREVIEW_ROWS = 8;
+const IMPORT_SKIPPED_SHOWN = 10;
+const REPORT_EXPORT_COLUMNS = ["id", "severity", "notes", "createdAt", "source", "status", "reportCount", "confirmations", "recededVotes"];
+const ROUTE_EXPORT_COLUMNS = ["segment", "startM", "endM", "risk", "learned", "noah", "maxNoahClass", "rainScore", "alertScore", "reportCount", "maxReportSeverity", "eta"];
+const SEVERITY_COLORS = { low: "#f0ad4e", moderate: "#e8590c", severe: "#c92a2a" };
+
+// [{ id, name, importedAt, features }]; kept in memory too, so a set too big for localStorage still applies until reload
+const ImportedHazards = {
+  _sets: null,
+  all() {
+    if (!this._sets) {
+      try { this._sets = JSON.parse(localStorage.getItem(IMPORTED_HAZARDS_KEY) || "[]"); } catch(e){ this._sets = []; }
+    }
+    return this._sets;
+  },
+  _save() {
+    try { localStorage.setItem(IMPORTED_HAZARDS_KEY, JSON.stringify(this._sets)); return true; }
+    catch (e) { console.warn("Could not store imported hazard areas:", e); return false; }
+  },
+  // returns { set, persisted }
+  add(name, features) {
+    const id = `h-${Date.now().toString(36)}`;
+    const tagged = features.map(f => {
+      const own = f.properties.label || f.properties.name;
+      return { ...f, properties: { ...f.properties, source: "import", origin: name, importId: id, label: own ? `${own} (${name})` : `Imported area (${name})` } };
+    });
+    const set = { id, name, importedAt: Date.now(), features: tagged };
+    this.all().push(set);
+    return { set, persisted: this._save() };
+  },
+  remove(id) {
+    this._sets = this.all().filter(s => s.id !== id);
+    this._save();
+  },
+  features() { return this.all().flatMap(s => s.features); }
+};
+
+function downloadText(fileName, mime, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFeatures(kind, title, features, columns, styleOf) {
+  const format = document.getElementById("export-format")?.value;
+  const spec = FORMATS[format] || FORMATS.geojson;
+  const text = spec === FORMATS.csv ? toCSV(features, columns)
+    : spec === FORMATS.kml ? toKML(features, { name: title, styleOf })
+    : toGeoJSON(features, title);
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, "-");
+  downloadText(`floodsafe-${kind}-${stamp}.${spec.extension}`, spec.mime, text);
+  setStatus(`Exported ${title.toLowerCase()} (${features.length} feature(s)) as ${spec.label}.`);
+}
+
+function reportExportFeatures() {
+  const iso = t => (Number.isFinite(t) ? new Date(t).toISOString() : "");
+  const point = (lat, lng, properties) => ({ type: "Feature", geometry: { type: "Point", coordinates: [lng, lat] }, properties });
+  const mine = FloodReports.all();
+  const mineIds = new Set(mine.map(r => r.id));
+  return [
+    ...mine.map(r => point(r.lat, r.lng, {
+      id: r.id, severity: r.severity, notes: r.notes, createdAt: iso(r.createdAt), source: r.origin ? `import: ${r.origin}` : "local"
+    })),
+    // incidents made only of this device's reports are already in the list above
+    ...SharedReports.incidents()
+      .filter(i => !reportsOnlyMine(i, mineIds))
+      .map(i => point(i.lat, i.lng, {
+        id: i.id, severity: i.severity, notes: i.notes, createdAt: iso(i.createdAt), source: "shared",
+        status: i.status, reportCount: i.reportCount, confirmations: i.confirmations, recededVotes: i.recededVotes
+      }))
+  ];
+}
+
+function exportReports() {
+  const features = reportExportFeatures();
+  if (!features.length) { setStatus("No flood reports to export."); return; }
+  exportFeatures("reports", "Flood reports", features, REPORT_EXPORT_COLUMNS, f => ({ color: SEVERITY_COLORS[f.properties.severity] }));
+}
+
+function exportRouteRisk() {
+  if (!lastPlan) { setStatus("Calculate a route first."); return; }
+  const { best, threshold, profile } = lastPlan;
+  const r2 = v => Math.round(v * 100) / 100;
+  const features = best.details.segments.map(seg => ({
+    type: "Feature",
+    geometry: { type: "LineString", coordinates: seg.coords },
+    properties: {
+      segment: seg.index, startM: Math.round(seg.startM), endM: Math.round(seg.endM),
+      risk: r2(seg.risk), learned: r2(seg.learned), noah: r2(seg.noah), maxNoahClass: seg.maxNoahClass,
+      rainScore: r2(seg.rainScore), alertScore: seg.alertScore, reportCount: seg.reportCount,
+      maxReportSeverity: seg.maxReportSeverity || "", eta: new Date(seg.etaMs).toISOString(),
+      color: riskColor(seg.risk, threshold)
+    }
+  }));
+  const title = `Route risk ${riskLabel(best)} (${profile.label}, threshold ${threshold})`;
+  exportFeatures("route-risk", title, features, ROUTE_EXPORT_COLUMNS, f => ({ color: f.properties.color, width: 6 }));
+}
+
+// import currently waiting in the preview: { name, format, total, reports, hazards, skipped, duplicates }
+let pendingImport = null;
+
+async function importFile(file) {
+  let parsed;
+  try {
+    parsed = parseImport(await file.text(), file.name);
+  } catch (e) {
+    console.warn("Import failed:", e);
+    setStatus(`Could not read ${file.name}: ${e.message}`);
+    return;
+  }
+  const result = validateImport(parsed.features);
+  // re-importing one of our own exports must not duplicate reports or turn shared incidents into local ones
+  const known = new Set([...FloodReports.all().map(r => r.id), ...SharedReports.incidents().map(i => i.id)]);
+  const reports = result.reports.filter(r => !(r.id && known.has(r.id)));
+  pendingImport = {
+    name: file.name, format: parsed.format, total: parsed.features.length,
+    reports, hazards: result.hazards, skipped: result.skipped, duplicates: result.reports.length - reports.length
+  };
+  openImportPreview(pendingImport);
+}
+
+function importPreviewRows(imp) {
+  const hazardLevel = p => p.risk ? `class ${p.risk}` : Object.keys(p).filter(k => /^risk_\d+/i.test(k)).map(k => `${k.slice(5)}: ${p[k]}`).join(", ");
+  const rows = [
+    ...imp.reports.map(r => ["Report", r.severity + (r.severityDefaulted ? " (default)" : ""), `${r.lat.toFixed(5)}, ${r.lng.toFixed(5)}${r.notes ? ` — ${r.notes}` : ""}`, new Date(r.createdAt).toLocaleString()]),
+    ...imp.hazards.map(h => ["Hazard area", hazardLevel(h.properties), h.properties.name || h.properties.label || "", ""])
+  ];
+  return rows.slice(0, IMPORT_PREVIEW_ROWS);
+}
+
+function openImportPreview(imp) {
+  const modal = document.getElementById("import-modal");
+  if (!modal) return;
+  const defaulted = imp.reports.filter(r => r.severityDefaulted).length;
+  const parts = [
+    `${imp.total} item(s) in ${imp.name} (${FORMATS[imp.format].label}):`,
+    `${imp.reports.length} flood report(s), ${imp.hazards.length} hazard area(s), ${imp.skipped.length} skipped.`,
+    imp.duplicates ? `${imp.duplicates} report(s) already on this device are left out.` : "",
+    defaulted ? `${defaulted} report(s) have no severity and will be imported as moderate.` : ""
+  ];
+  document.getElementById("import-summary").textContent = parts.filter(Boolean).join(" ");
+
+  const rows = importPreviewRows(imp);
+  const more = imp.reports.length + imp.hazards.length - rows.length;
+  document.getElementById("import-table").innerHTML = rows.length
+    ? `<table><thead><tr><th>Type</th><th>Level</th><th>Where / what</th><th>When</th></tr></thead><tbody>${
+        rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("")}</tbody></table>${
+        more > 0 ? `<p class="hint">…and ${more} more.</p>` : ""}`
+    : "";
+  document.getElementById("import-skipped").innerHTML = imp.skipped.slice(0, IMPORT_SKIPPED_SHOWN)
+    .map(s => `<li>Item ${s.index + 1}: ${escapeHtml(s.reason)}</li>`).join("") +
+    (imp.skipped.length > IMPORT_SKIPPED_SHOWN ? `<li>…and ${imp.skipped.length - IMPORT_SKIPPED_SHOWN} more</li>` : "");
+  document.getElementById("import-confirm").disabled = imp.reports.length + imp.hazards.length === 0;
+  drawImportPreview(imp);
+  modal.hidden = false;
+}
+
+function closeImportPreview() {
+  const modal = document.getElementById("import-modal");
+  if (modal) modal.hidden = true;
+  pendingImport = null;
+  drawImportPreview(null);
+  const input = document.getElementById("import-file");
+  if (input) input.value = "";
+}
+
+// dashed purple outline of what would be imported; the map zooms to it
+function drawImportPreview(imp) {
+  if (!map) return;
+  const features = imp ? [
+    ...imp.reports.map(r => ({ type: "Feature", geometry: { type: "Point", coordinates: [r.lng, r.lat] }, properties: {} })),
+    ...imp.hazards
+  ] : [];
+  const data = { type: "FeatureCollection", features };
+  try {
+    if (map.getSource("importPreview")) {
+      map.getSource("importPreview").setData(data);
+    } else {
+      map.addSource("importPreview", { type: "geojson", data });
+      map.addLayer({ id: "importPreview-fill", type: "fill", source: "importPreview", filter: ["==", ["geometry-type"], "Polygon"], paint: { "fill-color": "#7048e8", "fill-opacity": 0.15 } });
+      map.addLayer({ id: "importPreview-line", type: "line", source: "importPreview", filter: ["==", ["geometry-type"], "Polygon"], paint: { "line-color": "#5f3dc4", "line-width": 2, "line-dasharray": [2, 2] } });
+      map.addLayer({ id: "importPreview-points", type: "circle", source: "importPreview", filter: ["==", ["geometry-type"], "Point"], paint: { "circle-radius": 6, "circle-color": "#7048e8", "circle-stroke-color": "#fff", "circle-stroke-width": 2 } });
+    }
+  } catch (e) {
+    console.warn("Failed to draw import preview:", e);
+    return;
+  }
+  // one pass over the vertices (spreading them into Math.min overflows the argument limit on large files)
+  const bounds = [[Infinity, Infinity], [-Infinity, -Infinity]];
+  const collect = c => {
+    if (typeof c[0] !== "number") { c.forEach(collect); return; }
+    bounds[0][0] = Math.min(bounds[0][0], c[0]); bounds[0][1] = Math.min(bounds[0][1], c[1]);
+    bounds[1][0] = Math.max(bounds[1][0], c[0]); bounds[1][1] = Math.max(bounds[1][1], c[1]);
+  };
+  features.forEach(f => collect(f.geometry.coordinates));
+  if (!Number.isFinite(bounds[0][0])) return;
+  map.fitBounds(bounds, { padding: 60, maxZoom: 15 });
+}
+
+function confirmImport() {
+  const imp = pendingImport;
+  if (!imp) return;
+  imp.reports.forEach(r => FloodReports.add({ ...r, origin: imp.name }));
+  let persisted = true;
+  if (imp.hazards.length) {
+    persisted = ImportedHazards.add(imp.name, imp.hazards).persisted;
+    refreshHazardLayer();
+  }
+  if (imp.reports.length) {
+    restoreReportMarkers();
+    trainFloodModel(false);
+  }
+  renderImportedHazards();
+  closeImportPreview();
+  checkHazardsAhead();
+  setStatus(`Imported ${imp.reports.length} flood report(s) and ${imp.hazards.length} hazard area(s) from ${imp.name}.` +
+    (persisted ? "" : " The hazard areas are too large to keep after a reload."));
+}
+
+function renderImportedHazards() {
+  const el = document.getElementById("imported-hazards");
+  if (!el) return;
+  el.innerHTML = ImportedHazards.all().map(s => `<li><span class="swatch imported"></span>
+    <span>${escapeHtml(s.name)} — ${s.features.length} area(s), ${escapeHtml(new Date(s.importedAt).toLocaleDateString())}</span>
+    <button type="button" class="remove" data-id="${escapeHtml(s.id)}" title="Remove these hazard areas">×</button></li>`).join("");
+}
+
+function wireImportExport() {
+  document.getElementById("export-reports")?.addEventListener("click", exportReports);
+  document.getElementById("export-route")?.addEventListener("click", exportRouteRisk);
+  document.getElementById("import-file")?.addEventListener("change", (ev) => {
+    const file = ev.target.files && ev.target.files[0];
+    if (file) importFile(file).catch(e => {
+      console.warn("Import failed:", e);
+      setStatus(`Could not import ${file.name}: ${e.message}`);
+    });
+  });
+  document.getElementById("import-confirm")?.addEventListener("click", confirmImport);
+  document.getElementById("import-cancel")?.addEventListener("click", closeImportPreview);
+  document.getElementById("import-modal")?.addEventListener("click", (ev) => { if (ev.target.id === "import-modal") closeImportPreview(); });
+  document.addEventListener("keydown", (ev) => {
+    if (ev.key === "Escape" && !document.getElementById("import-modal")?.hidden) closeImportPreview();
+  });
+  document.getElementById("imported-hazards")?.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("button.remove");
+    if (!btn) return;
+    const set = ImportedHazards.all().find(s => s.id === btn.dataset.id);
+    if (!set || !confirm(`Remove the hazard areas imported from ${set.name}?`)) return;
+    ImportedHazards.remove(set.id);
+    refreshHazardLayer();
+    renderImportedHazards();
+    setStatus(`Removed hazard areas imported from ${set.name}.`);
+  });
+  renderImportedHazards();
+}
+
+/* -------------------------
+   Share links & route export
+   - the route request lives in the page URL (?from=&to=&mode=&risk=&threshold=&avoid=&depart=, plus route= for
+     the chosen alternative or via= for a detour) and is rewritten after every plan, so a copied link or a reload
+     reproduces the same query and chosen route
+   - opening such a link fills the form and plans it; the sender's route stays selected even when a safer one has
+     appeared since (the status says so)
+   - chosen route as GPX (track, turn-by-turn route points, flood warnings as waypoints), every alternative with
+     its risk breakdown as GeoJSON, and a printable summary
+   ------------------------- */
+const SHARE_PARAMS = ["from", "fromLabel", "to", "toLabel", "mode", "risk", "threshold", "avoid", "depart", "route", "via"];
+const ROUTE_ACTION_BUTTONS = ["share-route", "export-gpx", "export-route-geojson", "print-route"];
+
+const latLngParam = p => `${p.lat.toFixed(6)},${p.lng.toFixed(6)}`;
+
+function profileIdOf(profile) {
+  return Object.keys(VEHICLE_PROFILES).find(k => VEHICLE_PROFILES[k] === profile) || DEFAULT_VEHICLE_PROFILE;
+}
+
+function evaluationName(ev, i) {
+  return `${i === 0 ? "Chosen route" : `Alternative ${i}`}${ev.detour ? " (detour)" : ""}`;
+}
+
+// query string for a plan; parameters that are not part of the route (e.g. ?router=stub) are kept
+function routeShareParams(plan, base = "") {
+  const params = new URLSearchParams(base);
+  SHARE_PARAMS.forEach(k => params.delete(k));
+  params.set("from", latLngParam(plan.o));
+  if (plan.o.label) params.set("fromLabel", plan.o.label);
+  params.set("to", latLngParam(plan.d));
+  if (plan.d.label) params.set("toLabel", plan.d.label);
+  params.set("mode", profileIdOf(plan.profile));
+  params.set("risk", plan.riskSource);
+  params.set("threshold", String(plan.threshold));
+  params.set("avoid", plan.avoidFloods ? "1" : "0");
+  // "leave now" links stay "now" for whoever opens them
+  if (plan.fixedDeparture) params.set("depart", new Date(plan.departAt).toISOString());
+  if (plan.best.detour) params.set("via", latLngParam(plan.best.detour.via));
+  else params.set("route", String(plan.best.idx));
+  return params.toString();
+}
+
+function routeShareUrl(plan) {
+  const url = new URL(location.href);
+  url.search = routeShareParams(plan, url.search);
+  url.hash = "";
+  return url.toString();
+}
+
+// -> { o, d, profileId, riskSource, threshold, avoidFloods, departAt (null = now), pick: { alt } | { via } | null },
+// or null when the query holds no route
+function readSharedRoute(search) {
+  const params = new URLSearchParams(search);
+  const o = parseLatLng(params.get("from"));
+  const d = parseLatLng(params.get("to"));
+  if (!o || !d) return null;
+  if (params.get("fromLabel")) o.label = params.get("fromLabel");
+  if (params.get("toLabel")) d.label = params.get("toLabel");
+  const mode = params.get("mode");
+  const risk = params.get("risk");
+  const threshold = Number(params.get("threshold"));
+  const depart = Date.parse(params.get("depart") || "");
+  const via = parseLatLng(params.get("via"));
+  const alt = /^\d+$/.test(params.get("route") || "") ? Number(params.get("route")) : null;
+  return {
+    o, d,
+    profileId: VEHICLE_PROFILES[mode] ? mode : DEFAULT_VEHICLE_PROFILE,
+    riskSource: RISK_SOURCES[risk] ? risk : DEFAULT_RISK_SOURCE,
+    threshold: params.get("threshold") !== null && Number.isFinite(threshold) && threshold >= 0 ? threshold : RiskSettings.get().threshold,
+    avoidFloods: params.get("avoid") !== "0",
+    departAt: Number.isFinite(depart) ? depart : null,
+    pick: via ? { via } : alt !== null ? { alt } : null
+  };
+}
+
+// the shared pick among this plan's routes; a shared detour is requested again through its via-point
+async function sharedRouteEvaluation(evaluations, pick, { o, d, departAt, profile, riskSource }) {
+  if (!pick.via) return evaluations.find(ev => ev.idx === pick.alt) || null;
+  const osrm = await requestOSRMRoute(o, d, [pick.via], profile);
+  const r = osrm && osrm.routes && osrm.routes[0];
+  if (!r) return null;
+  const scoreObj = await scoreRouteCombinedAsync(r.geometry, { route: r, departAt, profile, riskSource });
+  return { idx: "shared", geo: r.geometry, score: scoreObj.combined, details: scoreObj.breakdown, route: r, detour: { via: pick.via, obstacle: { label: "the shared via-point" } } };
+}
+
+async function openSharedRoute(shared) {
+  setPlaceField(document.getElementById("origin"), shared.o);
+  setPlaceField(document.getElementById("destination"), shared.d);
+  const setValue = (id, value) => { const el = document.getElementById(id); if (el) el.value = value; };
+  setValue("vehicle-profile", shared.profileId);
+  setValue("risk-source", shared.riskSource);
+  setValue("threshold", String(shared.threshold));
+  setValue("departure", shared.departAt !== null ? dateTimeInputValue(shared.departAt) : "");
+  const avoid = document.getElementById("avoid-floods");
+  if (avoid) avoid.checked = shared.avoidFloods;
+
+  setStatus("Opening shared route...");
+  const best = await planRoute({
+    o: shared.o, d: shared.d, threshold: shared.threshold, avoidFloods: shared.avoidFloods,
+    departAt: shared.departAt ?? Date.now(), fixedDeparture: shared.departAt !== null,
+    profile: getVehicleProfile(shared.profileId), riskSource: shared.riskSource, pick: shared.pick
+  });
+  if (best && map) {
+    const coords = best.geo.coordinates;
+    map.fitBounds(coords.reduce((b, c) => b.extend(c), new maplibregl.LngLatBounds(coords[0], coords[0])), { padding: 60 });
+  }
+}
+
+function updateShareUrl() {
+  if (!lastPlan) return;
+  try { history.replaceState(null, "", routeShareUrl(lastPlan)); } catch (e) { console.warn("Could not update the page URL:", e); }
+}
+
+function clearShareUrl() {
+  const url = new URL(location.href);
+  SHARE_PARAMS.forEach(k => url.searchParams.delete(k));
+  try { history.replaceState(null, "", url.toString()); } catch (e) { console.warn("Could not update the page URL:", e); }
+}
+
+function setRouteActionsEnabled(enabled) {
+  ROUTE_ACTION_BUTTONS.forEach(id => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = !enabled;
+  });
+}
+
+async function copyShareLink() {
+  if (!lastPlan) { setStatus("Calculate a route first."); return; }
+  const url = routeShareUrl(lastPlan);
+  try {
+    await navigator.clipboard.writeText(url);
+    setStatus("Share link copied. Opening it plans the same route with the same settings.");
+  } catch (e) {
+    // no clipboard access (http, older browsers): let the user copy it by hand
+    console.warn("Clipboard write failed:", e);
+    prompt("Copy this link:", url);
+  }
+}
+
+// GPX: the chosen route as a track, its turns as a route (for navigators that follow rtept) and waypoints for the
+// start, the destination and each flooded / high-risk stretch
+function routeGPX(plan) {
+  const { best, o, d, threshold, profile } = plan;
+  const { language } = DirectionPrefs.get();
+  const segments = best.details.segments || [];
+  const stretches = riskyStretches(segments, threshold).map(st => {
+    const [lng, lat] = segments[st.startSeg].coords[0];
+    return { lat, lng, name: `Flood risk ${st.maxRisk.toFixed(2)}`, desc: `${stretchReasons(st, threshold).join(", ")}; around ${formatClock(st.etaMs)}` };
+  });
+  const turns = flattenSteps(best.route)
+    .filter(({ step, isLastLeg }) => step.maneuver && step.maneuver.location && !(step.maneuver.type === "arrive" && !isLastLeg))
+    .map(({ step, legIdx }) => {
+      const [lng, lat] = step.maneuver.location;
+      return { lat, lng, name: instructionText(step, { language, continuing: step.maneuver.type === "depart" && legIdx > 0 }) };
+    });
+  const terms = scoreTerms(best.details).filter(t => t.weight > 0).map(t => `${t.label} ${t.contribution.toFixed(2)}`);
+  const desc = `Flood risk ${riskLabel(best)} (threshold ${threshold}, ${profile.label}, risk source ${best.details.riskSource.label})` +
+    `${terms.length ? `: ${terms.join(", ")}` : ""}${best.details.impassable ? `. Likely impassable: ${best.details.impassable.reason}` : ""}`;
+  const name = `FloodSafe: ${o.label || latLngParam(o)} to ${d.label || latLngParam(d)}`;
+  return toGPX({
+    name, desc, time: best.details.departAt,
+    waypoints: [{ ...o, name: "Start", desc: o.label }, ...stretches, { ...d, name: "Destination", desc: d.label }],
+    routePoints: turns,
+    tracks: [{ name, desc, coordinates: best.geo.coordinates }]
+  });
+}
+
+function routeExportFeatures(plan) {
+  const { evaluations, best, threshold, profile } = plan;
+  const r2 = v => Math.round(v * 100) / 100;
+  const iso = t => (Number.isFinite(t) ? new Date(t).toISOString() : "");
+  return evaluations.map((ev, i) => ({
+    type: "Feature",
+    geometry: ev.geo,
+    properties: {
+      name: evaluationName(ev, i), rank: i + 1, chosen: ev === best, routeId: String(ev.idx),
+      score: r2(ev.score), threshold, overThreshold: ({ over: true, under: false, unknown: null })[thresholdStatus(ev, threshold)],
+      impassable: ev.details.impassable ? ev.details.impassable.reason : "",
+      profile: profile.label, riskSource: ev.details.riskSource.label,
+      distanceM: Math.round(ev.route?.distance ?? 0), durationS: Math.round(ev.route?.duration ?? 0),
+      departAt: iso(ev.details.departAt), arriveAt: iso(ev.details.arriveAt),
+      detourVia: ev.detour ? latLngParam(ev.detour.via) : "",
+      shareUrl: ev === best ? routeShareUrl(plan) : "",
+      breakdown: Object.fromEntries(scoreTerms(ev.details).map(t => [t.key, { weight: t.weight, value: r2(t.value), contribution: r2(t.contribution) }])),
+      noahExposure: ev.details.noahExposure || null,
+      missingInputs: (ev.details.missing || []).map(m => (m.partial ? `${m.label} (${m.partial})` : m.label)),
+      rainSources: ev.details.weather.sources, weatherAlerts: ev.details.weather.alerts
+    }
+  }));
+}
+
+function routeFileStem(kind) {
+  return `floodsafe-${kind}-${new Date().toISOString().slice(0, 16).replace(/[:T]/g, "-")}`;
+}
+
+function exportRouteGPX() {
+  if (!lastPlan) { setStatus("Calculate a route first."); return; }
+  downloadText(`${routeFileStem("route")}.${FORMATS.gpx.extension}`, FORMATS.gpx.mime, routeGPX(lastPlan));
+  setStatus("Exported the chosen route as GPX.");
+}
+
+function exportRouteGeoJSON() {
+  if (!lastPlan) { setStatus("Calculate a route first."); return; }
+  const features = routeExportFeatures(lastPlan);
+  const text = toGeoJSON(features, `FloodSafe routes (${lastPlan.profile.label}, threshold ${lastPlan.threshold})`);
+  downloadText(`${routeFileStem("routes")}.${FORMATS.geojson.extension}`, FORMATS.geojson.mime, text);
+  setStatus(`Exported the chosen route and ${features.length - 1} alternative(s) as GeoJSON.`);
+}
+
+const THRESHOLD_STATUS_TEXT = { over: "over threshold", under: "under threshold", unknown: "can't be confirmed (missing inputs)" };
+
+function routePrintHtml(plan, shareUrl) {
+  const { best, o, d, threshold, profile, evaluations } = plan;
+  const place = p => escapeHtml(p.label || latLngParam(p));
+  const summary = document.getElementById("route-summary")?.cloneNode(true);
+  summary?.querySelectorAll("a[data-step]").forEach(a => a.remove());
+  const steps = Array.from(document.querySelectorAll("#directions li[data-instruction]")).map(li =>
+    `<li>${escapeHtml(li.dataset.instruction)}${escapeHtml(li.querySelector(".dir-dist")?.textContent || "")}${li.dataset.warning ? `<div class="dir-hazard">⚠ ${escapeHtml(li.dataset.warning)}</div>` : ""}</li>`);
+  const rows = evaluations.map((ev, i) => `<tr><td>${escapeHtml(evaluationName(ev, i))}</td><td>${escapeHtml(riskLabel(ev))}</td>
+    <td>${ev.route?.distance ? (ev.route.distance / 1000).toFixed(2) + " km" : ""}</td><td>${ev.route?.duration ? Math.round(ev.route.duration / 60) + " min" : ""}</td>
+    <td>${ev.details.impassable ? `impassable (${escapeHtml(ev.details.impassable.reason)})` : THRESHOLD_STATUS_TEXT[thresholdStatus(ev, threshold)]}</td></tr>`);
+  return `<h1>FloodSafe route</h1>
+    <p><strong>From:</strong> ${place(o)}<br/><strong>To:</strong> ${place(d)}</p>
+    <p>${escapeHtml(profile.label)} · risk source: ${escapeHtml(best.details.riskSource.label)} · threshold ${threshold} · ${plan.avoidFloods ? "avoiding flooded roads" : "not avoiding flooded roads"}</p>
+    <h2>Flood risk ${escapeHtml(riskLabel(best))}${best.details.impassable ? ` — likely impassable: ${escapeHtml(best.details.impassable.reason)}` : ""}</h2>
+    ${scoreExplanationHtml(best.details, best.score)}
+    <p>NOAH exposure: ${formatNoahExposure(best.details.noahExposure)}</p>
+    ${summary ? summary.innerHTML : ""}
+    <h2>Routes compared</h2>
+    <table><thead><tr><th>Route</th><th>Risk</th><th>Distance</th><th>Time</th><th></th></tr></thead><tbody>${rows.join("")}</tbody></table>
+    <h2>Directions</h2>
+    <ol>${steps.join("")}</ol>
+    <p class="hint">Printed ${escapeHtml(formatDateTime(Date.now()))}. Conditions change; open the route again before leaving: ${escapeHtml(shareUrl)}</p>`;
+}
+
+function printRouteSummary() {
+  const el = document.getElementById("print-summary");
+  if (!lastPlan || !el) { setStatus("Calculate a route first."); return; }
+  el.innerHTML = routePrintHtml(lastPlan, routeShareUrl(lastPlan));
+  window.print();
+}
+
+function wireRouteSharing() {
+  document.getElementById("share-route")?.addEventListener("click", copyShareLink);
+  document.getElementById("export-gpx")?.addEventListener("click", exportRouteGPX);
+  document.getElementById("export-route-geojson")?.addEventListener("click", exportRouteGeoJSON);
+  document.getElementById("print-route")?.addEventListener("click", printRouteSummary);
+}
+
+/* -------------------------
+   Settings page (wireframe: Settings)
+   - opened from the panel link or by visiting #settings; edits RiskSettings
+   - form fields are named after the setting path ("weights.noah"); the formula preview updates as you type
+   - presets only fill the form: nothing applies until "Save settings"
+   ------------------------- */
+function readSettingsForm() {
+  const out = { weights: {} };
+  document.querySelectorAll("#settings-form [name]").forEach(el => {
+    // an empty number field is NaN, not 0, so validateRiskSettings names it instead of saving a 0
+    const value = el.type === "number" ? (el.value.trim() === "" ? NaN : Number(el.value)) : el.value;
+    if (el.name.startsWith("weights.")) out.weights[el.name.slice(8)] = value;
+    else out[el.name] = value;
+  });
+  return out;
+}
+
+function fillSettingsForm(settings) {
+  document.querySelectorAll("#settings-form [name]").forEach(el => {
+    const value = settingAt(settings, el.name);
+    if (value !== undefined) el.value = value;
+  });
+  renderSettingsPreview();
+}
+
+function settingsFormula(s) {
+  const w = s.weights;
+  return `risk = ${w.learned} × flood model (reports; certain flood = ${s.learnedScale})\n` +
+    `     + ${w.noah} × NOAH km (weighted by hazard class)\n` +
+    `     + ${w.rain} × min(rain mm, ${s.rainClampMM})\n` +
+    `     + ${w.alert} × alert (${s.alertScore} if /${s.alertPattern}/ or thunderstorm ≥ ${s.thunderstormProbability}%)`;
+}
+
+// live formula; form errors show here too so they are visible before saving
+function renderSettingsPreview() {
+  const preview = document.getElementById("settings-formula");
+  const error = document.getElementById("settings-error");
+  try {
+    const s = validateRiskSettings(readSettingsForm());
+    if (preview) preview.textContent = settingsFormula(s);
+    if (error) error.textContent = "";
+  } catch (e) {
+    if (error) error.textContent = e.message;
+  }
+}
+
+function renderSettingsPresets(selected = "") {
+  const select = document.getElementById("settings-preset");
+  if (!select) return;
+  const user = RiskSettings.userPresets();
+  const option = (name) => `<option value="${escapeHtml(name)}"${name === selected ? " selected" : ""}>${escapeHtml(name)}</option>`;
+  select.innerHTML = `<optgroup label="Built-in">${Object.keys(BUILTIN_PRESETS).map(option).join("")}</optgroup>` +
+    (Object.keys(user).length ? `<optgroup label="Saved">${Object.keys(user).map(option).join("")}</optgroup>` : "");
+  const del = document.getElementById("settings-preset-delete");
+  if (del) del.disabled = !user[select.value];
+}
+
+// the route form starts from the saved defaults
+function applyRouteDefaults(settings = RiskSettings.get()) {
+  const threshold = document.getElementById("threshold");
+  const source = document.getElementById("risk-source");
+  if (threshold) threshold.value = settings.threshold;
+  if (source) source.value = settings.riskSource;
+}
+
+function openSettings() {
+  const modal = document.getElementById("settings-modal");
+  if (!modal) return;
+  fillSettingsForm(RiskSettings.get());
+  renderSettingsPresets();
+  modal.hidden = false;
+  document.querySelector("#settings-form [name]")?.focus();
+}
+
+function closeSettings() {
+  const modal = document.getElementById("settings-modal");
+  if (modal) modal.hidden = true;
+  if (location.hash === "#settings") history.replaceState(null, "", location.pathname + location.search);
+}
+
+function saveSettingsForm() {
+  try {
+    const saved = RiskSettings.save(readSettingsForm());
+    applyRouteDefaults(saved);
+    closeSettings();
+    setStatus(lastPlan ? "Settings saved. Calculate the route again to score it with them." : "Settings saved.");
+  } catch (e) {
+    const error = document.getElementById("settings-error");
+    if (error) error.textContent = e.message;
+  }
+}
+
+function wireSettings() {
+  window.addEventListener("hashchange", () => {
+    if (location.hash === "#settings") openSettings();
+    else if (!document.getElementById("settings-modal")?.hidden) closeSettings();
+  });
+  document.getElementById("settings-form")?.addEventListener("input", renderSettingsPreview);
+  document.getElementById("settings-form")?.addEventListener("submit", (ev) => { ev.preventDefault(); saveSettingsForm(); });
+  document.getElementById("settings-cancel")?.addEventListener("click", closeSettings);
+  document.getElementById("settings-modal")?.addEventListener("click", (ev) => { if (ev.target.id === "settings-modal") closeSettings(); });
+  document.addEventListener("keydown", (ev) => {
+    if (ev.key === "Escape" && !document.getElementById("settings-modal")?.hidden) closeSettings();
+  });
+  document.getElementById("settings-reset")?.addEventListener("click", () => {
+    if (!confirm("Reset all settings to their defaults?")) return;
+    const settings = RiskSettings.reset();
+    fillSettingsForm(settings);
+    applyRouteDefaults(settings);
+    setStatus("Settings reset to defaults.");
+  });
+
+  const presetSelect = document.getElementById("settings-preset");
+  presetSelect?.addEventListener("change", () => renderSettingsPresets(presetSelect.value));
+  document.getElementById("settings-preset-load")?.addEventListener("click", () => {
+    const preset = RiskSettings.presets()[presetSelect.value];
+    if (!preset) return;
+    // stored presets may predate the current settings shape or be damaged
+    const error = document.getElementById("settings-error");
+    try {
+      fillSettingsForm(validateRiskSettings(preset));
+      if (error) error.textContent = "";
+    } catch (e) {
+      console.warn(`Preset "${presetSelect.value}" invalid:`, e.message);
+      if (error) error.textContent = `Preset "${presetSelect.value}" can't be loaded: ${e.message}`;
+      setStatus(`Preset "${presetSelect.value}" can't be loaded: ${e.message}`);
+    }
+  });
+  document.getElementById("settings-preset-save")?.addEventListener("click", () => {
+    const name = prompt("Save the current form as preset:", "");
+    if (name === null) return;
+    try {
+      RiskSettings.savePreset(name, readSettingsForm());
+      renderSettingsPresets(name.trim());
+      setStatus(`Preset "${name.trim()}" saved.`);
+    } catch (e) {
+      const error = document.getElementById("settings-error");
+      if (error) error.textContent = e.message;
+    }
+  });
+  document.getElementById("settings-preset-delete")?.addEventListener("click", () => {
+    const name = presetSelect.value;
+    if (!RiskSettings.userPresets()[name] || !confirm(`Delete preset "${name}"?`)) return;
+    RiskSettings.deletePreset(name);
+    renderSettingsPresets();
+  });
+
+  applyRouteDefaults();
+  if (location.hash === "#settings") openSettings();
+}
+
+/* -------------------------
+   Watched routes & places (alerts)
+   - a watched route keeps the geometry chosen when it was saved; a watched place is scored as a short
+     WATCH_PLACE_SPAN_M east-west line through it. Both go through scoreRouteCombinedAsync with the
+     profile, risk source and threshold they were saved with
+   - polling (watch.js) runs while the app is open; alerts go to the Notification API unless it is quiet
+     hours, and every alert is kept in the alert history (WATCH_ALERTS_KEY) either way
+   - window.FLOODSAFE_CONFIG = { watch: { clock } } swaps in a fake clock (see createManualClock in watch.js)
+   ------------------------- */
+const WATCHES_KEY = "floodsafe_watches";
+const WATCH_ALERTS_KEY = "floodsafe_watch_alerts";
+const WATCH_SETTINGS_KEY = "floodsafe_watch_settings";
+const WATCH_ALERTS_MAX = 100;
+const WATCH_ALERTS_SHOWN = 20;
+const WATCH_PLACE_SPAN_M = 300;
+const WATCH_INTERVALS_MIN = [5, 15, 30, 60];
+
+// [{ id, kind: "route"|"place", name, geo, route, lat?, lng?, profileId, riskSource, threshold, createdAt, last }]
+// last: { at, risk, label, impassable, missing, over, reports } from the latest check (label: riskLabel; missing:
+// inputs that had no data, or null; over: at/above the threshold, kept through incomplete checks (watchOver);
+// reports: { report or incident id: report count })
+const Watches = {
+  all() {
+    try { return JSON.parse(localStorage.getItem(WATCHES_KEY) || "[]"); } catch(e){ return []; }
+  },
+  _save(list) { localStorage.setItem(WATCHES_KEY, JSON.stringify(list)); },
+  add(watch) {
+    const item = { id: `w-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, createdAt: Date.now(), last: null, ...watch };
+    const list = this.all();
+    list.push(item);
+    this._save(list);
+    return item;
+  },
+  update(id, patch) {
+    const list = this.all();
+    const w = list.find(x => x.id === id);
+    if (!w) return null;
+    Object.assign(w, patch);
+    this._save(list);
+    return w;
+  },
+  remove(id) { this._save(this.all().filter(w => w.id !== id)); }
+};
+
+// newest first: [{ id, watchId, name, kind, message, at, notified, quiet, released? }]
+// quiet: raised during quiet hours and held; released: delivered after quiet hours ended
+const WatchAlerts = {
+  all() {
+    try { return JSON.parse(localStorage.getItem(WATCH_ALERTS_KEY) || "[]"); } catch(e){ return []; }
+  },
+  add(alert) {
+    const list = [{ id: `a-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, ...alert }, ...this.all()].slice(0, WATCH_ALERTS_MAX);
+    try { localStorage.setItem(WATCH_ALERTS_KEY, JSON.stringify(list)); } catch(e){}
+  },
+  held() { return this.all().filter(a => a.quiet && !a.released); },
+  update(ids, patch) {
+    const list = this.all().map(a => ids.includes(a.id) ? { ...a, ...patch } : a);
+    try { localStorage.setItem(WATCH_ALERTS_KEY, JSON.stringify(list)); } catch(e){}
+  },
+  clear() { localStorage.removeItem(WATCH_ALERTS_KEY); }
+};
+
+const WatchSettings = {
+  get() {
+    let saved = {};
+    try { saved = JSON.parse(localStorage.getItem(WATCH_SETTINGS_KEY) || "{}"); } catch(e){}
+    return {
+      enabled: !!saved.enabled,
+      intervalMin: WATCH_INTERVALS_MIN.includes(saved.intervalMin) ? saved.intervalMin : WATCH_DEFAULTS.intervalMs / 60000,
+      quiet: { ...WATCH_DEFAULTS.quiet, ...(saved.quiet || {}) }
+    };
+  },
+  set(patch) {
+    const next = { ...this.get(), ...patch };
+    localStorage.setItem(WATCH_SETTINGS_KEY, JSON.stringify(next));
+    return next;
+  }
+};
+
+function resolveWatchConfig() {
+  return (typeof window !== "undefined" && window.FLOODSAFE_CONFIG && window.FLOODSAFE_CONFIG.watch) || {};
+}
+
+// east-west line through a place (scoring needs a line)
+function placeWatchGeometry(lat, lng) {
+  const dLng = (WATCH_PLACE_SPAN_M / 2) / (111320 * Math.cos(lat * Math.PI / 180));
+  return { type: "LineString", coordinates: [[lng - dLng, lat], [lng, lat], [lng + dLng, lat]] };
+}
+
+// the parts of an OSRM route that ETAs need (step distances and durations)
+function watchRouteSkeleton(route) {
+  if (!route) return null;
+  return {
+    distance: route.distance,
+    duration: route.duration,
+    legs: (route.legs || []).map(l => ({ steps: (l.steps || []).map(s => ({ distance: s.distance, duration: s.duration })) }))
+  };
+}
+
+// active reports (local + shared) within the report radius of the line: { id: report count }. A shared incident
+// keeps its id when more reports join it, so its count is what shows a new report landing
+function reportCountsNearLine(geo, now = Date.now()) {
+  const { reportRadiusM } = RiskSettings.get();
+  return Object.fromEntries(learnerReports()
+    .filter(r => FloodReports.weight(r, now) > 0 && distanceToLineMeters(r.lng, r.lat, geo.coordinates) <= reportRadiusM)
+    .map(r => [r.id, r.reportCount || 1]));
+}
+
+async function scoreWatch(watch, now) {
+  const profile = getVehicleProfile(watch.profileId);
+  const scored = await scoreRouteCombinedAsync(watch.geo, { route: watch.route, departAt: now, profile, riskSource: watch.riskSource });
+  const impassable = scored.breakdown.impassable;
+  const missing = scored.breakdown.missing.length ? missingInputsText(scored.breakdown.missing) : null;
+  const label = riskLabel({ score: scored.combined, details: scored.breakdown });
+  return { at: now, risk: scored.combined, label, impassable: impassable ? impassable.reason : null, missing, reports: reportCountsNearLine(watch.geo, now) };
+}
+
+function notifyWatchAlert(watch, alerts) {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return false;
+  try {
+    const n = new Notification(`FloodSafe: ${watch.name}`, {
+      body: alerts.map(a => a.message).join("\n"),
+      tag: watch.id,
+      icon: "icons/icon.svg"
+    });
+    n.onclick = () => { window.focus(); openWatch(watch.id); n.close(); };
+    return true;
+  } catch (e) {
+    // some mobile browsers only allow notifications from the service worker
+    console.warn("Notification failed:", e);
+    return false;
+  }
+}
+
+// one polling round: re-score every watch, record and announce what changed
+// Alerts held during quiet hours go out as one notification per watch on the first check after the window ends.
+function deliverHeldAlerts() {
+  const byWatch = new Map();
+  for (const a of WatchAlerts.held().reverse()) {
+    if (!byWatch.has(a.watchId)) byWatch.set(a.watchId, []);
+    byWatch.get(a.watchId).push(a);
+  }
+  for (const [watchId, alerts] of byWatch) {
+    const watch = Watches.all().find(w => w.id === watchId) || { id: watchId, name: alerts[0].name };
+    const notified = notifyWatchAlert(watch, alerts.map(a => ({ message: `During quiet hours: ${a.message}` })));
+    WatchAlerts.update(alerts.map(a => a.id), { released: true, notified });
+  }
+}
+
+async function checkWatches(now = Date.now()) {
+  const settings = WatchSettings.get();
+  const quiet = inQuietHours(settings.quiet, now);
+  if (!quiet) deliverHeldAlerts();
+  for (const watch of Watches.all()) {
+    let current;
+    try { current = await scoreWatch(watch, now); }
+    catch (e) { console.warn(`Watch "${watch.name}" check failed:`, e); continue; }
+    const alerts = watchAlerts(watch.last, current, { threshold: watch.threshold });
+    Watches.update(watch.id, { last: { ...current, over: watchOver(watch.last, current, { threshold: watch.threshold }) } });
+    if (!alerts.length) continue;
+    const notified = !quiet && notifyWatchAlert(watch, alerts);
+    alerts.forEach(a => WatchAlerts.add({ watchId: watch.id, name: watch.name, kind: a.kind, message: a.message, at: now, notified, quiet }));
+  }
+  renderWatchList();
+  renderWatchAlerts();
+}
+
+let watchScheduler = null;
+function getWatchScheduler() {
+  if (!watchScheduler) {
+    const config = resolveWatchConfig();
+    watchScheduler = createWatchScheduler({
+      check: checkWatches,
+      intervalMs: WatchSettings.get().intervalMin * 60 * 1000,
+      ...(config.clock ? { clock: config.clock } : {})
+    });
+  }
+  return watchScheduler;
+}
+
+function applyWatchSchedule() {
+  const scheduler = getWatchScheduler();
+  const settings = WatchSettings.get();
+  scheduler.setInterval(settings.intervalMin * 60 * 1000);
+  if (settings.enabled && Watches.all().length) scheduler.start();
+  else scheduler.stop();
+}
+
+async function watchCurrentRoute() {
+  if (!lastPlan || !lastPlan.best) { setStatus("Plan a route before watching it."); return; }
+  const fallback = `${labelOf(document.getElementById("origin"), lastPlan.o)} → ${labelOf(document.getElementById("destination"), lastPlan.d)}`;
+  const name = prompt("Name this watched route:", fallback);
+  if (name === null) return;
+  const watch = Watches.add({
+    kind: "route",
+    name: name.trim() || fallback,
+    geo: lastPlan.best.geo,
+    route: watchRouteSkeleton(lastPlan.best.route),
+    profileId: profileIdOf(lastPlan.profile),
+    riskSource: RISK_SOURCES[lastPlan.riskSource] ? lastPlan.riskSource : DEFAULT_RISK_SOURCE,
+    threshold: lastPlan.threshold,
+    // the plan's own score is the baseline, so only later changes alert
+    last: {
+      at: Date.now(), risk: lastPlan.best.score, label: riskLabel(lastPlan.best), impassable: lastPlan.best.details.impassable?.reason || null,
+      missing: lastPlan.best.details.missing?.length ? missingInputsText(lastPlan.best.details.missing) : null,
+      reports: reportCountsNearLine(lastPlan.best.geo)
+    }
+  });
+  await afterWatchAdded(watch);
+}
+
+async function watchSavedPlace(placeId) {
+  const place = SavedPlaces.all().find(p => p.id === placeId);
+  if (!place) { setStatus("Pick a saved place to watch (save one with ☆ next to Origin or Destination)."); return; }
+  const watch = Watches.add({
+    kind: "place",
+    name: place.name,
+    lat: place.lat,
+    lng: place.lng,
+    geo: placeWatchGeometry(place.lat, place.lng),
+    route: null,
+    profileId: document.getElementById("vehicle-profile")?.value || DEFAULT_VEHICLE_PROFILE,
+    riskSource: document.getElementById("risk-source")?.value || DEFAULT_RISK_SOURCE,
+    threshold: formThreshold()
+  });
+  await afterWatchAdded(watch);
+}
+
+// first watch: offer to turn alerts on (the permission prompt needs this click)
+async function afterWatchAdded(watch) {
+  setStatus(`Watching "${watch.name}".`);
+  if (!WatchSettings.get().enabled) await setWatchAlertsEnabled(true);
+  applyWatchSchedule();
+  renderWatchList();
+}
+
+async function setWatchAlertsEnabled(enabled) {
+  if (enabled && typeof Notification !== "undefined" && Notification.permission === "default") {
+    try { await Notification.requestPermission(); } catch (e) { console.warn("Notification permission request failed:", e); }
+  }
+  WatchSettings.set({ enabled });
+  const box = document.getElementById("watch-enabled");
+  if (box) box.checked = enabled;
+  renderWatchPermission();
+  applyWatchSchedule();
+}
+
+// plans the watched route (or centers on the place)
+function openWatch(id) {
+  const watch = Watches.all().find(w => w.id === id);
+  if (!watch || !map) return;
+  if (watch.kind === "place") { map.flyTo({ center: [watch.lng, watch.lat], zoom: 16 }); return; }
+  const coords = watch.geo.coordinates;
+  const bounds = coords.reduce((b, c) => b.extend(c), new maplibregl.LngLatBounds(coords[0], coords[0]));
+  map.fitBounds(bounds, { padding: 60 });
+  clearRoutes();
+  drawGeojsonRoute({ type: "Feature", geometry: watch.geo }, "watch", true);
+}
+
+function labelOf(input, place) {
+  return (input && input.value.trim()) || `${place.lat.toFixed(4)},${place.lng.toFixed(4)}`;
+}
+
+function renderWatchPermission() {
+  const el = document.getElementById("watch-permission");
+  if (!el) return;
+  if (typeof Notification === "undefined") el.textContent = "This browser has no notifications; alerts only appear in the history below.";
+  else if (Notification.permission === "denied") el.textContent = "Notifications are blocked for this site; alerts only appear in the history below.";
+  else el.textContent = "";
+}
+
+// checks saved before labels were stored only have the number and the missing-inputs text
+function watchRiskLabel(last) {
+  return last.label || `${last.risk.toFixed(2)}${last.missing ? ` (incomplete: ${last.missing})` : ""}`;
+}
+
+function renderWatchList() {
+  const list = document.getElementById("watch-list");
+  if (!list) return;
+  const watches = Watches.all();
+  list.innerHTML = watches.length ? watches.map(w => {
+    const last = w.last
+      ? `risk ${escapeHtml(watchRiskLabel(w.last))}${w.last.impassable ? " · impassable" : ""} · checked ${escapeHtml(formatClock(w.last.at))}`
+      : "not checked yet";
+    const color = !w.last ? "#dee2e6" : w.last.missing ? RISK_UNKNOWN_COLOR : riskColor(w.last.risk, w.threshold);
+    return `<li><span class="swatch" style="background:${color}"></span>
+      <span><a href="#" data-open="${escapeHtml(w.id)}">${escapeHtml(w.name)}</a> (${w.kind}, threshold ${w.threshold})<br/><small>${last}</small></span>
+      <button type="button" class="remove" data-remove="${escapeHtml(w.id)}" title="Stop watching">×</button></li>`;
+  }).join("") : "<li>Nothing watched yet.</li>";
+  const select = document.getElementById("watch-place-select");
+  if (select) {
+    select.innerHTML = SavedPlaces.all().map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join("") || "<option value=\"\">No saved places</option>";
+  }
+}
+
+function renderWatchAlerts() {
+  const list = document.getElementById("watch-alerts");
+  if (!list) return;
+  const alerts = WatchAlerts.all().slice(0, WATCH_ALERTS_SHOWN);
+  list.innerHTML = alerts.length ? alerts.map(a => {
+    const how = a.quiet && !a.released ? "held until quiet hours end"
+      : a.quiet ? (a.notified ? "notified after quiet hours" : "not notified")
+      : a.notified ? "notified" : "not notified";
+    return `<li><span><strong>${escapeHtml(a.name)}</strong>: ${escapeHtml(a.message)}<br/><small>${escapeHtml(formatDateTime(a.at))} · ${how}</small></span></li>`;
+  }).join("") : "<li>No alerts yet.</li>";
+}
+
+function wireWatches() {
+  const settings = WatchSettings.get();
+  const enabledBox = document.getElementById("watch-enabled");
+  if (enabledBox) {
+    enabledBox.checked = settings.enabled;
+    enabledBox.addEventListener("change", () => setWatchAlertsEnabled(enabledBox.checked));
+  }
+  const interval = document.getElementById("watch-interval");
+  if (interval) {
+    interval.innerHTML = WATCH_INTERVALS_MIN.map(m => `<option value="${m}"${m === settings.intervalMin ? " selected" : ""}>${m} min</option>`).join("");
+    interval.addEventListener("change", () => { WatchSettings.set({ intervalMin: Number(interval.value) }); applyWatchSchedule(); });
+  }
+  const quietBox = document.getElementById("watch-quiet");
+  const quietStart = document.getElementById("watch-quiet-start");
+  const quietEnd = document.getElementById("watch-quiet-end");
+  if (quietBox) quietBox.checked = settings.quiet.enabled;
+  if (quietStart) quietStart.value = settings.quiet.start;
+  if (quietEnd) quietEnd.value = settings.quiet.end;
+  [quietBox, quietStart, quietEnd].forEach(el => el?.addEventListener("change", () => {
+    WatchSettings.set({ quiet: { enabled: !!quietBox?.checked, start: quietStart?.value || WATCH_DEFAULTS.quiet.start, end: quietEnd?.value || WATCH_DEFAULTS.quiet.end } });
+  }));
+
+  document.getElementById("watch-route")?.addEventListener("click", watchCurrentRoute);
+  document.getElementById("watch-place")?.addEventListener("click", () => watchSavedPlace(document.getElementById("watch-place-select")?.value));
+  document.getElementById("watch-check")?.addEventListener("click", async () => {
+    setStatus("Checking watched routes and places...");
+    await getWatchScheduler().runNow();
+    setStatus("Watched routes and places checked.");
+  });
+  document.getElementById("watch-alerts-clear")?.addEventListener("click", () => { WatchAlerts.clear(); renderWatchAlerts(); });
+  document.getElementById("watch-list")?.addEventListener("click", (ev) => {
+    const remove = ev.target.closest("button[data-remove]");
+    if (remove) {
+      if (!confirm("Stop watching this?")) return;
+      Watches.remove(remove.dataset.remove);
+      applyWatchSchedule();
+      renderWatchList();
+      return;
+    }
+    const open = ev.target.closest("a[data-open]");
+    if (open) { ev.preventDefault(); openWatch(open.dataset.open); }
+  });
+  // timers are throttled in background tabs: catch up when the app comes back
+  document.addEventListener("visibilitychange", () => {
+    const scheduler = getWatchScheduler();
+    if (document.visibilityState === "visible" && scheduler.running && scheduler.overdue()) scheduler.runNow();
+  });
+
+  renderWatchPermission();
+  renderWatchList();
+  renderWatchAlerts();
+  applyWatchSchedule();
+}
+
+/* -------------------------
+   Evacuation mode
+   - centers come from the NOAH proxy (/api/noah?layer=evacuation), else the bundled data/evacuation-centers.geojson.
+     A file the user loads (GeoJSON, CSV or KML, e.g. the LGU's list) replaces both until cleared.
+   - "Evacuate" starts from the device position (the origin field when there is no fix). It keeps the nearest open
+     centers outside NOAH hazard areas (evacuation.js), routes to each with requestOSRMRoute(), scores every route
+     with scoreRouteCombinedAsync() and ranks them: impassable last, then by risk, then by travel time
+   - the top center is planned like a normal route (directions, navigation, share link); "Route here" picks another
+   - walking is the default travel mode here, whatever the route form says
+   ------------------------- */
+const EVACUATION_KEY = "floodsafe_evacuation_centers";
+const EVACUATION_SOURCES = ["api/noah?layer=evacuation", "data/evacuation-centers.geojson"];
+const EVACUATION_COLORS = { open: "#2b8a3e", standby: "#1971c2", unknown: "#1971c2", full: "#e8590c", closed: "#868e96" };
+const EVACUATION_STATUS_LABELS = { open: "open", standby: "on standby", unknown: "status unknown", full: "full", closed: "closed" };
+
+// Override before app.js loads with window.FLOODSAFE_CONFIG = { evacuation: { sources: [...], profile: "car", maxCount: 8, maxDistanceM: 15000 } }
+function resolveEvacuationConfig() {
+  const fromWindow = (typeof window !== "undefined" && window.FLOODSAFE_CONFIG && window.FLOODSAFE_CONFIG.evacuation) || {};
+  return { sources: EVACUATION_SOURCES, profile: "foot", ...EVACUATION_DEFAULTS, ...fromWindow };
+}
+
+// the user's own list: { name, loadedAt, geojson }
+const EvacuationFile = {
+  get() {
+    try { return JSON.parse(localStorage.getItem(EVACUATION_KEY) || "null"); } catch(e){ return null; }
+  },
+  set(name, geojson) {
+    try { localStorage.setItem(EVACUATION_KEY, JSON.stringify({ name, loadedAt: Date.now(), geojson })); return true; }
+    catch (e) { console.warn("Could not store the evacuation center file:", e); return false; }
+  },
+  clear() { localStorage.removeItem(EVACUATION_KEY); }
+};
+
+// { centers, source: "proxy" | "bundled" | file name, fetchedAt, offline }
+let evacuationData = null;
+// last "Evacuate" run: { o, profile, riskSource, threshold, results: [{ center, ev }], excluded, checkedHazards, chosenId }
+// checkedHazards: hazard data the centers were checked against, ["noah", "imported"] or a part of it
+let evacuation = null;
+
+async function loadEvacuationCenters(force = false) {
+  if (evacuationData && !force) return evacuationData;
+  const own = EvacuationFile.get();
+  if (own) {
+    evacuationData = { centers: normalizeCenters(own.geojson, { source: own.name }), source: own.name, fetchedAt: own.loadedAt, offline: false };
+  } else {
+    evacuationData = null;
+    const urls = resolveEvacuationConfig().sources.flatMap(u => (/^(https?:)?\//.test(u) ? [u] : [u, "/" + u]));
+    for (const url of urls) {
+      try {
+        const r = await fetch(url, { headers: { "Accept": "application/geo+json, application/json" } });
+        if (!r.ok) { console.warn(`Evacuation centers from ${url} returned ${r.status}`); continue; }
+        const centers = normalizeCenters(await r.json(), { source: url });
+        if (!centers.length) { console.warn(`No evacuation centers in ${url}`); continue; }
+        evacuationData = { centers, source: url.includes("api/noah") ? "proxy" : "bundled", ...responseFreshness(r) };
+        break;
+      } catch (e) {
+        console.warn(`Evacuation centers from ${url} failed:`, e);
+      }
+    }
+  }
+  drawEvacuationLayer();
+  renderEvacuationSource();
+  return evacuationData;
+}
+
+function drawEvacuationLayer() {
+  if (!map) return;
+  const data = {
+    type: "FeatureCollection",
+    features: (evacuationData ? evacuationData.centers : []).map(c => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [c.lng, c.lat] },
+      properties: { id: c.id, name: c.name, kind: c.kind, color: EVACUATION_COLORS[c.status] || EVACUATION_COLORS.unknown }
+    }))
+  };
+  try {
+    if (map.getSource("evacuation")) { map.getSource("evacuation").setData(data); return; }
+    map.addSource("evacuation", { type: "geojson", data });
+    map.addLayer({
+      id: "evacuation-points",
+      type: "circle",
+      source: "evacuation",
+      paint: {
+        "circle-radius": ["interpolate", ["linear"], ["zoom"], 10, 4, 15, 8],
+        "circle-color": ["get", "color"],
+        // high ground: hollow ring
+        "circle-stroke-color": ["case", ["==", ["get", "kind"], "high-ground"], ["get", "color"], "#fff"],
+        "circle-stroke-width": ["case", ["==", ["get", "kind"], "high-ground"], 3, 2],
+        "circle-opacity": ["case", ["==", ["get", "kind"], "high-ground"], 0.25, 1]
+      }
+    });
+    map.addLayer({
+      id: "evacuation-labels",
+      type: "symbol",
+      source: "evacuation",
+      minzoom: 13,
+      layout: { "text-field": ["get", "name"], "text-size": 11, "text-offset": [0, 1.2], "text-anchor": "top" },
+      paint: { "text-color": "#1b4332", "text-halo-color": "#fff", "text-halo-width": 1 }
+    });
+    applyLayerVisibility();
+  } catch (e) {
+    console.warn("Failed to draw evacuation centers:", e);
+  }
+}
+
+function evacuationCenterLine(c) {
+  const people = c.capacity !== null ? ` · ${c.occupancy !== null ? `${c.occupancy}/` : ""}${c.capacity} people` : "";
+  return `${c.kind === "high-ground" ? "High ground" : "Evacuation center"} · ${EVACUATION_STATUS_LABELS[c.status] || c.status}${people}`;
+}
+
+// map click on a center: its details instead of the report form
+function evacuationCenterAt(point) {
+  if (!map || !map.getLayer("evacuation-points") || !evacuationData) return null;
+  const hit = map.queryRenderedFeatures(point, { layers: ["evacuation-points"] })[0];
+  return hit ? evacuationData.centers.find(c => c.id === hit.properties.id) || null : null;
+}
+
+function showEvacuationCenterPopup(c) {
+  new maplibregl.Popup({ offset: 12 }).setLngLat([c.lng, c.lat])
+    .setHTML(`<strong>${escapeHtml(c.name)}</strong><br/>${escapeHtml(evacuationCenterLine(c))}${c.address ? `<br/>${escapeHtml(c.address)}` : ""}`)
+    .addTo(map);
+}
+
+// the lowest-risk route to one center (every router alternative is scored), or null when there is none
+async function evaluateEvacuationRoute(o, center, { departAt, profile, riskSource }) {
+  try {
+    const osrm = await requestOSRMRoute(o, { lat: center.lat, lng: center.lng }, [], profile);
+    if (!osrm || !osrm.routes || !osrm.routes.length) return null;
+    const evaluations = await Promise.all(osrm.routes.map(async (r, idx) => {
+      const scoreObj = await scoreRouteCombinedAsync(r.geometry, { route: r, departAt, profile, riskSource });
+      return { idx, geo: r.geometry, score: scoreObj.combined, details: scoreObj.breakdown, route: r };
+    }));
+    return evaluations.sort(compareEvaluations)[0];
+  } catch (e) {
+    console.warn(`Routing to ${center.name} failed:`, e);
+    return null;
+  }
+}
+
+// unreachable last, then impassable, then incomplete scores, then by risk, then by travel time
+function compareEvacuationResults(a, b) {
+  if (!a.ev || !b.ev) return (a.ev ? 0 : 1) - (b.ev ? 0 : 1);
+  return compareEvaluations(a.ev, b.ev) || (a.ev.route?.duration ?? 0) - (b.ev.route?.duration ?? 0);
+}
+
+async function evacuationOrigin() {
+  setStatus("Locating...");
+  try {
+    const pos = await getCurrentPosition();
+    const { latitude: lat, longitude: lng } = pos.coords;
+    setUserLocationMarker(lat, lng);
+    return { lat, lng, label: "Current location" };
+  } catch (e) {
+    console.warn("Geolocation failed:", e);
+    return placeFromField(document.getElementById("origin"));
+  }
+}
+
+async function evacuate() {
+  const btn = document.getElementById("evacuate");
+  if (btn) btn.disabled = true;
+  try {
+    const data = await loadEvacuationCenters();
+    if (!data || !data.centers.length) { setStatus("No evacuation centers available: the NOAH proxy and the bundled list both failed."); return; }
+    const o = await evacuationOrigin();
+    if (!o) { setStatus("Evacuation needs your position: allow location access, or set an origin and try again."); return; }
+
+    const config = resolveEvacuationConfig();
+    const profile = getVehicleProfile(document.getElementById("evac-profile")?.value || config.profile);
+    const riskSource = document.getElementById("risk-source")?.value || DEFAULT_RISK_SOURCE;
+    const threshold = formThreshold();
+    // the hazard index holds NOAH polygons and imported hazard areas alike
+    const hazardSources = [noahHazardData && "noah", ImportedHazards.all().length && "imported"].filter(Boolean);
+    const hazardClassAt = hazardSources.length && noahHazardIndex ? (lat, lng) => hazardRiskAtPoint(noahHazardIndex, lng, lat) : null;
+    const { candidates, excluded } = centerCandidates(data.centers, o, { maxCount: config.maxCount, maxDistanceM: config.maxDistanceM, hazardClassAt });
+    evacuation = { o, profile, riskSource, threshold, results: [], excluded, checkedHazards: hazardClassAt ? hazardSources : [], chosenId: null };
+    if (!candidates.length) {
+      renderEvacuationResults();
+      setStatus(`No usable evacuation center within ${(config.maxDistanceM / 1000).toFixed(0)} km of you.`);
+      return;
+    }
+
+    const departAt = Date.now();
+    for (const [i, center] of candidates.entries()) {
+      // one center at a time: the public OSRM demo throttles bursts
+      setStatus(`Checking routes to evacuation centers (${i + 1}/${candidates.length})...`);
+      evacuation.results.push({ center, ev: await evaluateEvacuationRoute(o, center, { departAt, profile, riskSource }) });
+    }
+    evacuation.results.sort(compareEvacuationResults);
+    renderEvacuationResults();
+    const best = evacuation.results[0];
+    if (!best.ev) { setStatus("No route found to any nearby evacuation center."); return; }
+    await routeToEvacuationCenter(best.center.id);
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+// plans the route to one ranked center with the normal flow, so directions, navigation and sharing all work
+async function routeToEvacuationCenter(id) {
+  const result = evacuation && evacuation.results.find(r => r.center.id === id);
+  if (!result) return;
+  const { o, profile, riskSource, threshold } = evacuation;
+  const d = { lat: result.center.lat, lng: result.center.lng, label: result.center.name };
+  setPlaceField(document.getElementById("origin"), o);
+  setPlaceField(document.getElementById("destination"), d);
+  const modeSelect = document.getElementById("vehicle-profile");
+  if (modeSelect) modeSelect.value = profileIdOf(profile);
+  evacuation.chosenId = id;
+  renderEvacuationResults();
+  const avoidFloods = !!document.getElementById("avoid-floods")?.checked;
+  const best = await planRoute({ o, d, threshold, avoidFloods, departAt: Date.now(), profile, riskSource });
+  if (best && map) {
+    const coords = best.geo.coordinates;
+    map.fitBounds(coords.reduce((b, c) => b.extend(c), new maplibregl.LngLatBounds(coords[0], coords[0])), { padding: 60 });
+  }
+}
+
+function renderEvacuationSource() {
+  const el = document.getElementById("evac-source");
+  const clear = document.getElementById("evac-file-clear");
+  if (clear) clear.hidden = !EvacuationFile.get();
+  if (!el) return;
+  if (!evacuationData) { el.textContent = "Evacuation centers unavailable (NOAH proxy and bundled list both failed)."; return; }
+  const from = evacuationData.source === "proxy" ? "NOAH" : evacuationData.source === "bundled" ? "the bundled sample list" : evacuationData.source;
+  const age = evacuationData.offline && evacuationData.fetchedAt ? ` (offline copy from ${formatDateTime(evacuationData.fetchedAt)})` : "";
+  el.textContent = `${evacuationData.centers.length} evacuation center(s) from ${from}${age}.`;
+}
+
+function renderEvacuationResults() {
+  const list = document.getElementById("evac-results");
+  if (!list) return;
+  if (!evacuation) { list.innerHTML = ""; return; }
+  const { results, excluded, threshold, profile, checkedHazards, chosenId } = evacuation;
+  const rows = results.map(({ center, ev }) => {
+    const where = `${(center.distanceM / 1000).toFixed(1)} km away`;
+    const route = !ev ? "no route found"
+      : `risk ${escapeHtml(riskLabel(ev))} · ${((ev.route?.distance ?? 0) / 1000).toFixed(1)} km, ${Math.round((ev.route?.duration ?? 0) / 60)} min ${escapeHtml(profile.label.toLowerCase())}` +
+        (ev.details.impassable ? ` · likely impassable (${escapeHtml(ev.details.impassable.reason)})` : "");
+    const color = !ev ? EVACUATION_COLORS.closed : ev.details.missing?.length ? RISK_UNKNOWN_COLOR : riskColor(ev.score, threshold);
+    const action = !ev ? "" : center.id === chosenId ? " <em>(shown)</em>"
+      : ` <button type="button" class="link-button" data-center="${escapeHtml(center.id)}">Route here</button>`;
+    return `<li><span class="swatch" style="background:${color}"></span><span><strong>${escapeHtml(center.name)}</strong>
+      <small>${escapeHtml(evacuationCenterLine(center))} · ${where}</small><br/>${route}${action}</span></li>`;
+  });
+  const notes = [];
+  if (excluded.length) notes.push(`Skipped: ${excluded.map(x => `${escapeHtml(x.center.name)} (${escapeHtml(x.reason)})`).join("; ")}.`);
+  if (!checkedHazards.length) notes.push("No hazard areas (NOAH or imported) are loaded, so centers were not checked against them.");
+  else if (!checkedHazards.includes("noah")) notes.push("The NOAH hazard map is not loaded; centers were checked against your imported hazard areas only.");
+  list.innerHTML = rows.join("") + notes.map(n => `<li class="hint">${n}</li>`).join("");
+}
+
+async function loadEvacuationFile(file) {
+  let geojson;
+  try {
+    const parsed = parseImport(await file.text(), file.name);
+    geojson = { type: "FeatureCollection", features: parsed.features };
+  } catch (e) {
+    console.warn("Evacuation center file could not be read:", e);
+    setStatus(`Could not read ${file.name}: ${e.message}`);
+    return;
+  }
+  const centers = normalizeCenters(geojson, { source: file.name });
+  if (!centers.length) { setStatus(`No evacuation centers (points) found in ${file.name}.`); return; }
+  const stored = EvacuationFile.set(file.name, geojson);
+  evacuationData = { centers, source: file.name, fetchedAt: Date.now(), offline: false };
+  evacuation = null;
+  drawEvacuationLayer();
+  renderEvacuationSource();
+  renderEvacuationResults();
+  setStatus(`Loaded ${centers.length} evacuation center(s) from ${file.name}${stored ? "" : " (too large to keep after a reload)"}.`);
+}
+
+function wireEvacuation() {
+  const modeSelect = document.getElementById("evac-profile");
+  if (modeSelect) modeSelect.value = resolveEvacuationConfig().profile;
+  document.getElementById("evacuate")?.addEventListener("click", evacuate);
+  document.getElementById("evac-results")?.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("button[data-center]");
+    if (btn) routeToEvacuationCenter(btn.dataset.center);
+  });
+  document.getElementById("evac-file")?.addEventListener("change", (ev) => {
+    const file = ev.target.files && ev.target.files[0];
+    if (file) loadEvacuationFile(file);
+    ev.target.value = "";
+  });
+  document.getElementById("evac-file-clear")?.addEventListener("click", async () => {
+    EvacuationFile.clear();
+    evacuation = null;
+    renderEvacuationResults();
+    await loadEvacuationCenters(true);
+    setStatus("Using the default evacuation center list again.");
+  });
+}
+
+/* -------------------------
+   Data source health (wireframe: System Messages)
+   - SourceHealth (health.js) tracks NOAH tiles, NOAH GeoJSON, the AccuWeather proxy, routing and Nominatim:
+     status, last success, data age and last error, shown in the #source-health table
+   - a failed source backs off before it is tried again: weather requests are skipped while it cools down, the NOAH
+     tile probe and GeoJSON load reschedule themselves, routing and Nominatim retry inside the request
+   - NOAH hazards are reloaded every NOAH_REFRESH_MS while the page is open
+   - state changes (failed, down, back) are listed under the table, newest first
+   ------------------------- */
+const NOAH_REFRESH_MS = 30 * 60 * 1000;
+const SYSTEM_MESSAGES_MAX = 20;
+
+const SourceHealth = createSourceHealth({
+  noahTiles: { label: "NOAH tiles" },
+  noahGeojson: { label: "NOAH hazard data", staleAfterMs: NOAH_STALE_MS },
+  weather: { label: "AccuWeather (proxy)" },
+  routing: { label: "Routing (OSRM)" },
+  geocoding: { label: "Nominatim" }
+});
+
+const SOURCE_STATUS_LABELS = { unknown: "not used yet", ok: "OK", stale: "stale", retrying: "retrying", down: "down" };
+
+// "Retry now" for sources the app polls itself; routing and geocoding are tried again on the next request
+const SOURCE_RETRIES = {
+  noahTiles: async () => { if (!(await testNoahTileAvailability())) scheduleTileProbe(); },
+  noahGeojson: () => attemptLoadNoahGeoJSON(),
+  weather: () => {
+    const c = map ? map.getCenter() : { lat: 14.5995, lng: 120.9842 };
+    return fetchAccuWeatherProxy(c.lat, c.lng);
+  }
+};
+
+let systemMessages = []; // [{ at, text, warn }]
+let noahRefreshTimer = null;
+let tileProbeTimer = null;
+
+function addSystemMessage(text, warn = false) {
+  systemMessages = [{ at: Date.now(), text, warn }, ...systemMessages].slice(0, SYSTEM_MESSAGES_MAX);
+}
+
+// only changes are worth a message: the first failure, going down, coming back
+function onSourceHealthChange(r, event) {
+  if (event === "recovered") {
+    const note = r.id === "noahTiles" ? " Reload the page to use them as the basemap."
+      : r.id === "noahGeojson" && lastPlan?.best.details.missing?.length ? " Calculate the route again to include the hazard map." : "";
+    addSystemMessage(`${r.label} is back.${note}`);
+  } else if (event === "failure" && r.failures === 1) {
+    addSystemMessage(`${r.label} failed: ${r.lastError}`, true);
+  } else if (event === "failure" && r.failures === HEALTH_DEFAULTS.downAfter) {
+    addSystemMessage(`${r.label} is down (${r.failures} failures in a row); retrying less often.`, true);
+  }
+  renderSourceHealth();
+}
+
+// next NOAH GeoJSON load: NOAH_REFRESH_MS after a good load, at the backoff time after a failure
+function scheduleNoahRefresh() {
+  clearTimeout(noahRefreshTimer);
+  const r = SourceHealth.get("noahGeojson");
+  const delay = r.state === "ok" ? NOAH_REFRESH_MS : Math.max(0, (r.nextRetryAt ?? 0) - Date.now());
+  noahRefreshTimer = setTimeout(() => attemptLoadNoahGeoJSON({ quiet: true }), delay);
+}
+
+// NOAH tiles failed at startup: keep probing with backoff so the panel shows when they are back
+function scheduleTileProbe() {
+  clearTimeout(tileProbeTimer);
+  const r = SourceHealth.get("noahTiles");
+  if (r.state === "ok") return;
+  tileProbeTimer = setTimeout(async () => {
+    if (!(await testNoahTileAvailability())) scheduleTileProbe();
+  }, Math.max(0, (r.nextRetryAt ?? 0) - Date.now()));
+}
+
+function formatWait(ms) {
+  const s = Math.ceil(ms / 1000);
+  return s < 60 ? `${s} s` : `${Math.ceil(s / 60)} min`;
+}
+
+function renderSourceHealth() {
+  const body = document.getElementById("source-health");
+  if (body) {
+    const now = Date.now();
+    body.innerHTML = SourceHealth.all().map(r => {
+      const status = SourceHealth.statusOf(r, now);
+      const age = SourceHealth.dataAge(r, now);
+      const wait = r.nextRetryAt && r.nextRetryAt > now ? `<br/><small>retry in ${formatWait(r.nextRetryAt - now)}</small>` : "";
+      const retry = SOURCE_RETRIES[r.id] && (status === "retrying" || status === "down" || status === "stale")
+        ? ` <button type="button" class="link-button" data-retry="${r.id}">Retry now</button>` : "";
+      return `<tr class="source-${status}"><th scope="row">${escapeHtml(r.label)}</th>
+        <td><span class="source-status">${SOURCE_STATUS_LABELS[status]}</span>${wait}${retry}</td>
+        <td>${r.lastSuccessAt ? formatAge(now - r.lastSuccessAt) : "never"}</td>
+        <td>${age === null ? "—" : formatAge(age).replace(" ago", "")}</td>
+        <td>${r.lastError ? `${escapeHtml(r.lastError)}<br/><small>${formatClock(r.lastErrorAt)}</small>` : "—"}</td></tr>`;
+    }).join("");
+  }
+  const list = document.getElementById("system-messages");
+  if (list) {
+    list.innerHTML = systemMessages.length
+      ? systemMessages.map(m => `<li${m.warn ? " class=\"warn\"" : ""}><small>${formatClock(m.at)}</small> ${escapeHtml(m.text)}</li>`).join("")
+      : "<li>No problems so far.</li>";
+  }
+}
+
+async function retrySource(id) {
+  SourceHealth.clearCooldown(id);
+  await SOURCE_RETRIES[id]?.();
+  const r = SourceHealth.get(id);
+  setStatus(r.state === "ok" ? `${r.label}: OK.` : `${r.label}: still failing (${r.lastError}).`);
+}
+
+function wireSourceHealth() {
+  SourceHealth.subscribe(onSourceHealthChange);
+  document.getElementById("source-health")?.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("button[data-retry]");
+    if (btn) retrySource(btn.dataset.retry);
+  });
+  // ages and retry countdowns keep moving while nothing happens
+  setInterval(renderSourceHealth, 30 * 1000);
+  renderSourceHealth();
+}
+
+/* -------------------------
+   Offline support
+   - sw.js caches the app shell, basemap tiles and the last good NOAH GeoJSON
+   - "Save this area" fetches every basemap tile of the visible bounds (through the service worker, which
+     stores them) plus the NOAH GeoJSON
+   - ReportOutbox queues report changes that could not be sent and retries when the browser comes back online
+   ------------------------- */
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register("sw.js").catch(e => console.warn("Service worker registration failed:", e));
+}
+
+function formatAge(ms) {
+  const min = Math.round(ms / 60000);
+  if (min < 1) return "just now";
+  if (min < 60) return `${min} min ago`;
+  const h = Math.round(min / 60);
+  return h < 48 ? `${h} h ago` : `${Math.round(h / 24)} days ago`;
+}
+
+function renderHazardFreshness() {
+  const el = document.getElementById("hazard-freshness");
+  if (!el) return;
+  if (!noahHazardData) { el.textContent = "NOAH hazards: not loaded"; el.className = "freshness stale"; return; }
+  const f = noahHazardFreshness || {};
+  const age = f.fetchedAt ? Date.now() - f.fetchedAt : null;
+  const stale = f.offline || age === null || age > NOAH_STALE_MS;
+  const when = age === null ? "age unknown" : `updated ${formatAge(age)}`;
+  el.textContent = `NOAH hazards: ${when}${f.offline ? " (saved copy — offline or NOAH unreachable)" : ""}${stale ? " — may be out of date" : ""}`;
+  el.className = stale ? "freshness stale" : "freshness";
+}
+
+function renderConnectivity() {
+  const el = document.getElementById("connectivity");
+  if (!el) return;
+  const pending = ReportOutbox.pending().length;
+  const offline = !navigator.onLine;
+  el.hidden = !offline && pending === 0;
+  el.textContent = [
+    offline ? "Offline — using saved map, hazards and reports." : "",
+    pending ? `${pending} report change(s) waiting to be sent.` : ""
+  ].filter(Boolean).join(" ");
+}
+
+// slippy-map tile numbers covering [west, south, east, north] at zoom z
+function tileRange(bounds, z) {
+  const n = 2 ** z;
+  const x = lng => Math.min(n - 1, Math.max(0, Math.floor((lng + 180) / 360 * n)));
+  const y = lat => {
+    const r = lat * Math.PI / 180;
+    return Math.min(n - 1, Math.max(0, Math.floor((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2 * n)));
+  };
+  return { x0: x(bounds[0]), x1: x(bounds[2]), y0: y(bounds[3]), y1: y(bounds[1]) };
+}
+
+// {z}/{x}/{y} URL templates of the basemap's raster/vector sources
+function basemapTileTemplates() {
+  const out = [];
+  Object.keys(map.getStyle().sources || {}).forEach(id => {
+    const src = map.getSource(id);
+    if (src && (src.type === "raster" || src.type === "vector") && Array.isArray(src.tiles)) {
+      out.push({ template: src.tiles[0], maxzoom: src.maxzoom ?? 22 });
+    }
+  });
+  return out;
+}
+
+async function saveAreaForOffline() {
+  const progress = document.getElementById("offline-progress");
+  const btn = document.getElementById("offline-save");
+  if (!map) return;
+  if (!("serviceWorker" in navigator) || !navigator.serviceWorker.controller) {
+    progress.textContent = "Offline storage needs the service worker (served over https or localhost; reload once).";
+    return;
+  }
+  const b = map.getBounds();
+  const bounds = [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()];
+  const urls = [];
+  const zMin = Math.floor(map.getZoom());
+  basemapTileTemplates().forEach(({ template, maxzoom }) => {
+    for (let z = zMin; z <= Math.min(OFFLINE_MAX_ZOOM, maxzoom); z++) {
+      const { x0, x1, y0, y1 } = tileRange(bounds, z);
+      for (let x = x0; x <= x1; x++) for (let y = y0; y <= y1; y++) {
+        urls.push(template.replace("{z}", z).replace("{x}", x).replace("{y}", y));
+      }
+    }
+  });
+  if (urls.length > OFFLINE_MAX_TILES) {
+    progress.textContent = `This view needs ${urls.length} tiles (limit ${OFFLINE_MAX_TILES}). Zoom in and try again.`;
+    return;
+  }
+
+  btn.disabled = true;
+  let done = 0, failed = 0;
+  const queue = urls.slice();
+  // a few parallel workers; tile servers throttle aggressive clients
+  const worker = async () => {
+    while (queue.length) {
+      const url = queue.shift();
+      try { const r = await fetch(url); if (!r.ok) failed++; } catch (e) { failed++; }
+      done++;
+      if (done % 20 === 0) progress.textContent = `Saving tiles... ${done}/${urls.length}`;
+    }
+  };
+  await Promise.all(Array.from({ length: 4 }, worker));
+  await attemptLoadNoahGeoJSON(); // the service worker keeps the response as the offline copy
+  await loadEvacuationCenters(true); // ...and the evacuation centers
+  await syncSharedReports(true);  // shared incidents are kept in localStorage
+
+  btn.disabled = false;
+  progress.textContent = `Saved ${done - failed} of ${urls.length} tiles${failed ? ` (${failed} failed)` : ""}, NOAH hazards and evacuation centers. Shared reports for this area are stored on this device.`;
+}
+
+/* ReportOutbox: { op: "create"|"update"|"delete", report, queuedAt } entries in localStorage, sent in order */
+const OUTBOX_KEY = "flood_reports_outbox";
+
+const ReportOutbox = {
+  pending() {
+    try { return JSON.parse(localStorage.getItem(OUTBOX_KEY) || "[]"); } catch(e){ return []; }
+  },
+  _save(list) { localStorage.setItem(OUTBOX_KEY, JSON.stringify(list)); },
+  enqueue(op, report) {
+    const list = this.pending();
+    // a later change to the same report supersedes an unsent one (a create stays a create)
+    const prev = list.findIndex(x => x.report.id === report.id);
+    if (prev >= 0) {
+      const wasCreate = list[prev].op === "create";
+      list.splice(prev, 1);
+      if (wasCreate && op === "delete") { this._save(list); return; }
+      if (wasCreate) op = "create";
+    }
+    list.push({ op, report, queuedAt: Date.now() });
+    this._save(list);
+  },
+  clear() { localStorage.removeItem(OUTBOX_KEY); },
+
+  // sends queued changes; stops at the first network failure so ordering is kept. Returns the number sent.
+  async flush() {
+    if (this._flushing || !navigator.onLine) return 0;
+    this._flushing = true;
+    let sent = 0;
+    try {
+      let list = this.pending();
+      while (list.length) {
+        const { op, report } = list[0];
+        // update/delete are only accepted from the device that sent the report
+        const url = op === "create" ? REPORTS_SYNC_URL
+          : `${REPORTS_SYNC_URL}/${encodeURIComponent(report.id)}${op === "delete" ? `?deviceId=${encodeURIComponent(deviceId())}` : ""}`;
+        const method = { create: "POST", update: "PUT", delete: "DELETE" }[op];
+        let r;
+        try {
+          r = await fetch(url, { method, headers: { "Content-Type": "application/json" }, body: op === "delete" ? undefined : JSON.stringify({ ...report, deviceId: deviceId() }) });
+        } catch (e) {
+          break; // still offline
+        }
+        // 404/5xx/429: service missing or struggling — keep the entry for the next attempt
+        if (r.status === 404 || r.status === 429 || r.status >= 500) {
+          console.warn(`Report sync ${op} returned ${r.status}; will retry later`);
+          break;
+        }
+        if (!r.ok) console.warn(`Report sync ${op} rejected (${r.status}); dropping`, report);
+        else sent++;
+        list = this.pending().filter(x => !(x.report.id === report.id && x.op === op));
+        this._save(list);
+      }
+    } finally {
+      this._flushing = false;
+      renderConnectivity();
+    }
+    return sent;
+  }
+};
+
+function queueReportSync(op, report) {
+  ReportOutbox.enqueue(op, report);
+  renderConnectivity();
+  // refresh incidents afterwards so the report shows up merged with nearby ones
+  ReportOutbox.flush().then(sent => { if (sent) syncSharedReports(true); });
+}
+
+function wireOffline() {
+  registerServiceWorker();
+  document.getElementById("offline-save")?.addEventListener("click", saveAreaForOffline);
+  window.addEventListener("online", async () => {
+    renderConnectivity();
+    const sent = await ReportOutbox.flush();
+    if (sent) setStatus(`Back online: sent ${sent} queued report change(s).`);
+    syncSharedReports(true);
+    SourceHealth.clearCooldown("weather"); // its backoff was counting offline time
+    attemptLoadNoahGeoJSON();
+  });
+  window.addEventListener("offline", () => { renderConnectivity(); setStatus("Offline — using saved data."); });
+  // hazard age keeps growing while the page is open
+  setInterval(renderHazardFreshness, 60 * 1000);
+  renderConnectivity();
+  ReportOutbox.flush();
+}
+
+/* -------------------------
+   Wire UI & init — clear weather/directions when clearing memory
+   ------------------------- */
+function wireUI() {
+  const form = document.getElementById("route-form");
+  if (form) form.addEventListener("submit", (ev) => { ev.preventDefault(); handleRouting(); });
+
+  wireReportModal();
+  wireOffline();
+  wireLayerPanel();
+  wireImportExport();
+  wireSettings();
+  wireDirectionControls();
+  wireFloodHistory();
+  wireWatches();
+  wireRouteSharing();
+  wireEvacuation();
+  wireSourceHealth();
+  wirePlaceField(document.getElementById("origin"));
+  wirePlaceField(document.getElementById("destination"));
+  document.getElementById("model-retrain")?.addEventListener("click", () => trainFloodModel(true));
+  renderModelInfo();
+
+  const clearBtn = document.getElementById("clear-memory");
+  if (clearBtn) clearBtn.addEventListener("click", () => {
+    if (!confirm("Delete all locally stored flood reports?")) return;
+    FloodLearner.clear();
+    ReportHistory.clear();
+    renderFloodHistory();
+    renderModelInfo();
+    ReportOutbox.clear();
+    renderConnectivity();
+    clearReportMarkers();
+    setStatus("Local flood memory cleared.");
+    clearRoutes();
+    drawWeatherOverlay([]);
+    const directions = document.getElementById("directions");
+    const summary = document.getElementById("directions-summary");
+    const w1 = document.getElementById("weather-origin");
+    const w2 = document.getElementById("weather-destination");
+    if (directions) directions.innerHTML = "";
+    if (summary) summary.textContent = "";
+    const routeSummary = document.getElementById("route-summary");
+    if (routeSummary) routeSummary.innerHTML = "<em>No route</em>";
+    if (w1) w1.innerHTML = "Origin: <em>none</em>";
+    if (w2) w2.innerHTML = "Destination: <em>none</em>";
+    stopNavigation(true);
+    lastPlan = null;
+    const navBtn = document.getElementById("nav-start");
+    if (navBtn) navBtn.disabled = true;
+    const exportBtn = document.getElementById("export-route");
+    if (exportBtn) exportBtn.disabled = true;
+    const historyBtn = document.getElementById("history-score");
+    if (historyBtn) historyBtn.disabled = true;
+    const watchBtn = document.getElementById("watch-route");
+    if (watchBtn) watchBtn.disabled = true;
+    setRouteActionsEnabled(false);
+    clearShareUrl();
+    const historyScores = document.getElementById("history-scores");
+    if (historyScores) historyScores.innerHTML = "";
     // remove user marker if present
     try { if (userLocationMarker) { userLocationMarker.remove(); userLocationMarker = null; } } catch(e){}
   });
@@ -573,6 +4694,9 @@ function wireUI() {
   // wire current location button
   const locBtn = document.getElementById("loc-btn");
   if (locBtn) locBtn.addEventListener("click", (ev) => { ev.preventDefault(); detectCurrentLocation(); });
+
+  document.getElementById("nav-start")?.addEventListener("click", startNavigation);
+  document.getElementById("nav-stop")?.addEventListener("click", () => stopNavigation());
 }
 
 // window load wiring and init (unchanged)
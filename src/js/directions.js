@@ -0,0 +1,313 @@
+/*
+ directions.js — turn-by-turn instruction text (English / Filipino) and spoken prompts (no map or storage dependency)
+ - instructionText(step, { language, continuing }) — one OSRM step as a sentence: every maneuver type and modifier,
+   roundabout / rotary exits, merges, ramps, forks and the side of the road the destination is on.
+   Uses the optional OSRM step fields when a provider sends them: ref, rotary_name, destinations, maneuver.bearing_after
+ - spokenInstruction(step, distanceM, opts) — "In 300 meters, turn left onto EDSA" for voice guidance
+ - formatDistance(m, language, { spoken }) / formatDuration(s, language) — rounded for reading while moving
+ - hazardWarningText({ noahClass, reportCount, alerts, risk }, language) — flood warning attached to a step
+ - phrase(key, language, vars) — the few navigation banner strings
+ - createVoiceGuide() — Web Speech API wrapper; speak() is a no-op where speechSynthesis is missing
+*/
+
+export const DIRECTION_LANGUAGES = {
+  en: { label: "English", speechLang: "en-PH", speechFallbacks: ["en"] },
+  fil: { label: "Filipino", speechLang: "fil-PH", speechFallbacks: ["fil", "tl"] }
+};
+export const DEFAULT_DIRECTION_LANGUAGE = "en";
+
+const COMPASS = {
+  en: ["north", "northeast", "east", "southeast", "south", "southwest", "west", "northwest"],
+  fil: ["pahilaga", "pahilagang-silangan", "pasilangan", "patimog-silangan", "patimog", "patimog-kanluran", "pakanluran", "pahilagang-kanluran"]
+};
+
+// OSRM modifiers -> the verb phrase for a plain turn
+const TURNS = {
+  en: {
+    uturn: "Make a U-turn", "sharp right": "Make a sharp right", right: "Turn right", "slight right": "Bear right",
+    straight: "Go straight", "slight left": "Bear left", left: "Turn left", "sharp left": "Make a sharp left"
+  },
+  fil: {
+    uturn: "Mag-U-turn", "sharp right": "Kumanan nang matalas", right: "Kumanan", "slight right": "Bahagyang kumanan",
+    straight: "Dumiretso", "slight left": "Bahagyang kumaliwa", left: "Kumaliwa", "sharp left": "Kumaliwa nang matalas"
+  }
+};
+
+// OSRM modifiers -> "left" / "right" / "straight" wording for ramps, forks, merges and lanes
+const SIDES = {
+  en: { left: "left", right: "right", straight: "straight" },
+  fil: { left: "kaliwa", right: "kanan", straight: "diretso" }
+};
+
+const FIL_ORDINALS = ["unang", "ikalawang", "ikatlong", "ikaapat na", "ikalimang", "ikaanim na", "ikapitong", "ikawalong", "ikasiyam na", "ikasampung"];
+
+const HAZARD_LEVEL_WORDS = {
+  en: { 1: "low", 2: "medium", 3: "high" },
+  fil: { 1: "mababang", 2: "katamtamang", 3: "mataas na" }
+};
+
+const PHRASES = {
+  en: {
+    inDistance: "In {distance}: {instruction}",
+    remaining: "{distance} remaining",
+    total: "Total: {distance} · {duration}",
+    arrived: "You have arrived.",
+    offRoute: "off route",
+    rerouting: "rerouting…",
+    noDirections: "No directions available"
+  },
+  fil: {
+    inDistance: "Pagkalipas ng {distance}: {instruction}",
+    remaining: "{distance} pa",
+    total: "Kabuuan: {distance} · {duration}",
+    arrived: "Nakarating ka na.",
+    offRoute: "wala sa ruta",
+    rerouting: "naghahanap ng bagong ruta…",
+    noDirections: "Walang direksyong makukuha"
+  }
+};
+
+function lang(language) {
+  return DIRECTION_LANGUAGES[language] ? language : DEFAULT_DIRECTION_LANGUAGE;
+}
+
+function fill(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (_, k) => (vars[k] ?? ""));
+}
+
+export function phrase(key, language, vars = {}) {
+  const l = lang(language);
+  return fill(PHRASES[l][key] ?? PHRASES.en[key] ?? key, vars);
+}
+
+function side(modifier) {
+  if (!modifier) return null;
+  if (modifier.includes("left")) return "left";
+  if (modifier.includes("right")) return "right";
+  return modifier === "straight" ? "straight" : null;
+}
+
+function ordinal(n, l) {
+  if (l === "fil") return FIL_ORDINALS[n - 1] || `ika-${n} na`;
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : ({ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th");
+  return `${n}${suffix}`;
+}
+
+function compass(bearing, l) {
+  if (typeof bearing !== "number" || !Number.isFinite(bearing)) return null;
+  return COMPASS[l][Math.round((((bearing % 360) + 360) % 360) / 45) % 8];
+}
+
+// "EDSA (C-4)"; ramps without a name fall back to their signed destinations
+function roadName(step) {
+  const name = (step.name || "").trim();
+  const ref = (step.ref || "").trim();
+  if (name && ref && !name.includes(ref)) return `${name} (${ref})`;
+  return name || ref;
+}
+
+// " onto EDSA" / " sa EDSA"; ramps and forks say where they lead when the road has no name
+function onto(step, l) {
+  const name = roadName(step);
+  if (name) return l === "fil" ? ` sa ${name}` : ` onto ${name}`;
+  const dest = (step.destinations || "").trim();
+  if (dest) return l === "fil" ? ` papunta sa ${dest}` : ` toward ${dest}`;
+  return "";
+}
+
+function lowerFirst(s) { return s.charAt(0).toLowerCase() + s.slice(1); }
+
+function englishInstruction(step, m, continuing) {
+  const s = side(m.modifier);
+  const to = onto(step, "en");
+  const turn = TURNS.en[m.modifier] || "Continue";
+  switch (m.type) {
+    case "depart": {
+      if (continuing) return `Continue${to}`;
+      const dir = compass(m.bearing_after, "en");
+      const on = roadName(step) ? ` on ${roadName(step)}` : "";
+      return dir ? `Head ${dir}${on}` : `Start${on}`;
+    }
+    case "arrive":
+      if (s === "left" || s === "right") return `You have arrived at your destination, on the ${s}`;
+      if (s === "straight") return "You have arrived at your destination, straight ahead";
+      return "You have arrived at your destination";
+    case "turn":
+      return `${turn}${to}`;
+    case "new name":
+      return roadName(step) ? `Continue onto ${roadName(step)}` : "Continue";
+    case "continue":
+    case "notification":
+      if (m.modifier === "uturn") return `Make a U-turn${to}`;
+      if (!s || s === "straight") return `Continue straight${to}`;
+      return `${m.modifier.startsWith("slight") ? "Keep" : "Continue"} ${s}${to}`;
+    case "merge":
+      return `Merge${s && s !== "straight" ? ` ${s}` : ""}${to}`;
+    case "on ramp":
+      return `Take the ramp${s && s !== "straight" ? ` on the ${s}` : ""}${to}`;
+    case "off ramp":
+      return `Take the exit${s && s !== "straight" ? ` on the ${s}` : ""}${to}`;
+    case "fork":
+      return s && s !== "straight" ? `Keep ${s} at the fork${to}` : `Go straight at the fork${to}`;
+    case "end of road":
+      return `At the end of the road, ${lowerFirst(turn)}${to}`;
+    case "use lane":
+      return s && s !== "straight" ? `Use the ${s} lane to continue${to}` : `Stay in your lane${to}`;
+    case "roundabout":
+    case "rotary": {
+      const circle = m.type === "rotary" && step.rotary_name ? step.rotary_name : `the ${m.type === "rotary" ? "rotary" : "roundabout"}`;
+      return m.exit ? `Enter ${circle} and take the ${ordinal(m.exit, "en")} exit${to}` : `Enter ${circle}${to}`;
+    }
+    case "roundabout turn":
+      return `At the roundabout, ${lowerFirst(turn)}${to}`;
+    case "exit roundabout":
+    case "exit rotary":
+      return `Exit the ${m.type === "exit rotary" ? "rotary" : "roundabout"}${to}`;
+    default:
+      return m.modifier ? `${turn}${to}` : `Continue${to}`;
+  }
+}
+
+function filipinoInstruction(step, m, continuing) {
+  const s = side(m.modifier);
+  const to = onto(step, "fil");
+  const turn = TURNS.fil[m.modifier] || "Magpatuloy";
+  const where = s && s !== "straight" ? ` sa ${SIDES.fil[s]}` : "";
+  switch (m.type) {
+    case "depart": {
+      if (continuing) return `Magpatuloy${to}`;
+      const dir = compass(m.bearing_after, "fil");
+      const on = roadName(step) ? ` sa ${roadName(step)}` : "";
+      return dir ? `Tumungo ${dir}${on}` : `Magsimula${on}`;
+    }
+    case "arrive":
+      if (s === "left" || s === "right") return `Narating mo na ang iyong destinasyon, nasa iyong ${SIDES.fil[s]}`;
+      if (s === "straight") return "Narating mo na ang iyong destinasyon, nasa harap mo";
+      return "Narating mo na ang iyong destinasyon";
+    case "turn":
+      return `${turn}${to}`;
+    case "new name":
+      return roadName(step) ? `Magpatuloy sa ${roadName(step)}` : "Magpatuloy";
+    case "continue":
+    case "notification":
+      if (m.modifier === "uturn") return `Mag-U-turn${to}`;
+      if (!s || s === "straight") return `Dumiretso${to}`;
+      return `${m.modifier.startsWith("slight") ? "Manatili" : "Magpatuloy"} sa ${SIDES.fil[s]}${to}`;
+    case "merge":
+      return `Sumanib${s && s !== "straight" ? ` pa${SIDES.fil[s]}` : ""}${to}`;
+    case "on ramp":
+      return `Pumasok sa rampa${where}${to}`;
+    case "off ramp":
+      return `Lumabas sa labasan${where}${to}`;
+    case "fork":
+      return s && s !== "straight" ? `Sa hatian ng daan, manatili sa ${SIDES.fil[s]}${to}` : `Sa hatian ng daan, dumiretso${to}`;
+    case "end of road":
+      return `Sa dulo ng daan, ${lowerFirst(turn)}${to}`;
+    case "use lane":
+      return s && s !== "straight" ? `Gamitin ang ${SIDES.fil[s]}ng linya${to}` : `Manatili sa iyong linya${to}`;
+    case "roundabout":
+    case "rotary": {
+      const circle = m.type === "rotary" && step.rotary_name ? step.rotary_name : "rotonda";
+      return m.exit ? `Pumasok sa ${circle} at lumabas sa ${ordinal(m.exit, "fil")} labasan${to}` : `Pumasok sa ${circle}${to}`;
+    }
+    case "roundabout turn":
+      return `Sa rotonda, ${lowerFirst(turn)}${to}`;
+    case "exit roundabout":
+    case "exit rotary":
+      return `Lumabas sa rotonda${to}`;
+    default:
+      return m.modifier ? `${turn}${to}` : `Magpatuloy${to}`;
+  }
+}
+
+// `continuing`: the step departs from a via-point (detour), so it is really "keep going"
+export function instructionText(step, { language = DEFAULT_DIRECTION_LANGUAGE, continuing = false } = {}) {
+  const m = (step && step.maneuver) || {};
+  return lang(language) === "fil" ? filipinoInstruction(step || {}, m, continuing) : englishInstruction(step || {}, m, continuing);
+}
+
+// 8 m -> "10 m", 342 m -> "350 m", 1240 m -> "1.2 km", 15400 m -> "15 km"; spoken: "350 meters" / "350 metro"
+export function formatDistance(meters, language = DEFAULT_DIRECTION_LANGUAGE, { spoken = false } = {}) {
+  const l = lang(language);
+  const m = Math.max(0, Number(meters) || 0);
+  if (m < 1000) {
+    const rounded = m < 100 ? Math.max(10, Math.round(m / 10) * 10) : Math.round(m / 50) * 50;
+    if (rounded < 1000) return spoken ? `${rounded} ${l === "fil" ? "metro" : "meters"}` : `${rounded} m`;
+  }
+  const km = m / 1000;
+  const text = km < 10 ? km.toFixed(1).replace(/\.0$/, "") : String(Math.round(km));
+  return spoken ? `${text} ${l === "fil" ? "kilometro" : (text === "1" ? "kilometer" : "kilometers")}` : `${text} km`;
+}
+
+// 40 s -> "under 1 min", 1500 s -> "25 min", 4000 s -> "1 h 7 min" ("1 oras 7 min")
+export function formatDuration(seconds, language = DEFAULT_DIRECTION_LANGUAGE) {
+  const l = lang(language);
+  const s = Math.max(0, Number(seconds) || 0);
+  if (s < 60) return l === "fil" ? "wala pang 1 min" : "under 1 min";
+  const mins = Math.round(s / 60);
+  if (mins < 60) return `${mins} min`;
+  const h = Math.floor(mins / 60), rest = mins % 60;
+  const hours = l === "fil" ? `${h} oras` : `${h} h`;
+  return rest ? `${hours} ${rest} min` : hours;
+}
+
+// "In 300 meters, turn left onto EDSA" (the distance is dropped when the maneuver is right here)
+export function spokenInstruction(step, distanceM, opts = {}) {
+  const l = lang(opts.language);
+  const text = instructionText(step, opts);
+  if (distanceM === null || distanceM === undefined || distanceM < 30) return text;
+  const dist = formatDistance(distanceM, l, { spoken: true });
+  return l === "fil" ? `Pagkalipas ng ${dist}, ${lowerFirst(text)}` : `In ${dist}, ${lowerFirst(text)}`;
+}
+
+// hazard: { noahClass, reportCount, alerts: [text], risk } (risk only when it alone makes the stretch flagged)
+export function hazardWarningText(hazard, language = DEFAULT_DIRECTION_LANGUAGE, { spoken = false } = {}) {
+  const l = lang(language);
+  const parts = [];
+  if (hazard.noahClass > 0) {
+    const level = HAZARD_LEVEL_WORDS[l][Math.min(3, Math.round(hazard.noahClass))];
+    parts.push(l === "fil" ? `${level} panganib ng baha ayon sa NOAH` : `${level} NOAH flood hazard`);
+  }
+  if (hazard.reportCount > 0) {
+    parts.push(l === "fil" ? `${hazard.reportCount} ulat ng baha` : `${hazard.reportCount} flood report${hazard.reportCount > 1 ? "s" : ""}`);
+  }
+  if (hazard.alerts && hazard.alerts.length) {
+    parts.push(`${l === "fil" ? "babala sa panahon" : "weather alert"}: ${hazard.alerts.join("; ")}`);
+  }
+  if (!parts.length && hazard.risk !== undefined) {
+    parts.push(l === "fil" ? `mataas na panganib ng baha (${hazard.risk.toFixed(1)})` : `high flood risk (${hazard.risk.toFixed(1)})`);
+  }
+  if (!parts.length) return "";
+  if (spoken) return l === "fil" ? `Mag-ingat, madaling bahain ang daan: ${parts.join(", ")}.` : `Caution, flood-prone road: ${parts.join(", ")}.`;
+  return `${l === "fil" ? "Madaling bahain" : "Flood-prone"}: ${parts.join(", ")}`;
+}
+
+export function createVoiceGuide() {
+  const synth = typeof speechSynthesis !== "undefined" ? speechSynthesis : null;
+
+  // best installed voice for the language; browsers without a Filipino voice read with the default one
+  function pickVoice(language) {
+    const voices = synth ? synth.getVoices() : [];
+    const info = DIRECTION_LANGUAGES[lang(language)];
+    const prefixes = [info.speechLang, ...info.speechFallbacks].map(p => p.toLowerCase());
+    for (const p of prefixes) {
+      const hit = voices.find(v => (v.lang || "").toLowerCase().replace("_", "-").startsWith(p));
+      if (hit) return hit;
+    }
+    return null;
+  }
+
+  return {
+    supported: !!synth && typeof SpeechSynthesisUtterance !== "undefined",
+    speak(text, language = DEFAULT_DIRECTION_LANGUAGE, { interrupt = false } = {}) {
+      if (!this.supported || !text) return;
+      if (interrupt) synth.cancel();
+      const u = new SpeechSynthesisUtterance(text);
+      u.lang = DIRECTION_LANGUAGES[lang(language)].speechLang;
+      const voice = pickVoice(language);
+      if (voice) u.voice = voice;
+      synth.speak(u);
+    },
+    cancel() { if (synth) synth.cancel(); }
+  };
+}
@@ -0,0 +1,99 @@
+/*
+ evacuation.js — evacuation center datasets and which centers are worth routing to (no map, storage or DOM dependency)
+ - normalizeCenters(geojson, { source }) -> [{ id, name, kind, status, capacity, occupancy, address, lat, lng, source }]
+   kind is "center" or "high-ground"; status is "open", "standby", "full", "closed" or "unknown". Property names
+   vary between LGU lists, so the usual spellings are read (see the *_PROPS lists). Polygons use their outline's
+   average point.
+ - centerCandidates(centers, origin, { maxCount, maxDistanceM, hazardClassAt }) -> { candidates, excluded }
+   the nearest usable centers by straight-line distance, each with distanceM. Within maxDistanceM, closed and full
+   centers and those inside a hazard area (hazardClassAt(lat, lng) > 0) go to `excluded` with a reason.
+*/
+import { haversineMeters } from "./hazards.js";
+
+export const EVACUATION_DEFAULTS = {
+  maxCount: 5,          // centers routed to per "Evacuate" (one routing request each)
+  maxDistanceM: 10000   // straight-line search radius
+};
+
+const NAME_PROPS = ["name", "Name", "NAME", "facility_name", "center_name", "label", "title"];
+const KIND_PROPS = ["type", "kind", "category", "facility_type"];
+const STATUS_PROPS = ["status", "Status", "state"];
+const CAPACITY_PROPS = ["capacity", "Capacity", "max_capacity", "maxCapacity"];
+const OCCUPANCY_PROPS = ["occupancy", "evacuees", "occupants", "current"];
+const ADDRESS_PROPS = ["address", "Address", "location", "barangay"];
+const STATUS_WORDS = {
+  open: "open", active: "open", operational: "open", available: "open",
+  standby: "standby", "on standby": "standby",
+  full: "full", "at capacity": "full",
+  closed: "closed", inactive: "closed", "not operational": "closed"
+};
+const HIGH_GROUND_RE = /high[\s_-]?ground|elevated|assembly/i;
+
+function firstProp(props, names) {
+  const key = names.find(k => props[k] !== undefined && props[k] !== null && props[k] !== "");
+  return key === undefined ? undefined : props[key];
+}
+
+function countProp(props, names) {
+  const n = Number(firstProp(props, names));
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function centerPoint(geometry) {
+  if (!geometry) return null;
+  const avg = ring => {
+    const closed = ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+    const pts = closed ? ring.slice(0, -1) : ring;
+    return pts.length ? [pts.reduce((s, p) => s + p[0], 0) / pts.length, pts.reduce((s, p) => s + p[1], 0) / pts.length] : null;
+  };
+  switch (geometry.type) {
+    case "Point": return geometry.coordinates;
+    case "MultiPoint": return geometry.coordinates[0] || null;
+    case "Polygon": return avg(geometry.coordinates[0] || []);
+    case "MultiPolygon": return avg((geometry.coordinates[0] || [])[0] || []);
+    default: return null;
+  }
+}
+
+export function normalizeCenters(geojson, { source = "" } = {}) {
+  const features = geojson && geojson.type === "FeatureCollection" ? geojson.features || []
+    : geojson && geojson.type === "Feature" ? [geojson] : [];
+  const out = [];
+  features.forEach((f, i) => {
+    const p = centerPoint(f && f.geometry);
+    if (!p || !Number.isFinite(p[0]) || !Number.isFinite(p[1])) return;
+    const props = f.properties || {};
+    const capacity = countProp(props, CAPACITY_PROPS);
+    const occupancy = countProp(props, OCCUPANCY_PROPS);
+    let status = STATUS_WORDS[String(firstProp(props, STATUS_PROPS) ?? "").trim().toLowerCase()] || "unknown";
+    if ((status === "open" || status === "unknown") && capacity > 0 && occupancy !== null && occupancy >= capacity) status = "full";
+    const kind = HIGH_GROUND_RE.test(String(firstProp(props, KIND_PROPS) ?? "")) ? "high-ground" : "center";
+    out.push({
+      id: String(props.id ?? f.id ?? `${source || "center"}-${i}`),
+      name: String(firstProp(props, NAME_PROPS) ?? (kind === "high-ground" ? "High ground" : "Evacuation center")),
+      kind, status, capacity, occupancy,
+      address: String(firstProp(props, ADDRESS_PROPS) ?? ""),
+      lat: p[1], lng: p[0], source
+    });
+  });
+  return out;
+}
+
+export function centerCandidates(centers, origin, { maxCount = EVACUATION_DEFAULTS.maxCount, maxDistanceM = EVACUATION_DEFAULTS.maxDistanceM, hazardClassAt = null } = {}) {
+  const candidates = [];
+  const excluded = [];
+  centers.forEach(c => {
+    const distanceM = haversineMeters(origin.lat, origin.lng, c.lat, c.lng);
+    if (distanceM > maxDistanceM) return;
+    const hazardClass = hazardClassAt ? hazardClassAt(c.lat, c.lng) : 0;
+    const reason = c.status === "closed" ? "closed"
+      : c.status === "full" ? "full"
+      : hazardClass > 0 ? `inside a hazard area (class ${hazardClass})`
+      : null;
+    if (reason) excluded.push({ center: { ...c, distanceM }, reason });
+    else candidates.push({ ...c, distanceM });
+  });
+  candidates.sort((a, b) => a.distanceM - b.distanceM);
+  excluded.sort((a, b) => a.center.distanceM - b.center.distanceM);
+  return { candidates: candidates.slice(0, maxCount), excluded };
+}
@@ -0,0 +1,370 @@
+/*
+ formats.js — GeoJSON / CSV / KML / GPX conversion for import and export (no map or storage dependency)
+ - export: toGeoJSON(features), toCSV(features, columns), toKML(features, { name, styleOf }),
+   toGPX({ name, desc, time, waypoints, routePoints, tracks }) for car navigators and GPS apps (export only)
+ - import: parseImport(text, fileName) -> { format, features } (format from the extension, else sniffed),
+   then validateImport(features) sorts them into flood reports (points) and hazard areas (polygons)
+ CSV geometry is either lat/lng columns (also latitude/longitude/lon) for points, or a WKT column
+ (`wkt`, `geometry` or `the_geom`) holding POINT, LINESTRING, POLYGON or MULTIPOLYGON.
+ KML parsing needs DOMParser, so it only works in the browser. KMZ (zipped KML) is not read.
+*/
+
+export const FORMATS = {
+  geojson: { label: "GeoJSON", extension: "geojson", mime: "application/geo+json" },
+  csv: { label: "CSV", extension: "csv", mime: "text/csv" },
+  kml: { label: "KML", extension: "kml", mime: "application/vnd.google-earth.kml+xml" },
+  gpx: { label: "GPX", extension: "gpx", mime: "application/gpx+xml" }
+};
+
+const LAT_COLUMNS = ["lat", "latitude", "y"];
+const LNG_COLUMNS = ["lng", "lon", "long", "longitude", "x"];
+const WKT_COLUMNS = ["wkt", "geometry", "the_geom"];
+const SEVERITY_WORDS = { low: "low", minor: "low", moderate: "moderate", medium: "moderate", severe: "severe", high: "severe", "1": "low", "2": "moderate", "3": "severe" };
+const HAZARD_WORDS = { low: 1, medium: 2, moderate: 2, high: 3, severe: 3 };
+// NOAH's own hazard shapefiles call the class `Var`
+const HAZARD_PROPS = ["risk", "hazard", "level", "class", "var"];
+const SCENARIO_PROP_RE = /^risk_\d+\s*(?:y|yr|year)?$/i;
+
+/* -------------------------
+   Export
+   ------------------------- */
+export function toGeoJSON(features, name = "FloodSafe export") {
+  return JSON.stringify({ type: "FeatureCollection", name, features }, null, 2);
+}
+
+// spreadsheet apps run cells starting with = + - @ as formulas; prefix text cells like that with '
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let s = String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// all-point data gets lat/lng columns; anything else one WKT column
+export function toCSV(features, columns) {
+  const points = features.length > 0 && features.every(f => f.geometry && f.geometry.type === "Point");
+  const header = points ? ["lat", "lng", ...columns] : [...columns, "wkt"];
+  const rows = features.map(f => {
+    const props = columns.map(c => (f.properties || {})[c]);
+    return points ? [f.geometry.coordinates[1], f.geometry.coordinates[0], ...props] : [...props, toWKT(f.geometry)];
+  });
+  return [header, ...rows].map(r => r.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+export function toWKT(geometry) {
+  if (!geometry) return "";
+  const pos = p => `${p[0]} ${p[1]}`;
+  const ring = r => `(${r.map(pos).join(", ")})`;
+  const poly = rings => `(${rings.map(ring).join(", ")})`;
+  switch (geometry.type) {
+    case "Point": return `POINT (${pos(geometry.coordinates)})`;
+    case "LineString": return `LINESTRING ${ring(geometry.coordinates)}`;
+    case "Polygon": return `POLYGON ${poly(geometry.coordinates)}`;
+    case "MultiPolygon": return `MULTIPOLYGON (${geometry.coordinates.map(poly).join(", ")})`;
+    default: return "";
+  }
+}
+
+function xmlEscape(s) {
+  return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[c]));
+}
+
+// "#rrggbb" + opacity -> KML's aabbggrr
+function kmlColor(hex, opacity = 1) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || "");
+  if (!m) return "ff0000ff";
+  const a = Math.round(Math.max(0, Math.min(1, opacity)) * 255).toString(16).padStart(2, "0");
+  return `${a}${m[3]}${m[2]}${m[1]}`.toLowerCase();
+}
+
+function kmlGeometryXml(geometry) {
+  const coords = list => list.map(p => `${p[0]},${p[1]}`).join(" ");
+  const polygon = rings => `<Polygon><outerBoundaryIs><LinearRing><coordinates>${coords(rings[0])}</coordinates></LinearRing></outerBoundaryIs>${
+    rings.slice(1).map(r => `<innerBoundaryIs><LinearRing><coordinates>${coords(r)}</coordinates></LinearRing></innerBoundaryIs>`).join("")}</Polygon>`;
+  switch (geometry && geometry.type) {
+    case "Point": return `<Point><coordinates>${coords([geometry.coordinates])}</coordinates></Point>`;
+    case "LineString": return `<LineString><coordinates>${coords(geometry.coordinates)}</coordinates></LineString>`;
+    case "Polygon": return polygon(geometry.coordinates);
+    case "MultiPolygon": return `<MultiGeometry>${geometry.coordinates.map(polygon).join("")}</MultiGeometry>`;
+    default: return "";
+  }
+}
+
+// styleOf(feature) -> { color: "#rrggbb", opacity, width } or null
+export function toKML(features, { name = "FloodSafe export", styleOf = null } = {}) {
+  const placemarks = features.map(f => {
+    const props = f.properties || {};
+    const style = styleOf && styleOf(f);
+    const styleXml = style ? `<Style><IconStyle><color>${kmlColor(style.color)}</color></IconStyle><LineStyle><color>${kmlColor(style.color)}</color><width>${style.width || 3}</width></LineStyle><PolyStyle><color>${kmlColor(style.color, style.opacity ?? 0.4)}</color></PolyStyle></Style>` : "";
+    const data = Object.entries(props)
+      .filter(([, v]) => v !== null && v !== undefined && typeof v !== "object")
+      .map(([k, v]) => `<Data name="${xmlEscape(k)}"><value>${xmlEscape(v)}</value></Data>`).join("");
+    const title = props.name || props.label || props.severity || props.id || "";
+    return `  <Placemark><name>${xmlEscape(title)}</name>${props.notes ? `<description>${xmlEscape(props.notes)}</description>` : ""}${styleXml}<ExtendedData>${data}</ExtendedData>${kmlGeometryXml(f.geometry)}</Placemark>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+  <name>${xmlEscape(name)}</name>
+${placemarks.join("\n")}
+</Document>
+</kml>
+`;
+}
+
+// GPX 1.1. waypoints / routePoints: [{ lat, lng, name, desc }] (routePoints become one <rte>, e.g. the turns);
+// tracks: [{ name, desc, coordinates: [[lng, lat], ...] }]. Navigators that only read one of rte/trk still get the route.
+export function toGPX({ name = "FloodSafe route", desc = "", time = Date.now(), waypoints = [], routePoints = [], tracks = [] } = {}) {
+  const coord = n => Number(n).toFixed(6);
+  const text = (tag, v) => (v === null || v === undefined || v === "" ? "" : `<${tag}>${xmlEscape(v)}</${tag}>`);
+  const point = (tag, p) => `<${tag} lat="${coord(p.lat)}" lon="${coord(p.lng)}">${text("name", p.name)}${text("desc", p.desc)}</${tag}>`;
+  const rte = routePoints.length
+    ? `  <rte>${text("name", name)}\n${routePoints.map(p => `    ${point("rtept", p)}`).join("\n")}\n  </rte>\n` : "";
+  const trks = tracks.map(t => `  <trk>${text("name", t.name)}${text("desc", t.desc)}<trkseg>\n${
+    t.coordinates.map(c => `    <trkpt lat="${coord(c[1])}" lon="${coord(c[0])}"/>`).join("\n")}\n  </trkseg></trk>\n`).join("");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="FloodSafe" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>${text("name", name)}${text("desc", desc)}<time>${new Date(time).toISOString()}</time></metadata>
+${waypoints.map(p => `  ${point("wpt", p)}\n`).join("")}${rte}${trks}</gpx>
+`;
+}
+
+/* -------------------------
+   Import: text -> GeoJSON features
+   ------------------------- */
+export function detectFormat(text, fileName = "") {
+  const ext = String(fileName).toLowerCase().split(".").pop();
+  if (ext === "kml") return "kml";
+  if (ext === "csv" || ext === "txt") return "csv";
+  if (ext === "geojson" || ext === "json") return "geojson";
+  const head = String(text).trimStart();
+  if (head.startsWith("<")) return "kml";
+  if (head.startsWith("{")) return "geojson";
+  return "csv";
+}
+
+export function parseImport(text, fileName = "") {
+  const format = detectFormat(text, fileName);
+  const features = format === "kml" ? parseKML(text) : format === "csv" ? parseCSVFeatures(text) : parseGeoJSON(text);
+  return { format, features };
+}
+
+function parseGeoJSON(text) {
+  let json;
+  try { json = JSON.parse(text); } catch (e) { throw new Error(`Not valid JSON: ${e.message}`); }
+  if (json && json.type === "FeatureCollection" && Array.isArray(json.features)) return json.features;
+  if (json && json.type === "Feature") return [json];
+  if (json && typeof json.type === "string" && json.coordinates) return [{ type: "Feature", geometry: json, properties: {} }];
+  throw new Error("Not a GeoJSON FeatureCollection, Feature or geometry");
+}
+
+// RFC 4180 rows (quoted fields, doubled quotes, CRLF); ";" is used when the header has no ","
+export function parseCSV(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const delim = !firstLine.includes(",") && firstLine.includes(";") ? ";" : ",";
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === delim) {
+      row.push(field); field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error("CSV has an unterminated quoted field");
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ""));
+}
+
+function parseCSVFeatures(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) throw new Error("CSV is empty");
+  const cols = header.map(h => h.trim().toLowerCase());
+  const find = names => cols.findIndex(c => names.includes(c));
+  const latIdx = find(LAT_COLUMNS), lngIdx = find(LNG_COLUMNS), wktIdx = find(WKT_COLUMNS);
+  if (wktIdx < 0 && (latIdx < 0 || lngIdx < 0)) throw new Error("CSV needs lat/lng columns or a WKT column");
+  return rows.map(r => {
+    const properties = {};
+    // undo the ' that toCSV puts in front of formula-like text
+    cols.forEach((c, i) => { if (i !== latIdx && i !== lngIdx && i !== wktIdx && c) properties[c] = (r[i] ?? "").trim().replace(/^'(?=[=+\-@])/, ""); });
+    let geometry = null;
+    if (wktIdx >= 0 && (r[wktIdx] || "").trim()) geometry = parseWKT(r[wktIdx]);
+    else if (latIdx >= 0 && lngIdx >= 0) {
+      const lat = parseFloat(r[latIdx]), lng = parseFloat(r[lngIdx]);
+      geometry = { type: "Point", coordinates: [lng, lat] };
+    }
+    return { type: "Feature", geometry, properties };
+  });
+}
+
+// POINT / LINESTRING / POLYGON / MULTIPOLYGON (2D; Z values are dropped); null when unreadable
+export function parseWKT(text) {
+  const m = /^\s*(POINT|LINESTRING|POLYGON|MULTIPOLYGON)\s*(?:Z\s*|M\s*|ZM\s*)?(\(.*\))\s*$/is.exec(String(text || ""));
+  if (!m) return null;
+  const s = m[2];
+  let i = 0;
+  const position = str => str.trim().split(/\s+/).slice(0, 2).map(Number);
+  // "(...)" -> nested arrays whose leaves are [x, y]
+  function list() {
+    i++;
+    const items = [];
+    let buf = "";
+    while (i < s.length) {
+      const c = s[i];
+      if (c === "(") { items.push(list()); continue; }
+      if (c === ")" || c === ",") {
+        if (buf.trim()) items.push(position(buf));
+        buf = "";
+        i++;
+        if (c === ")") return items;
+        continue;
+      }
+      buf += c;
+      i++;
+    }
+    throw new Error("unbalanced parentheses");
+  }
+  let nested;
+  try { nested = list(); } catch (e) { return null; }
+  const type = m[1].toUpperCase();
+  const geometry = type === "POINT" ? { type: "Point", coordinates: nested[0] }
+    : type === "LINESTRING" ? { type: "LineString", coordinates: nested }
+    : type === "POLYGON" ? { type: "Polygon", coordinates: nested }
+    : { type: "MultiPolygon", coordinates: nested };
+  return JSON.stringify(geometry.coordinates).includes("null") ? null : geometry;
+}
+
+function kmlElements(node, tag) {
+  return Array.from(node.getElementsByTagNameNS("*", tag));
+}
+
+function kmlText(node, tag) {
+  const el = kmlElements(node, tag)[0];
+  return el ? el.textContent.trim() : "";
+}
+
+function kmlCoordinates(text) {
+  return String(text || "").trim().split(/\s+/).filter(Boolean).map(t => t.split(",").slice(0, 2).map(Number));
+}
+
+function kmlGeometry(placemark) {
+  const polygons = kmlElements(placemark, "Polygon").map(p => {
+    const outer = kmlElements(p, "outerBoundaryIs").map(b => kmlCoordinates(kmlText(b, "coordinates")));
+    const inner = kmlElements(p, "innerBoundaryIs").map(b => kmlCoordinates(kmlText(b, "coordinates")));
+    return [...outer, ...inner];
+  });
+  if (polygons.length === 1) return { type: "Polygon", coordinates: polygons[0] };
+  if (polygons.length > 1) return { type: "MultiPolygon", coordinates: polygons };
+  const line = kmlElements(placemark, "LineString")[0];
+  if (line) return { type: "LineString", coordinates: kmlCoordinates(kmlText(line, "coordinates")) };
+  const point = kmlElements(placemark, "Point")[0];
+  if (point) return { type: "Point", coordinates: kmlCoordinates(kmlText(point, "coordinates"))[0] };
+  return null;
+}
+
+function parseKML(text) {
+  if (typeof DOMParser === "undefined") throw new Error("KML import needs a browser (DOMParser)");
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("Not valid KML (XML parse error)");
+  return kmlElements(doc, "Placemark").map(pm => {
+    const properties = {};
+    // direct children only: a Folder's <name> must not leak into its placemarks
+    Array.from(pm.children).forEach(el => {
+      if (el.localName === "name" || el.localName === "description") properties[el.localName] = el.textContent.trim();
+    });
+    kmlElements(pm, "Data").forEach(d => { properties[d.getAttribute("name")] = kmlText(d, "value"); });
+    kmlElements(pm, "SimpleData").forEach(d => { properties[d.getAttribute("name")] = d.textContent.trim(); });
+    return { type: "Feature", geometry: kmlGeometry(pm), properties };
+  });
+}
+
+/* -------------------------
+   Validation: features -> { reports, hazards, skipped }
+   - Point -> report { id?, lat, lng, severity, notes, createdAt }; severity defaults to "moderate"
+   - Polygon / MultiPolygon -> hazard feature with `risk` 1..3 (or NOAH-style risk_<N>yr scenario classes)
+   - anything else, or invalid, goes to skipped with a reason (index = position in the input)
+   ------------------------- */
+function prop(props, names) {
+  const key = Object.keys(props).find(k => names.includes(k.toLowerCase()));
+  return key === undefined ? undefined : props[key];
+}
+
+function parseTime(value, now) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  const t = Number.isFinite(n) ? (n < 1e12 ? n * 1000 : n) : Date.parse(value); // epoch seconds or ms, or a date string
+  return Number.isFinite(t) ? Math.min(t, now) : null;
+}
+
+function hazardLevel(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const word = HAZARD_WORDS[String(value).trim().toLowerCase()];
+  if (word) return word;
+  const n = Math.round(Number(value));
+  return n >= 1 && n <= 3 ? n : null;
+}
+
+function validRing(ring) {
+  return Array.isArray(ring) && ring.length >= 4 && ring.every(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]) && Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90);
+}
+
+export function validateImport(features, { now = Date.now() } = {}) {
+  const reports = [], hazards = [], skipped = [];
+  features.forEach((f, index) => {
+    const props = (f && f.properties) || {};
+    const g = f && f.geometry;
+    if (!g) { skipped.push({ index, reason: "no geometry / coordinates" }); return; }
+
+    if (g.type === "Point") {
+      const [lng, lat] = g.coordinates || [];
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        skipped.push({ index, reason: "invalid lat/lng" });
+        return;
+      }
+      const rawSeverity = prop(props, ["severity", "level", "risk"]);
+      const severity = SEVERITY_WORDS[String(rawSeverity ?? "").trim().toLowerCase()];
+      reports.push({
+        id: prop(props, ["id"]) ? String(prop(props, ["id"])) : null,
+        lat, lng,
+        severity: severity || "moderate",
+        severityDefaulted: !severity,
+        notes: String(prop(props, ["notes", "description", "name"]) ?? ""),
+        createdAt: parseTime(prop(props, ["createdat", "created_at", "date", "timestamp", "time"]), now) ?? now
+      });
+      return;
+    }
+
+    if (g.type === "Polygon" || g.type === "MultiPolygon") {
+      const polygons = g.type === "Polygon" ? [g.coordinates] : g.coordinates;
+      if (!Array.isArray(polygons) || !polygons.length || !polygons.every(rings => Array.isArray(rings) && rings.length && rings.every(validRing))) {
+        skipped.push({ index, reason: "invalid polygon coordinates" });
+        return;
+      }
+      const risk = hazardLevel(prop(props, HAZARD_PROPS));
+      const scenarioKeys = Object.keys(props).filter(k => SCENARIO_PROP_RE.test(k));
+      if (risk === null && !scenarioKeys.length) {
+        skipped.push({ index, reason: "no hazard level (risk / hazard / level / class / var = 1-3 or low / medium / high)" });
+        return;
+      }
+      const properties = { ...props };
+      if (risk !== null) properties.risk = risk;
+      scenarioKeys.forEach(k => { properties[k] = hazardLevel(props[k]) ?? 0; });
+      hazards.push({ type: "Feature", geometry: g, properties });
+      return;
+    }
+
+    skipped.push({ index, reason: `${g.type} geometry is not imported (only points and polygons)` });
+  });
+  return { reports, hazards, skipped };
+}
@@ -0,0 +1,202 @@
+/*
+ geocoding.js — place search, autocomplete suggestions and reverse geocoding
+ - suggest(text, { near }) — as-you-type suggestions from Photon (komoot), which is built for typeahead;
+   Nominatim's usage policy forbids client-side autocomplete, so it is never called per keystroke
+ - search(text, { viewbox }) — full search through Nominatim (on submit, when nothing was picked)
+ - reverse(lat, lng) — readable address for a point (Nominatim)
+ Every Nominatim call goes through one queue spaced NOMINATIM_MIN_INTERVAL_MS apart (policy: max 1 request/s),
+ and all results are cached (memory + localStorage). Searches are limited to the Philippines first and only
+ widen to worldwide when that finds nothing; results are biased toward the current map view.
+ Failed Nominatim calls (network, 429, 5xx) are retried with backoff; config.onNominatim(error or null) is told the
+ outcome of each call, e.g. for a data source status panel.
+ Results: { label, name, lat, lng, kind, source }
+*/
+import { withRetry, httpError } from "./health.js";
+
+export const GEOCODING_DEFAULTS = {
+  nominatimUrl: "https://nominatim.openstreetmap.org",
+  photonUrl: "https://photon.komoot.io",
+  countryCodes: "ph",
+  // [west, south, east, north] of the Philippines, for Photon (which has no country filter)
+  countryBbox: [116.9, 4.5, 126.7, 21.2],
+  email: "",          // sent to Nominatim as `email` (recommended by its policy for heavy users)
+  language: "en"
+};
+
+const NOMINATIM_MIN_INTERVAL_MS = 1100;
+const NOMINATIM_ATTEMPTS = 3;
+const CACHE_KEY = "floodsafe_geocode_cache";
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 300;
+const SUGGEST_LIMIT = 6;
+
+function trimSlash(url) { return String(url || "").replace(/\/+$/, ""); }
+
+// runs tasks one at a time, at least `minIntervalMs` apart
+function createRateLimiter(minIntervalMs) {
+  let chain = Promise.resolve();
+  let last = 0;
+  return function schedule(task) {
+    const run = chain.then(async () => {
+      const wait = last + minIntervalMs - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      last = Date.now();
+      return task();
+    });
+    chain = run.catch(() => {});
+    return run;
+  };
+}
+
+// key -> { at, value }; persisted so repeated lookups survive reloads (and work offline)
+function createResultCache() {
+  let entries = null;
+  const storage = typeof localStorage !== "undefined" ? localStorage : null;
+  function load() {
+    if (entries) return entries;
+    try { entries = new Map(JSON.parse(storage?.getItem(CACHE_KEY) || "[]")); } catch (e) { entries = new Map(); }
+    return entries;
+  }
+  function persist() {
+    try { storage?.setItem(CACHE_KEY, JSON.stringify(Array.from(entries.entries()))); } catch (e) {}
+  }
+  return {
+    get(key) {
+      const hit = load().get(key);
+      if (!hit) return undefined;
+      if (Date.now() - hit.at > CACHE_TTL_MS) { entries.delete(key); return undefined; }
+      return hit.value;
+    },
+    set(key, value) {
+      const map = load();
+      map.delete(key);
+      map.set(key, { at: Date.now(), value });
+      while (map.size > CACHE_MAX_ENTRIES) map.delete(map.keys().next().value);
+      persist();
+    }
+  };
+}
+
+function nominatimPlace(r) {
+  const a = r.address || {};
+  const name = r.name || a.road || a.neighbourhood || a.suburb || (r.display_name || "").split(",")[0];
+  return {
+    label: shortAddress(r) || r.display_name,
+    name,
+    lat: parseFloat(r.lat),
+    lng: parseFloat(r.lon),
+    kind: r.type || r.class || "",
+    source: "nominatim"
+  };
+}
+
+// "Name, Street, Barangay, City" instead of Nominatim's full display_name down to the country
+function shortAddress(r) {
+  const a = r.address;
+  if (!a) return "";
+  const parts = [
+    r.name,
+    [a.house_number, a.road].filter(Boolean).join(" "),
+    a.neighbourhood || a.quarter || a.suburb || a.village,
+    a.city || a.town || a.municipality || a.county,
+  ].filter(Boolean);
+  return Array.from(new Set(parts)).join(", ");
+}
+
+function photonPlace(f) {
+  const p = f.properties || {};
+  const [lng, lat] = f.geometry.coordinates;
+  const parts = [p.name, [p.housenumber, p.street].filter(Boolean).join(" "), p.district || p.locality, p.city || p.county, p.state];
+  return {
+    label: Array.from(new Set(parts.filter(Boolean))).join(", "),
+    name: p.name || p.street || "",
+    lat,
+    lng,
+    kind: p.osm_value || p.type || "",
+    source: "photon"
+  };
+}
+
+export function createGeocoder(config = {}) {
+  const opts = { ...GEOCODING_DEFAULTS, ...config };
+  const nominatim = trimSlash(opts.nominatimUrl);
+  const photon = trimSlash(opts.photonUrl);
+  const scheduleNominatim = createRateLimiter(NOMINATIM_MIN_INTERVAL_MS);
+  const cache = createResultCache();
+  const inflight = new Map();
+
+  async function cached(key, producer) {
+    const hit = cache.get(key);
+    if (hit !== undefined) return hit;
+    if (inflight.has(key)) return inflight.get(key);
+    const p = producer().then(value => { cache.set(key, value); return value; }).finally(() => inflight.delete(key));
+    inflight.set(key, p);
+    return p;
+  }
+
+  // busy / unreachable Nominatim is retried (back through the queue); opts.onNominatim(error|null) reports each outcome
+  async function nominatimJSON(path, params) {
+    const q = new URLSearchParams({ format: "jsonv2", addressdetails: "1", "accept-language": opts.language, ...params });
+    if (opts.email) q.set("email", opts.email);
+    try {
+      const json = await withRetry(() => scheduleNominatim(async () => {
+        const r = await fetch(`${nominatim}${path}?${q}`, { headers: { "Accept": "application/json" } });
+        if (!r.ok) throw httpError("Nominatim", r);
+        return r.json();
+      }), { attempts: NOMINATIM_ATTEMPTS, baseMs: NOMINATIM_MIN_INTERVAL_MS * 2 });
+      opts.onNominatim?.(null);
+      return json;
+    } catch (e) {
+      opts.onNominatim?.(e);
+      throw e;
+    }
+  }
+
+  return {
+    // near: { lat, lng } (usually the map center) biases ranking toward the current view
+    async suggest(text, { near = null } = {}) {
+      const q = String(text || "").trim();
+      if (q.length < 3) return [];
+      const bias = near ? `${near.lat.toFixed(2)},${near.lng.toFixed(2)}` : "";
+      return cached(`suggest|${q.toLowerCase()}|${bias}`, async () => {
+        const params = new URLSearchParams({ q, limit: String(SUGGEST_LIMIT), lang: opts.language, bbox: opts.countryBbox.join(",") });
+        if (near) { params.set("lat", near.lat); params.set("lon", near.lng); }
+        const r = await fetch(`${photon}/api/?${params}`);
+        if (!r.ok) throw httpError("Photon", r);
+        const json = await r.json();
+        return (json.features || []).map(photonPlace);
+      });
+    },
+
+    // viewbox: [west, south, east, north] to prefer (not restrict to)
+    async search(text, { viewbox = null, limit = 5 } = {}) {
+      const q = String(text || "").trim();
+      if (!q) return [];
+      const vb = viewbox ? viewbox.map(v => v.toFixed(2)).join(",") : "";
+      return cached(`search|${q.toLowerCase()}|${vb}`, async () => {
+        const params = { q, limit: String(limit) };
+        if (viewbox) params.viewbox = `${viewbox[0]},${viewbox[3]},${viewbox[2]},${viewbox[1]}`; // left,top,right,bottom
+        let results = await nominatimJSON("/search", { ...params, countrycodes: opts.countryCodes });
+        if (!results.length) results = await nominatimJSON("/search", params);
+        return results.map(nominatimPlace);
+      });
+    },
+
+    async reverse(lat, lng) {
+      // ~10 m grid: nearby clicks share one lookup
+      return cached(`reverse|${lat.toFixed(4)},${lng.toFixed(4)}`, async () => {
+        const r = await nominatimJSON("/reverse", { lat: String(lat), lon: String(lng), zoom: "18" });
+        return r && !r.error ? nominatimPlace(r) : null;
+      });
+    }
+  };
+}
+
+// "14.6760, 121.0437" -> { lat, lng } (null for anything else)
+export function parseLatLng(text) {
+  const parts = String(text || "").split(",").map(s => s.trim());
+  if (parts.length !== 2 || parts.some(p => p === "")) return null;
+  const lat = Number(parts[0]), lng = Number(parts[1]);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
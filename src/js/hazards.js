@@ -0,0 +1,390 @@
+/*
+ hazards.js — geometric NOAH hazard scoring (no map/viewport dependency)
+ - buildHazardIndex(geojson): grid-bucketed spatial index over hazard polygons
+ - routeHazardExposure(index, line): meters of the route inside each hazard class
+ - hazardRiskAtPoint(index, lng, lat): highest hazard class covering a point
+ - hazardScenarios / scenarioHazards: pick one return-period scenario out of multi-scenario NOAH data
+ Works purely on the loaded GeoJSON, so the same route scores the same whether or not the map is visible.
+*/
+
+const CELL_DEG = 0.01;            // ~1.1 km grid cells
+const MAX_CELLS_PER_FEATURE = 4096; // bigger polygons go to a list that is checked for every query
+const EPS = 1e-12;
+
+function toRad(d) { return d * Math.PI / 180; }
+
+export function haversineMeters(lat1, lng1, lat2, lng2) {
+  const R = 6371000;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// NOAH features carry a numeric `risk` (0..3); anything missing/invalid is treated as 0 (no hazard)
+function featureRisk(props) {
+  const r = Number(props && props.risk);
+  return Number.isFinite(r) && r > 0 ? r : 0;
+}
+
+/* -------------------------
+   Flood scenarios (rainfall return periods)
+   NOAH publishes hazard maps per return period (5-, 25-, 100-year rain). Loaded GeoJSON may carry them as
+   - per-feature classes: `risk_5yr`, `risk_25yr`, `risk_100yr` (one polygon set, one class per scenario), or
+   - one feature per scenario: `return_period` (or `scenario`) = 5 | "25yr" | ..., with `risk` for that scenario.
+   hazardScenarios() lists the periods found; scenarioHazards() returns one scenario as plain `risk` features,
+   ready for buildHazardIndex and the map. Data without scenarios passes through unchanged.
+   ------------------------- */
+const SCENARIO_KEY_RE = /^risk_(\d+)\s*(?:y|yr|year)?$/i;
+
+function featuresOf(geojson) {
+  return geojson && geojson.type === "FeatureCollection" ? geojson.features || []
+    : geojson && geojson.type === "Feature" ? [geojson] : [];
+}
+
+// "25yr" / 25 / "25-year" -> 25; anything else -> null
+function parsePeriod(value) {
+  const n = parseInt(String(value ?? ""), 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function featurePeriod(props) {
+  return parsePeriod(props && (props.return_period ?? props.scenario));
+}
+
+function scenarioRiskKey(props, period) {
+  return Object.keys(props || {}).find(k => {
+    const m = SCENARIO_KEY_RE.exec(k);
+    return m && Number(m[1]) === period;
+  });
+}
+
+// return periods (years, ascending) present in the data; [] when it has a single hazard map
+export function hazardScenarios(geojson) {
+  const periods = new Set();
+  featuresOf(geojson).forEach(f => {
+    const props = f.properties || {};
+    const own = featurePeriod(props);
+    if (own) periods.add(own);
+    Object.keys(props).forEach(k => {
+      const m = SCENARIO_KEY_RE.exec(k);
+      if (m) periods.add(Number(m[1]));
+    });
+  });
+  return Array.from(periods).sort((a, b) => a - b);
+}
+
+export function scenarioHazards(geojson, period) {
+  if (!period) return geojson;
+  const features = [];
+  featuresOf(geojson).forEach(f => {
+    const props = f.properties || {};
+    const own = featurePeriod(props);
+    if (own && own !== period) return;
+    const key = scenarioRiskKey(props, period);
+    features.push(key ? { ...f, properties: { ...props, risk: props[key], return_period: period } } : f);
+  });
+  return { type: "FeatureCollection", features };
+}
+
+// flatten Polygon / MultiPolygon into a list of polygons (each an array of rings)
+function polygonsOf(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === "Polygon") return [geometry.coordinates];
+  if (geometry.type === "MultiPolygon") return geometry.coordinates;
+  if (geometry.type === "GeometryCollection") return (geometry.geometries || []).flatMap(polygonsOf);
+  return [];
+}
+
+function ringsBBox(rings) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  rings.forEach(ring => ring.forEach(([x, y]) => {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }));
+  return [minX, minY, maxX, maxY];
+}
+
+function cellRange(minX, minY, maxX, maxY) {
+  return [Math.floor(minX / CELL_DEG), Math.floor(minY / CELL_DEG), Math.floor(maxX / CELL_DEG), Math.floor(maxY / CELL_DEG)];
+}
+
+export function buildHazardIndex(geojson) {
+  const entries = [];
+  const grid = new Map(); // "cx|cy" -> entry indices
+  const large = [];
+
+  featuresOf(geojson).forEach((f) => {
+    const risk = featureRisk(f.properties);
+    if (risk <= 0) return;
+    polygonsOf(f.geometry).forEach((rings) => {
+      if (!rings || !rings.length || !rings[0] || rings[0].length < 3) return;
+      const bbox = ringsBBox(rings);
+      const idx = entries.length;
+      entries.push({ rings, bbox, risk, properties: f.properties || {} });
+      const [cx0, cy0, cx1, cy1] = cellRange(...bbox);
+      if ((cx1 - cx0 + 1) * (cy1 - cy0 + 1) > MAX_CELLS_PER_FEATURE) { large.push(idx); return; }
+      for (let cx = cx0; cx <= cx1; cx++) {
+        for (let cy = cy0; cy <= cy1; cy++) {
+          const k = `${cx}|${cy}`;
+          if (!grid.has(k)) grid.set(k, []);
+          grid.get(k).push(idx);
+        }
+      }
+    });
+  });
+
+  return { entries, grid, large };
+}
+
+// candidate polygons whose bbox overlaps the query bbox
+function candidates(index, minX, minY, maxX, maxY) {
+  const out = new Set(index.large);
+  const [cx0, cy0, cx1, cy1] = cellRange(minX, minY, maxX, maxY);
+  for (let cx = cx0; cx <= cx1; cx++) {
+    for (let cy = cy0; cy <= cy1; cy++) {
+      const bucket = index.grid.get(`${cx}|${cy}`);
+      if (bucket) bucket.forEach(i => out.add(i));
+    }
+  }
+  return Array.from(out).map(i => index.entries[i]).filter(e =>
+    !(e.bbox[2] < minX || e.bbox[0] > maxX || e.bbox[3] < minY || e.bbox[1] > maxY));
+}
+
+// even-odd ray casting over all rings, so holes are handled
+function pointInRings(x, y, rings) {
+  let inside = false;
+  rings.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) inside = !inside;
+    }
+  });
+  return inside;
+}
+
+// parameters t in (0,1) where segment a->b crosses any ring edge. Like pointInRings, the last vertex joins the
+// first, so unclosed rings from imports get their closing edge (on a closed ring it has zero length and is skipped).
+function crossingParams(ax, ay, bx, by, rings, out) {
+  const dx = bx - ax, dy = by - ay;
+  rings.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [cx, cy] = ring[j];
+      const [ex, ey] = ring[i];
+      const fx = ex - cx, fy = ey - cy;
+      const denom = dx * fy - dy * fx;
+      if (Math.abs(denom) < EPS) continue; // parallel / collinear: midpoint tests decide
+      const t = ((cx - ax) * fy - (cy - ay) * fx) / denom;
+      const u = ((cx - ax) * dy - (cy - ay) * dx) / denom;
+      if (t > 0 && t < 1 && u >= 0 && u <= 1) out.push(t);
+    }
+  });
+}
+
+/*
+ Exposure of a LineString (GeoJSON geometry or coordinate array) to the hazard index.
+ Each route stretch is assigned the highest class of the polygons covering it, so overlapping
+ polygons are not double counted. Returns:
+   { totalMeters, insideMeters, byClass: { [risk]: meters }, weightedKm }
+ where weightedKm = sum(risk * km inside that class).
+*/
+export function routeHazardExposure(index, line) {
+  const coords = Array.isArray(line) ? line : (line && line.coordinates) || [];
+  const result = { totalMeters: 0, insideMeters: 0, byClass: {}, weightedKm: 0 };
+  if (coords.length < 2) return result;
+
+  for (let s = 0; s < coords.length - 1; s++) {
+    const [ax, ay] = coords[s];
+    const [bx, by] = coords[s + 1];
+    const segMeters = haversineMeters(ay, ax, by, bx);
+    result.totalMeters += segMeters;
+    if (!index || segMeters === 0) continue;
+
+    const cands = candidates(index, Math.min(ax, bx), Math.min(ay, by), Math.max(ax, bx), Math.max(ay, by));
+    if (!cands.length) continue;
+
+    const ts = [0, 1];
+    cands.forEach(e => crossingParams(ax, ay, bx, by, e.rings, ts));
+    ts.sort((p, q) => p - q);
+
+    for (let i = 0; i < ts.length - 1; i++) {
+      const t0 = ts[i], t1 = ts[i + 1];
+      if (t1 - t0 < EPS) continue;
+      const tm = (t0 + t1) / 2;
+      const mx = ax + (bx - ax) * tm, my = ay + (by - ay) * tm;
+      let risk = 0;
+      cands.forEach(e => { if (e.risk > risk && pointInRings(mx, my, e.rings)) risk = e.risk; });
+      if (risk <= 0) continue;
+      const meters = segMeters * (t1 - t0);
+      result.insideMeters += meters;
+      result.byClass[risk] = (result.byClass[risk] || 0) + meters;
+      result.weightedKm += risk * meters / 1000;
+    }
+  }
+  return result;
+}
+
+export function hazardRiskAtPoint(index, lng, lat) {
+  if (!index) return 0;
+  let risk = 0;
+  candidates(index, lng, lat, lng, lat).forEach(e => {
+    if (e.risk > risk && pointInRings(lng, lat, e.rings)) risk = e.risk;
+  });
+  return risk;
+}
+
+/* -------------------------
+   Obstacles & detour geometry (used by hazard-avoiding rerouting)
+   An obstacle is { lng, lat, radiusM, weight, source, label }.
+   ------------------------- */
+const M_PER_DEG_LAT = 110540;
+function mPerDegLng(lat) { return 111320 * Math.cos(toRad(lat)); }
+
+// distance from a point to a polyline (local equirectangular projection; fine at city scale)
+export function distanceToLineMeters(lng, lat, coords) {
+  const kx = mPerDegLng(lat), ky = M_PER_DEG_LAT;
+  let best = Infinity;
+  for (let i = 0; i < coords.length - 1; i++) {
+    const ax = (coords[i][0] - lng) * kx, ay = (coords[i][1] - lat) * ky;
+    const bx = (coords[i + 1][0] - lng) * kx, by = (coords[i + 1][1] - lat) * ky;
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    const px = ax + t * dx, py = ay + t * dy;
+    best = Math.min(best, Math.hypot(px, py));
+  }
+  if (coords.length === 1) best = haversineMeters(lat, lng, coords[0][1], coords[0][0]);
+  return best;
+}
+
+// hazard polygons the route actually passes through, heaviest (risk * meters inside) first
+export function hazardObstaclesAlongRoute(index, line, maxRadiusM = 5000) {
+  const coords = Array.isArray(line) ? line : (line && line.coordinates) || [];
+  if (!index || coords.length < 2) return [];
+  const obstacles = [];
+  index.entries.forEach((e) => {
+    const single = { entries: [e], grid: new Map(), large: [0] }; // one-entry index: always a candidate
+    const [minX, minY, maxX, maxY] = e.bbox;
+    // quick reject: route bbox must overlap polygon bbox
+    if (!coords.some(([x, y]) => x >= minX - 0.01 && x <= maxX + 0.01 && y >= minY - 0.01 && y <= maxY + 0.01)) return;
+    const exp = routeHazardExposure(single, coords);
+    if (exp.insideMeters <= 0) return;
+    const lng = (minX + maxX) / 2, lat = (minY + maxY) / 2;
+    const radiusM = Math.min(maxRadiusM, haversineMeters(minY, minX, maxY, maxX) / 2);
+    obstacles.push({
+      lng, lat, radiusM,
+      weight: exp.weightedKm,
+      source: "noah",
+      label: e.properties.label || `NOAH class ${e.risk}`
+    });
+  });
+  return obstacles.sort((a, b) => b.weight - a.weight);
+}
+
+/*
+ Two candidate via-points that steer the route around an obstacle: the obstacle center pushed
+ perpendicular to the route's local direction, one on each side, by (radius + margin).
+*/
+export function detourViaPoints(line, obstacle, marginM = 300) {
+  const coords = Array.isArray(line) ? line : (line && line.coordinates) || [];
+  if (coords.length < 2) return [];
+  // route vertex closest to the obstacle center
+  let nearest = 0, nearestD = Infinity;
+  coords.forEach(([x, y], i) => {
+    const d = haversineMeters(obstacle.lat, obstacle.lng, y, x);
+    if (d < nearestD) { nearestD = d; nearest = i; }
+  });
+  const a = coords[Math.max(0, nearest - 3)];
+  const b = coords[Math.min(coords.length - 1, nearest + 3)];
+  const kx = mPerDegLng(obstacle.lat), ky = M_PER_DEG_LAT;
+  let dx = (b[0] - a[0]) * kx, dy = (b[1] - a[1]) * ky;
+  const len = Math.hypot(dx, dy) || 1;
+  dx /= len; dy /= len;
+  const offset = obstacle.radiusM + marginM;
+  // left normal (-dy, dx), right normal (dy, -dx)
+  return [
+    { lng: obstacle.lng + (-dy * offset) / kx, lat: obstacle.lat + (dx * offset) / ky, side: "left" },
+    { lng: obstacle.lng + (dy * offset) / kx, lat: obstacle.lat + (-dx * offset) / ky, side: "right" }
+  ];
+}
+
+/*
+ Split a LineString into consecutive pieces of roughly `targetM` meters (cuts happen at vertices,
+ so a single long edge stays one piece). Each piece: { coords, startM, endM }.
+*/
+export function splitLineByDistance(line, targetM = 250) {
+  const coords = Array.isArray(line) ? line : (line && line.coordinates) || [];
+  const pieces = [];
+  if (coords.length < 2) return pieces;
+  let current = [coords[0]];
+  let startM = 0, runM = 0;
+  for (let i = 1; i < coords.length; i++) {
+    const [ax, ay] = coords[i - 1];
+    const [bx, by] = coords[i];
+    runM += haversineMeters(ay, ax, by, bx);
+    current.push(coords[i]);
+    if (runM - startM >= targetM || i === coords.length - 1) {
+      pieces.push({ coords: current, startM, endM: runM });
+      current = [coords[i]];
+      startM = runM;
+    }
+  }
+  return pieces;
+}
+
+// points at the given along-route distances (meters), linearly interpolated between vertices
+export function pointsAlongLine(line, distancesM) {
+  const coords = Array.isArray(line) ? line : (line && line.coordinates) || [];
+  if (!coords.length) return [];
+  const wanted = distancesM.map((d, i) => ({ d, i })).sort((a, b) => a.d - b.d);
+  const out = new Array(distancesM.length);
+  let k = 0, runM = 0;
+  for (let s = 0; s < coords.length - 1 && k < wanted.length; s++) {
+    const [ax, ay] = coords[s];
+    const [bx, by] = coords[s + 1];
+    const segM = haversineMeters(ay, ax, by, bx);
+    while (k < wanted.length && wanted[k].d <= runM + segM) {
+      const t = segM > 0 ? (wanted[k].d - runM) / segM : 0;
+      out[wanted[k].i] = { lng: ax + (bx - ax) * t, lat: ay + (by - ay) * t, alongM: wanted[k].d };
+      k++;
+    }
+    runM += segM;
+  }
+  // anything past the end snaps to the last vertex
+  const [lx, ly] = coords[coords.length - 1];
+  for (; k < wanted.length; k++) out[wanted[k].i] = { lng: lx, lat: ly, alongM: runM };
+  return out;
+}
+
+/*
+ Closest point on a polyline to (lng, lat). Returns { distanceM, alongM, index, point: [lng, lat] } where
+ alongM is the distance from the start of the line to the snapped point and index the segment it lies on.
+*/
+export function snapToLine(line, lng, lat) {
+  const coords = Array.isArray(line) ? line : (line && line.coordinates) || [];
+  const kx = mPerDegLng(lat), ky = M_PER_DEG_LAT;
+  let best = { distanceM: Infinity, alongM: 0, index: 0, point: coords[0] };
+  let runM = 0;
+  for (let i = 0; i < coords.length - 1; i++) {
+    const ax = (coords[i][0] - lng) * kx, ay = (coords[i][1] - lat) * ky;
+    const bx = (coords[i + 1][0] - lng) * kx, by = (coords[i + 1][1] - lat) * ky;
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    const d = Math.hypot(ax + t * dx, ay + t * dy);
+    const segM = haversineMeters(coords[i][1], coords[i][0], coords[i + 1][1], coords[i + 1][0]);
+    if (d < best.distanceM) {
+      best = {
+        distanceM: d,
+        alongM: runM + t * segM,
+        index: i,
+        point: [coords[i][0] + t * (coords[i + 1][0] - coords[i][0]), coords[i][1] + t * (coords[i + 1][1] - coords[i][1])]
+      };
+    }
+    runM += segM;
+  }
+  return best;
+}
@@ -0,0 +1,116 @@
+/*
+ health.js — data source status, retries with backoff and staleness (no map, storage or DOM dependency)
+ - createSourceHealth(sources, { now, downAfter, baseMs, maxMs }) keeps one record per source id:
+   { id, label, state, lastAttemptAt, lastSuccessAt, dataAt, lastError, lastErrorAt, failures, nextRetryAt }
+   success(id, { dataAt }) / failure(id, error, { dataAt }) update it. A failure schedules nextRetryAt with
+   backoffDelay(), and coolingDown(id) stays true until then, so callers skip a source that just failed instead of
+   hammering it. subscribe(fn) is called with (record, event) after every change.
+ - statusOf(record, now): "unknown" (never tried), "ok", "stale" (ok, but the data is older than the source's
+   staleAfterMs), "retrying" (failed, fewer than downAfter times in a row) or "down"
+ - backoffDelay(failures, { baseMs, maxMs }) — baseMs · 2^(failures − 1), capped at maxMs
+ - withRetry(task, { attempts, baseMs, maxMs, retryable, sleep }) — runs task(attempt) until it succeeds, retrying
+   errors that retryable(error) accepts (by default network errors, HTTP 408, 429 and 5xx) after backoffDelay()
+ - httpError(label, response) — Error with `status`, so retryable() can tell "not found" from "server busy"
+*/
+
+export const HEALTH_DEFAULTS = {
+  baseMs: 5000,          // first retry after a failure
+  maxMs: 10 * 60 * 1000, // longest wait between retries
+  downAfter: 3           // failures in a row before a source counts as down
+};
+
+export function backoffDelay(failures, { baseMs = HEALTH_DEFAULTS.baseMs, maxMs = HEALTH_DEFAULTS.maxMs } = {}) {
+  return Math.min(maxMs, baseMs * 2 ** Math.max(0, failures - 1));
+}
+
+export function httpError(label, response) {
+  return Object.assign(new Error(`${label} HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ""}`), { status: response.status });
+}
+
+export function isRetryable(error) {
+  const status = error && error.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+const realSleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function withRetry(task, { attempts = 3, baseMs = 1000, maxMs = 8000, retryable = isRetryable, sleep = realSleep } = {}) {
+  let lastError = null;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (e) {
+      lastError = e;
+      if (attempt === attempts || !retryable(e)) break;
+      await sleep(backoffDelay(attempt, { baseMs, maxMs }));
+    }
+  }
+  throw lastError;
+}
+
+// sources: { id: { label, staleAfterMs } }
+export function createSourceHealth(sources, { now = () => Date.now(), ...options } = {}) {
+  const opts = { ...HEALTH_DEFAULTS, ...options };
+  const records = new Map();
+  const listeners = new Set();
+  Object.entries(sources).forEach(([id, s]) => records.set(id, {
+    id, label: s.label || id, staleAfterMs: s.staleAfterMs ?? null, state: "unknown",
+    lastAttemptAt: null, lastSuccessAt: null, dataAt: null, lastError: null, lastErrorAt: null, failures: 0, nextRetryAt: null
+  }));
+
+  function record(id) {
+    const r = records.get(id);
+    if (!r) throw new Error(`Unknown data source "${id}"`);
+    return r;
+  }
+  function emit(r, event) {
+    listeners.forEach(fn => { try { fn(r, event); } catch (e) { console.warn("Source health listener failed:", e); } });
+  }
+
+  return {
+    get: id => record(id),
+    all: () => Array.from(records.values()),
+    success(id, { dataAt = null } = {}) {
+      const r = record(id);
+      const recovered = r.failures > 0;
+      const t = now();
+      Object.assign(r, { state: "ok", lastAttemptAt: t, lastSuccessAt: t, dataAt: dataAt ?? t, failures: 0, nextRetryAt: null });
+      emit(r, recovered ? "recovered" : "success");
+    },
+    // dataAt: age of a fallback copy that is still in use (e.g. the service worker's saved NOAH data)
+    failure(id, error, { dataAt } = {}) {
+      const r = record(id);
+      const t = now();
+      r.failures += 1;
+      Object.assign(r, {
+        state: r.failures >= opts.downAfter ? "down" : "retrying",
+        lastAttemptAt: t, lastErrorAt: t,
+        lastError: (error && error.message) || String(error || "failed"),
+        nextRetryAt: t + backoffDelay(r.failures, opts)
+      });
+      if (dataAt !== undefined) r.dataAt = dataAt;
+      emit(r, "failure");
+    },
+    coolingDown(id) {
+      const r = record(id);
+      return r.nextRetryAt !== null && now() < r.nextRetryAt;
+    },
+    // "Retry now": the next call goes through even while cooling down
+    clearCooldown(id) {
+      const r = record(id);
+      r.nextRetryAt = null;
+      emit(r, "cleared");
+    },
+    statusOf(r, at = now()) {
+      if (r.state === "ok" && r.staleAfterMs && r.dataAt !== null && at - r.dataAt > r.staleAfterMs) return "stale";
+      return r.state;
+    },
+    dataAge(r, at = now()) {
+      return r.dataAt === null ? null : Math.max(0, at - r.dataAt);
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    }
+  };
+}
@@ -0,0 +1,250 @@
+/*
+ routing.js — pluggable routing backends
+ Every provider exposes `route({ origin, destination, via, profile, alternatives })` and resolves to the
+ OSRM response shape the rest of the app consumes (renderDirections, the scorers, detours):
+
+   { code: "Ok", routes: [{
+       geometry: { type: "LineString", coordinates: [[lng, lat], ...] },
+       distance, duration,                      // meters, seconds
+       legs: [{ distance, duration, steps: [{
+         distance, duration, name,
+         maneuver: { type, modifier, location: [lng, lat], exit? },
+         geometry: { type: "LineString", coordinates }
+       }] }],
+       notice?                                  // caveat to show with the route (e.g. car times for a walk)
+   }] }
+
+ `origin` / `destination` / `via[]` are { lat, lng }; `profile` is a VEHICLE_PROFILES entry (app.js).
+ Built-in providers: "osrm" (self-hosted or the public demo), "valhalla", "stub" (offline canned routes).
+ Others (e.g. GraphHopper) can be added with registerRoutingProvider(name, factory).
+ HTTP failures throw httpError() (health.js), whose `status` tells the caller whether a retry can help.
+*/
+import { httpError } from "./health.js";
+
+export const OSRM_DEMO_URL = "https://router.project-osrm.org";
+
+export const ROUTING_DEFAULTS = {
+  provider: "osrm",
+  osrm: { baseUrl: OSRM_DEMO_URL },
+  valhalla: { baseUrl: "https://valhalla1.openstreetmap.de" },
+  stub: { fixtureUrl: "data/stub-routes.json" }
+};
+
+const factories = {};
+
+export function registerRoutingProvider(name, factory) {
+  factories[name] = factory;
+}
+
+export function availableRoutingProviders() {
+  return Object.keys(factories);
+}
+
+// config: { provider, osrm: { baseUrl }, valhalla: { baseUrl }, stub: { fixtureUrl } } (missing keys use defaults)
+export function createRoutingProvider(config = {}) {
+  const name = config.provider || ROUTING_DEFAULTS.provider;
+  const factory = factories[name];
+  if (!factory) throw new Error(`Unknown routing provider "${name}" (available: ${availableRoutingProviders().join(", ")})`);
+  const options = { ...(ROUTING_DEFAULTS[name] || {}), ...(config[name] || {}) };
+  return { name, ...factory(options) };
+}
+
+function trimSlash(url) { return String(url || "").replace(/\/+$/, ""); }
+
+/* -------------------------
+   OSRM (native shape, so this is a thin URL builder)
+   ------------------------- */
+registerRoutingProvider("osrm", ({ baseUrl }) => ({
+  async route({ origin, destination, via = [], profile, alternatives = true }) {
+    const points = [origin, ...via, destination];
+    const coords = points.map(p => `${p.lng},${p.lat}`).join(";");
+    // OSRM only returns alternatives for 2 points
+    const alt = alternatives && via.length === 0 ? "true" : "false";
+    const osrmProfile = (profile && profile.osrmProfile) || "driving";
+    // include steps=true so we can render turn-by-turn instructions
+    const url = `${trimSlash(baseUrl)}/route/v1/${osrmProfile}/${coords}?overview=full&alternatives=${alt}&geometries=geojson&steps=true`;
+    const r = await fetch(url);
+    if (!r.ok) throw httpError("OSRM", r);
+    const json = await r.json();
+    // the public demo only runs the car profile: it ignores foot/bike in the URL and answers with car routes and times
+    if (trimSlash(baseUrl) === OSRM_DEMO_URL && osrmProfile !== "driving") {
+      const mode = String((profile && profile.label) || osrmProfile).toLowerCase();
+      const notice = `The public OSRM demo server only routes cars: this is a car route with car travel times, not a ${mode} route. Use your own OSRM server or the Valhalla provider for walking and cycling.`;
+      (json.routes || []).forEach(route => { route.notice = notice; });
+    }
+    return json;
+  }
+}));
+
+/* -------------------------
+   Valhalla adapter
+   ------------------------- */
+
+// Valhalla encodes shapes as polyline with 6 digits of precision
+export function decodePolyline6(str) {
+  const coords = [];
+  let index = 0, lat = 0, lng = 0;
+  while (index < str.length) {
+    for (const which of [0, 1]) {
+      let result = 0, shift = 0, b;
+      do {
+        b = str.charCodeAt(index++) - 63;
+        result |= (b & 0x1f) << shift;
+        shift += 5;
+      } while (b >= 0x20);
+      const delta = (result & 1) ? ~(result >> 1) : (result >> 1);
+      if (which === 0) lat += delta; else lng += delta;
+    }
+    coords.push([lng / 1e6, lat / 1e6]);
+  }
+  return coords;
+}
+
+// Valhalla maneuver type -> OSRM { type, modifier }
+const VALHALLA_MANEUVERS = {
+  1: ["depart"], 2: ["depart", "right"], 3: ["depart", "left"],
+  4: ["arrive"], 5: ["arrive", "right"], 6: ["arrive", "left"],
+  7: ["new name", "straight"], 8: ["continue", "straight"],
+  9: ["turn", "slight right"], 10: ["turn", "right"], 11: ["turn", "sharp right"],
+  12: ["turn", "uturn"], 13: ["turn", "uturn"],
+  14: ["turn", "sharp left"], 15: ["turn", "left"], 16: ["turn", "slight left"],
+  17: ["on ramp", "straight"], 18: ["on ramp", "right"], 19: ["on ramp", "left"],
+  20: ["off ramp", "right"], 21: ["off ramp", "left"],
+  22: ["fork", "straight"], 23: ["fork", "right"], 24: ["fork", "left"],
+  25: ["merge", "straight"], 26: ["roundabout"], 27: ["exit roundabout"],
+  28: ["notification"], 29: ["notification"],
+  37: ["merge", "right"], 38: ["merge", "left"]
+};
+
+const DEFAULT_VALHALLA_COSTING = "auto";
+
+function valhallaTripToOsrmRoute(trip) {
+  const coordinates = [];
+  const legs = (trip.legs || []).map((leg) => {
+    const shape = decodePolyline6(leg.shape || "");
+    // legs share their joining vertex; don't duplicate it in the overview geometry
+    coordinates.push(...(coordinates.length ? shape.slice(1) : shape));
+    const steps = (leg.maneuvers || []).map((m) => {
+      const [type, modifier] = VALHALLA_MANEUVERS[m.type] || ["continue", "straight"];
+      const stepCoords = shape.slice(m.begin_shape_index, (m.end_shape_index ?? m.begin_shape_index) + 1);
+      const maneuver = { type, location: shape[m.begin_shape_index] || shape[0] };
+      if (modifier) maneuver.modifier = modifier;
+      if (m.roundabout_exit_count) maneuver.exit = m.roundabout_exit_count;
+      return {
+        distance: (m.length || 0) * 1000,
+        duration: m.time || 0,
+        name: (m.street_names || []).join(" / "),
+        maneuver,
+        geometry: { type: "LineString", coordinates: stepCoords.length > 1 ? stepCoords : [maneuver.location, maneuver.location] }
+      };
+    });
+    return { distance: (leg.summary?.length || 0) * 1000, duration: leg.summary?.time || 0, steps };
+  });
+  return {
+    geometry: { type: "LineString", coordinates },
+    distance: (trip.summary?.length || 0) * 1000,
+    duration: trip.summary?.time || 0,
+    legs
+  };
+}
+
+registerRoutingProvider("valhalla", ({ baseUrl }) => ({
+  async route({ origin, destination, via = [], profile, alternatives = true }) {
+    const body = {
+      locations: [origin, ...via, destination].map((p, i, all) => ({
+        lat: p.lat, lon: p.lng, type: i === 0 || i === all.length - 1 ? "break" : "through"
+      })),
+      costing: (profile && profile.valhallaCosting) || DEFAULT_VALHALLA_COSTING,
+      directions_options: { units: "kilometers" }
+    };
+    if (alternatives && via.length === 0) body.alternates = 2;
+    const r = await fetch(`${trimSlash(baseUrl)}/route`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Accept": "application/json" },
+      body: JSON.stringify(body)
+    });
+    if (!r.ok) throw httpError("Valhalla", r);
+    const json = await r.json();
+    if (!json.trip) return { code: "NoRoute", routes: [] };
+    const trips = [json.trip, ...(json.alternates || []).map(a => a.trip).filter(Boolean)];
+    return { code: "Ok", routes: trips.map(valhallaTripToOsrmRoute) };
+  }
+}));
+
+/* -------------------------
+   Stub provider (offline)
+   - canned routes from a fixture file, matched by origin/destination (within ~300 m)
+   - anything else gets a synthetic route: the straight line plus a dog-leg alternative, with real
+     depart / turn / arrive steps so the scoring and rendering flow can run without network
+   ------------------------- */
+const STUB_MATCH_DEG = 0.003;
+const STUB_SPEED_MPS = 8;
+
+function haversine(a, b) {
+  const R = 6371000, toRad = d => d * Math.PI / 180;
+  const dLat = toRad(b[1] - a[1]), dLng = toRad(b[0] - a[0]);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// densify so hazard/segment scoring has vertices to work with
+function densify(a, b, n = 20) {
+  return Array.from({ length: n + 1 }, (_, i) => [a[0] + (b[0] - a[0]) * i / n, a[1] + (b[1] - a[1]) * i / n]);
+}
+
+function stubRouteThrough(corners, names) {
+  const steps = [];
+  const coordinates = [];
+  for (let i = 0; i < corners.length - 1; i++) {
+    const piece = densify(corners[i], corners[i + 1]);
+    coordinates.push(...(coordinates.length ? piece.slice(1) : piece));
+    const distance = haversine(corners[i], corners[i + 1]);
+    steps.push({
+      distance,
+      duration: distance / STUB_SPEED_MPS,
+      name: names[i] || "",
+      maneuver: i === 0 ? { type: "depart", location: corners[0] } : { type: "turn", modifier: i % 2 ? "left" : "right", location: corners[i] },
+      geometry: { type: "LineString", coordinates: piece }
+    });
+  }
+  const end = corners[corners.length - 1];
+  steps.push({ distance: 0, duration: 0, name: "", maneuver: { type: "arrive", location: end }, geometry: { type: "LineString", coordinates: [end, end] } });
+  const distance = steps.reduce((m, s) => m + s.distance, 0);
+  const duration = steps.reduce((m, s) => m + s.duration, 0);
+  return { geometry: { type: "LineString", coordinates }, distance, duration, legs: [{ distance, duration, steps }] };
+}
+
+function syntheticStubRoutes(points, alternatives) {
+  const corners = points.map(p => [p.lng, p.lat]);
+  const routes = [stubRouteThrough(corners, ["Stub Road"])];
+  if (alternatives && points.length === 2) {
+    const [a, b] = corners;
+    // dog-leg: go along longitude first, then latitude
+    routes.push(stubRouteThrough([a, [b[0], a[1]], b], ["Stub Avenue", "Stub Street"]));
+  }
+  return routes;
+}
+
+registerRoutingProvider("stub", ({ fixtureUrl }) => {
+  let fixtures = null;
+  async function loadFixtures() {
+    if (fixtures) return fixtures;
+    try {
+      const r = await fetch(fixtureUrl);
+      fixtures = r.ok ? await r.json() : [];
+    } catch (e) {
+      fixtures = [];
+    }
+    return fixtures;
+  }
+  const near = (p, q) => Math.abs(p.lat - q.lat) <= STUB_MATCH_DEG && Math.abs(p.lng - q.lng) <= STUB_MATCH_DEG;
+  return {
+    async route({ origin, destination, via = [], alternatives = true }) {
+      if (via.length === 0) {
+        const canned = (await loadFixtures()).find(f => near(f.origin, origin) && near(f.destination, destination));
+        if (canned) return { code: "Ok", routes: alternatives ? canned.routes : canned.routes.slice(0, 1) };
+      }
+      return { code: "Ok", routes: syntheticStubRoutes([origin, ...via, destination], alternatives) };
+    }
+  };
+});
@@ -0,0 +1,154 @@
+/*
+ watch.js — polling and alert rules for watched routes and places (no map, storage or DOM dependency)
+ - createWatchScheduler({ check, intervalMs, clock }) runs `await check(now)` every intervalMs, never two at once.
+   `clock` is { now(), setTimeout(fn, ms), clearTimeout(id) }; it defaults to the real timers, and tests pass
+   createManualClock() (or their own) to drive polling without waiting
+ - watchAlerts(previous, current, { threshold }) — what changed since the last check: risk crossed the threshold
+   (either way), the route became impassable, or new reports landed on it
+ - watchOver(previous, current, { threshold }) — the over/under state to store with `current` (as `over`); a check with
+   missing inputs can only raise it, since their terms count 0
+ - inQuietHours(quiet, at) — { enabled, start: "22:00", end: "06:00" } in local time; may wrap past midnight
+*/
+
+export const WATCH_DEFAULTS = {
+  intervalMs: 15 * 60 * 1000,
+  quiet: { enabled: false, start: "22:00", end: "06:00" }
+};
+
+const realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id)
+};
+
+export function createWatchScheduler({ check, intervalMs = WATCH_DEFAULTS.intervalMs, clock = realClock }) {
+  let timer = null;
+  let running = false;
+  let inFlight = null;
+  let lastRunAt = null;
+
+  async function run() {
+    if (inFlight) return inFlight;
+    inFlight = (async () => {
+      try { await check(clock.now()); }
+      catch (e) { console.warn("Watch check failed:", e); }
+      finally { lastRunAt = clock.now(); inFlight = null; }
+    })();
+    return inFlight;
+  }
+
+  function schedule(ms) {
+    if (timer !== null) clock.clearTimeout(timer);
+    timer = clock.setTimeout(async () => {
+      timer = null;
+      if (!running) return;
+      await run();
+      if (running) schedule(intervalMs);
+    }, ms);
+  }
+
+  return {
+    // immediate: first check right away instead of after one interval
+    start({ immediate = true } = {}) {
+      if (running) return;
+      running = true;
+      schedule(immediate ? 0 : intervalMs);
+    },
+    stop() {
+      running = false;
+      if (timer !== null) clock.clearTimeout(timer);
+      timer = null;
+    },
+    // checks now and restarts the interval from here
+    async runNow() {
+      await run();
+      if (running) schedule(intervalMs);
+    },
+    setInterval(ms) {
+      intervalMs = ms;
+      if (running) schedule(Math.max(0, (lastRunAt ?? clock.now()) + ms - clock.now()));
+    },
+    // true when the last check is older than one interval (e.g. the tab was asleep)
+    overdue() { return lastRunAt === null || clock.now() - lastRunAt >= intervalMs; },
+    get running() { return running; },
+    get lastRunAt() { return lastRunAt; }
+  };
+}
+
+// clock for tests: time only moves on advance(ms), which fires due timers in order and waits for each
+export function createManualClock(start = 0) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+  return {
+    now: () => now,
+    setTimeout(fn, ms) {
+      const id = nextId++;
+      timers.set(id, { fn, at: now + Math.max(0, ms || 0) });
+      return id;
+    },
+    clearTimeout(id) { timers.delete(id); },
+    async advance(ms) {
+      const until = now + ms;
+      for (;;) {
+        const due = Array.from(timers.entries()).filter(([, t]) => t.at <= until).sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+        timers.delete(due[0]);
+        now = due[1].at;
+        await due[1].fn();
+      }
+      now = until;
+    }
+  };
+}
+
+// { id: report count } — watches saved before counts were kept only have reportIds
+function reportCounts(check) {
+  return check.reports || Object.fromEntries((check.reportIds || []).map(id => [id, 1]));
+}
+
+function wasOver(previous, threshold) {
+  if (!previous) return false;
+  return previous.missing && typeof previous.over === "boolean" ? previous.over : previous.risk >= threshold;
+}
+
+export function watchOver(previous, current, { threshold }) {
+  return current.risk >= threshold || (!!current.missing && wasOver(previous, threshold));
+}
+
+// previous / current: { risk, impassable: reason|null, missing: text|null, over?, reports: { id: count } }; previous is
+// null on the first check. `reports` maps a local report or shared incident id to its number of reports, so a report
+// that joins an incident already on the route counts as new. An incomplete check under the threshold never clears it.
+export function watchAlerts(previous, current, { threshold }) {
+  const alerts = [];
+  const over = wasOver(previous, threshold);
+  if (current.risk >= threshold && !over) {
+    const incomplete = current.missing ? ` (incomplete: ${current.missing})` : "";
+    alerts.push({ kind: "threshold", message: `Flood risk ${current.risk.toFixed(2)}${incomplete} is at or above your threshold (${threshold})` });
+  } else if (over && current.risk < threshold && !current.missing) {
+    alerts.push({ kind: "cleared", message: `Flood risk ${current.risk.toFixed(2)} is back below your threshold (${threshold})` });
+  }
+  if (current.impassable && !(previous && previous.impassable)) {
+    alerts.push({ kind: "impassable", message: `Likely impassable: ${current.impassable}` });
+  }
+  if (previous) {
+    const known = reportCounts(previous);
+    const fresh = Object.entries(reportCounts(current)).reduce((n, [id, count]) => n + Math.max(0, count - (known[id] || 0)), 0);
+    if (fresh) alerts.push({ kind: "report", message: `${fresh} new flood report${fresh > 1 ? "s" : ""} on it` });
+  }
+  return alerts;
+}
+
+function minutesOfDay(hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(hhmm || "");
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+export function inQuietHours(quiet, at = Date.now()) {
+  if (!quiet || !quiet.enabled) return false;
+  const start = minutesOfDay(quiet.start), end = minutesOfDay(quiet.end);
+  if (start === null || end === null || start === end) return false;
+  const d = new Date(at);
+  const now = d.getHours() * 60 + d.getMinutes();
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
@@ -0,0 +1,153 @@
+/*
+ sw.js — FloodSafe service worker (offline support)
+ - app shell (HTML/CSS/JS, MapLibre from unpkg, stub routes) is precached and served stale-while-revalidate
+ - basemap tiles, glyphs and sprites (NOAH, Carto, MapLibre demo) are cache-first; the tile cache is trimmed
+   to TILE_CACHE_MAX entries. "Save area for offline" in the app fills it by fetching tiles through here.
+ - NOAH hazard GeoJSON (proxy or direct) and the proxy's evacuation centers are network-first; when the network
+   fails the last good copy of that layer is served with `X-FloodSafe-Offline: 1` so the app can flag it as stale. Cached copies
+   carry `X-FloodSafe-Cached-At`.
+ - everything else (weather, routing, geocoding, report sync) goes straight to the network
+*/
+// bump with every change to the app shell (SHELL_ASSETS or any file in it): a new VERSION is what makes installed
+// clients reinstall the worker, precache the new list and drop the old shell cache
+const VERSION = "v19";
+const SHELL_CACHE = `floodsafe-shell-${VERSION}`;
+const TILE_CACHE = "floodsafe-tiles";
+const DATA_CACHE = "floodsafe-data";
+const TILE_CACHE_MAX = 4000;
+
+const SHELL_ASSETS = [
+  "./",
+  "index.html",
+  "manifest.webmanifest",
+  "icons/icon.svg",
+  "css/styles.css",
+  "js/app.js",
+  "js/hazards.js",
+  "js/routing.js",
+  "js/ai.js",
+  "js/geocoding.js",
+  "js/formats.js",
+  "js/directions.js",
+  "js/watch.js",
+  "js/evacuation.js",
+  "js/health.js",
+  "data/stub-routes.json",
+  "data/evacuation-centers.geojson",
+  "https://unpkg.com/maplibre-gl@2.4.0/dist/maplibre-gl.js",
+  "https://unpkg.com/maplibre-gl@2.4.0/dist/maplibre-gl.css"
+];
+
+const TILE_HOSTS = ["basemaps.cartocdn.com", "demotiles.maplibre.org"];
+
+function isTileRequest(url) {
+  if (url.hostname === "noah.up.edu.ph" && url.pathname.startsWith("/api/tiles/")) return true;
+  return TILE_HOSTS.some(h => url.hostname === h || url.hostname.endsWith("." + h));
+}
+
+function isHazardRequest(url) {
+  if (url.hostname === "noah.up.edu.ph" && url.pathname.endsWith("/flood-geojson.json")) return true;
+  return url.origin === self.location.origin && /\/api\/noah$/.test(url.pathname);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      // one missing asset (e.g. unpkg blocked) shouldn't fail the whole install
+      .then(cache => Promise.all(SHELL_ASSETS.map(a => cache.add(a).catch(e => console.warn("SW precache failed:", a, e)))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith("floodsafe-shell-") && k !== SHELL_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// copy of a response with extra headers (cached bodies can only be read once)
+async function withHeaders(response, extra) {
+  const headers = new Headers(response.headers);
+  Object.entries(extra).forEach(([k, v]) => headers.set(k, v));
+  return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+async function trimCache(name, max) {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  // Cache.keys() is in insertion order: drop the oldest
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(k => cache.delete(k)));
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(TILE_CACHE);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const response = await fetch(request);
+  // opaque (no-cors) responses are fine to cache for images
+  if (response.ok || response.type === "opaque") {
+    await cache.put(request, response.clone());
+    trimCache(TILE_CACHE, TILE_CACHE_MAX);
+  }
+  return response;
+}
+
+// one cached copy per NOAH layer (/api/noah?layer=evacuation); any other query parameters are ignored
+function hazardCacheKey(request) {
+  const url = new URL(request.url);
+  const layer = url.searchParams.get("layer");
+  return `${url.origin}${url.pathname}${layer ? `?layer=${encodeURIComponent(layer)}` : ""}`;
+}
+
+async function hazardNetworkFirst(request) {
+  const cache = await caches.open(DATA_CACHE);
+  const key = hazardCacheKey(request);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(key, await withHeaders(response.clone(), { "X-FloodSafe-Cached-At": new Date().toISOString() }));
+    }
+    return response;
+  } catch (e) {
+    const hit = await cache.match(key);
+    if (hit) return withHeaders(hit, { "X-FloodSafe-Offline": "1" });
+    throw e;
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+  const refresh = fetch(request).then(response => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+  if (hit) {
+    refresh.catch(() => {});
+    return hit;
+  }
+  return refresh.catch(async (e) => {
+    // offline navigation to a URL with a query string (?router=stub, shared links) -> app shell
+    if (request.mode === "navigate") {
+      const shell = await cache.match("index.html");
+      if (shell) return shell;
+    }
+    throw e;
+  });
+}
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (isTileRequest(url)) { event.respondWith(cacheFirst(request)); return; }
+  if (isHazardRequest(url)) { event.respondWith(hazardNetworkFirst(request)); return; }
+
+  const isShell = request.mode === "navigate" ||
+    (url.origin === self.location.origin && !url.pathname.includes("/api/")) ||
+    url.hostname === "unpkg.com";
+  if (isShell) event.respondWith(staleWhileRevalidate(request));
+});
@@ -0,0 +1,41 @@
+// node --test test/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildHazardIndex, routeHazardExposure, haversineMeters } from "../src/js/hazards.js";
+
+const square = [[121.0, 14.6], [121.01, 14.6], [121.01, 14.61], [121.0, 14.61]];
+
+function hazards(ring, risk = 2) {
+  return buildHazardIndex({
+    type: "FeatureCollection",
+    features: [{ type: "Feature", properties: { risk }, geometry: { type: "Polygon", coordinates: [ring] } }]
+  });
+}
+
+test("routeHazardExposure: meters inside a closed ring", () => {
+  const line = [[120.995, 14.605], [121.005, 14.605]];
+  const exposure = routeHazardExposure(hazards([...square, square[0]]), line);
+  const inside = haversineMeters(14.605, 121.0, 14.605, 121.005);
+  assert.ok(Math.abs(exposure.insideMeters - inside) < 0.5);
+  assert.ok(Math.abs(exposure.byClass[2] - inside) < 0.5);
+  assert.ok(Math.abs(exposure.weightedKm - 2 * inside / 1000) < 1e-3);
+});
+
+test("routeHazardExposure: an unclosed ring counts its closing edge", () => {
+  // the line crosses the edge from the last vertex back to the first, which the open ring does not list
+  for (const line of [[[120.995, 14.605], [121.005, 14.605]], [[121.005, 14.605], [120.995, 14.605]]]) {
+    const open = routeHazardExposure(hazards(square), line);
+    const closed = routeHazardExposure(hazards([...square, square[0]]), line);
+    assert.ok(open.insideMeters > 0);
+    assert.ok(Math.abs(open.insideMeters - closed.insideMeters) < 1e-6);
+    assert.ok(Math.abs(open.weightedKm - closed.weightedKm) < 1e-9);
+  }
+});
+
+test("routeHazardExposure: a line through an open ring is only counted inside it", () => {
+  const line = [[120.995, 14.605], [121.015, 14.605]];
+  const exposure = routeHazardExposure(hazards(square), line);
+  const inside = haversineMeters(14.605, 121.0, 14.605, 121.01);
+  assert.ok(Math.abs(exposure.insideMeters - inside) < 0.5);
+  assert.ok(exposure.totalMeters > exposure.insideMeters);
+});
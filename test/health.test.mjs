@@ -0,0 +1,141 @@
+// node --test test/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSourceHealth, backoffDelay, withRetry, httpError, isRetryable } from "../src/js/health.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// injected clock: time only moves on advance(ms)
+function testClock(start = 1_000_000) {
+  let t = start;
+  return { now: () => t, advance: ms => { t += ms; } };
+}
+
+function sourceHealth(clock) {
+  const sources = { noah: { label: "NOAH hazard data", staleAfterMs: 6 * HOUR } };
+  return createSourceHealth(sources, { now: clock.now, baseMs: 5000, maxMs: 60000, downAfter: 3 });
+}
+
+test("a source is unknown until it is first tried", () => {
+  const clock = testClock();
+  const health = sourceHealth(clock);
+  const r = health.get("noah");
+  assert.equal(health.statusOf(r), "unknown");
+  assert.equal(health.coolingDown("noah"), false);
+  assert.equal(health.dataAge(r), null);
+  assert.throws(() => health.get("nope"), /Unknown data source "nope"/);
+});
+
+test("failures go retrying, then down, and a success recovers", () => {
+  const clock = testClock();
+  const health = sourceHealth(clock);
+  const events = [];
+  health.subscribe((r, event) => events.push(`${event}:${r.state}`));
+  const r = health.get("noah");
+
+  health.failure("noah", new Error("HTTP 503"));
+  assert.equal(health.statusOf(r), "retrying");
+  assert.equal(r.failures, 1);
+  assert.equal(r.lastError, "HTTP 503");
+  health.failure("noah", new Error("HTTP 503"));
+  assert.equal(health.statusOf(r), "retrying");
+  health.failure("noah", new Error("HTTP 503"));
+  assert.equal(health.statusOf(r), "down");
+
+  clock.advance(1000);
+  health.success("noah");
+  assert.equal(health.statusOf(r), "ok");
+  assert.equal(r.failures, 0);
+  assert.equal(r.nextRetryAt, null);
+  assert.equal(r.lastSuccessAt, clock.now());
+  assert.deepEqual(events, ["failure:retrying", "failure:retrying", "failure:down", "recovered:ok"]);
+
+  health.success("noah");
+  assert.equal(events.at(-1), "success:ok");
+});
+
+test("each failure doubles the cooldown up to maxMs", () => {
+  const clock = testClock();
+  const health = sourceHealth(clock);
+  const r = health.get("noah");
+  const waits = [];
+  for (let i = 0; i < 6; i++) {
+    health.failure("noah", new Error("timeout"));
+    waits.push(r.nextRetryAt - clock.now());
+    assert.equal(health.coolingDown("noah"), true);
+    clock.advance(waits.at(-1) - 1);
+    assert.equal(health.coolingDown("noah"), true);
+    clock.advance(1);
+    assert.equal(health.coolingDown("noah"), false);
+  }
+  assert.deepEqual(waits, [5000, 10000, 20000, 40000, 60000, 60000]);
+});
+
+test("clearCooldown lets the next try through at once", () => {
+  const clock = testClock();
+  const health = sourceHealth(clock);
+  health.failure("noah", new Error("offline"));
+  assert.equal(health.coolingDown("noah"), true);
+  health.clearCooldown("noah");
+  assert.equal(health.coolingDown("noah"), false);
+  assert.equal(health.statusOf(health.get("noah")), "retrying");
+});
+
+test("ok data older than staleAfterMs is stale; a failure can keep a fallback copy's age", () => {
+  const clock = testClock();
+  const health = sourceHealth(clock);
+  const r = health.get("noah");
+  health.success("noah", { dataAt: clock.now() - HOUR });
+  assert.equal(health.statusOf(r), "ok");
+  assert.equal(health.dataAge(r), HOUR);
+  clock.advance(5 * HOUR + 1);
+  assert.equal(health.statusOf(r), "stale");
+
+  const fallbackAt = clock.now() - 2 * HOUR;
+  health.failure("noah", new Error("offline"), { dataAt: fallbackAt });
+  assert.equal(r.dataAt, fallbackAt);
+  assert.equal(health.statusOf(r), "retrying");
+});
+
+test("backoffDelay doubles from baseMs and caps at maxMs", () => {
+  assert.deepEqual([1, 2, 3, 4].map(n => backoffDelay(n, { baseMs: 1000, maxMs: 5000 })), [1000, 2000, 4000, 5000]);
+  assert.equal(backoffDelay(0, { baseMs: 1000, maxMs: 5000 }), 1000);
+  assert.equal(backoffDelay(20), 10 * 60 * 1000);
+});
+
+test("withRetry waits backoffDelay between attempts and returns the first success", async () => {
+  const slept = [];
+  const sleep = async ms => { slept.push(ms); };
+  const result = await withRetry(async attempt => {
+    if (attempt < 3) throw new Error("network down");
+    return `ok after ${attempt}`;
+  }, { attempts: 4, baseMs: 100, maxMs: 1000, sleep });
+  assert.equal(result, "ok after 3");
+  assert.deepEqual(slept, [100, 200]);
+});
+
+test("withRetry gives up after the last attempt with its error", async () => {
+  const slept = [];
+  let tries = 0;
+  const task = async () => { tries++; throw Object.assign(new Error("busy"), { status: 503 }); };
+  await assert.rejects(withRetry(task, { attempts: 3, baseMs: 100, sleep: async ms => { slept.push(ms); } }), /busy/);
+  assert.equal(tries, 3);
+  assert.deepEqual(slept, [100, 200]);
+});
+
+test("withRetry does not retry errors that are not retryable", async () => {
+  let tries = 0;
+  const error = httpError("NOAH GeoJSON", { status: 404, statusText: "Not Found" });
+  assert.equal(error.message, "NOAH GeoJSON HTTP 404 Not Found");
+  await assert.rejects(withRetry(async () => { tries++; throw error; }, { sleep: async () => {} }), error);
+  assert.equal(tries, 1);
+});
+
+test("isRetryable: network errors, 408, 429 and 5xx", () => {
+  assert.equal(isRetryable(new TypeError("Failed to fetch")), true);
+  assert.equal(isRetryable({ status: 408 }), true);
+  assert.equal(isRetryable({ status: 429 }), true);
+  assert.equal(isRetryable({ status: 502 }), true);
+  assert.equal(isRetryable({ status: 400 }), false);
+  assert.equal(isRetryable({ status: 404 }), false);
+});
@@ -0,0 +1,157 @@
+// node --test test/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createWatchScheduler, createManualClock, watchAlerts, watchOver, inQuietHours } from "../src/js/watch.js";
+
+const MIN = 60 * 1000;
+
+test("scheduler checks right away, then once per interval", async () => {
+  const clock = createManualClock(1000);
+  const runs = [];
+  const scheduler = createWatchScheduler({ check: async (now) => { runs.push(now); }, intervalMs: 15 * MIN, clock });
+  scheduler.start();
+  await clock.advance(0);
+  assert.deepEqual(runs, [1000]);
+  await clock.advance(15 * MIN - 1);
+  assert.equal(runs.length, 1);
+  await clock.advance(1);
+  await clock.advance(30 * MIN);
+  assert.deepEqual(runs, [1000, 1000 + 15 * MIN, 1000 + 30 * MIN, 1000 + 45 * MIN]);
+  scheduler.stop();
+  await clock.advance(60 * MIN);
+  assert.equal(runs.length, 4);
+});
+
+test("scheduler without immediate waits one interval", async () => {
+  const clock = createManualClock(0);
+  const runs = [];
+  const scheduler = createWatchScheduler({ check: async (now) => { runs.push(now); }, intervalMs: 5 * MIN, clock });
+  scheduler.start({ immediate: false });
+  await clock.advance(5 * MIN - 1);
+  assert.deepEqual(runs, []);
+  assert.equal(scheduler.overdue(), true);
+  await clock.advance(1);
+  assert.deepEqual(runs, [5 * MIN]);
+  assert.equal(scheduler.overdue(), false);
+  scheduler.stop();
+});
+
+test("setInterval counts the new interval from the last check", async () => {
+  const clock = createManualClock(0);
+  const runs = [];
+  const scheduler = createWatchScheduler({ check: async (now) => { runs.push(now); }, intervalMs: 60 * MIN, clock });
+  scheduler.start();
+  await clock.advance(10 * MIN);
+  scheduler.setInterval(15 * MIN);
+  await clock.advance(5 * MIN);
+  await clock.advance(15 * MIN);
+  assert.deepEqual(runs, [0, 15 * MIN, 30 * MIN]);
+  scheduler.stop();
+});
+
+test("runNow restarts the interval and a failing check does not stop polling", async () => {
+  const clock = createManualClock(0);
+  const runs = [];
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const scheduler = createWatchScheduler({
+      check: async (now) => { runs.push(now); if (runs.length === 1) throw new Error("offline"); },
+      intervalMs: 10 * MIN,
+      clock
+    });
+    scheduler.start();
+    await clock.advance(4 * MIN);
+    await scheduler.runNow();
+    await clock.advance(10 * MIN);
+    assert.deepEqual(runs, [0, 4 * MIN, 14 * MIN]);
+    scheduler.stop();
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test("watchAlerts: first check over the threshold alerts", () => {
+  const alerts = watchAlerts(null, { risk: 0.5, impassable: null, reports: { r1: 1 } }, { threshold: 0.4 });
+  assert.deepEqual(alerts.map(a => a.kind), ["threshold"]);
+});
+
+test("watchAlerts: threshold crossings up and down alert once each", () => {
+  const low = { risk: 0.2, impassable: null, reports: {} };
+  const high = { risk: 0.6, impassable: null, reports: {} };
+  assert.deepEqual(watchAlerts(low, high, { threshold: 0.4 }).map(a => a.kind), ["threshold"]);
+  assert.deepEqual(watchAlerts(high, { ...high, risk: 0.7 }, { threshold: 0.4 }), []);
+  assert.deepEqual(watchAlerts(high, low, { threshold: 0.4 }).map(a => a.kind), ["cleared"]);
+  assert.deepEqual(watchAlerts(low, { ...low, risk: 0.1 }, { threshold: 0.4 }), []);
+  assert.deepEqual(watchAlerts(low, { ...low, risk: 0.4 }, { threshold: 0.4 }).map(a => a.kind), ["threshold"]);
+});
+
+test("watchAlerts: a drop that comes from missing inputs does not clear the threshold", () => {
+  const threshold = { threshold: 0.4 };
+  const high = { risk: 0.6, impassable: null, missing: null, reports: {} };
+  const blind = { risk: 0.1, impassable: null, missing: "no NOAH hazard map data", reports: {} };
+  assert.deepEqual(watchAlerts(high, blind, threshold), []);
+  const stored = { ...blind, over: watchOver(high, blind, threshold) };
+  assert.equal(stored.over, true);
+  // data back and still high: no second "above" alert; data back and low: cleared
+  assert.deepEqual(watchAlerts(stored, high, threshold), []);
+  assert.deepEqual(watchAlerts(stored, { ...high, risk: 0.2 }, threshold).map(a => a.kind), ["cleared"]);
+  // incomplete but already over the threshold still alerts
+  const low = { risk: 0.1, impassable: null, missing: null, reports: {} };
+  assert.deepEqual(watchAlerts(low, { ...blind, risk: 0.5 }, threshold).map(a => a.kind), ["threshold"]);
+  assert.equal(watchOver(low, blind, threshold), false);
+});
+
+test("watchAlerts: impassable alerts when it starts, not while it lasts", () => {
+  const dry = { risk: 0.1, impassable: null, reports: {} };
+  const wet = { risk: 0.1, impassable: "water above 30 cm", reports: {} };
+  const alerts = watchAlerts(dry, wet, { threshold: 0.9 });
+  assert.deepEqual(alerts.map(a => a.kind), ["impassable"]);
+  assert.match(alerts[0].message, /water above 30 cm/);
+  assert.deepEqual(watchAlerts(wet, wet, { threshold: 0.9 }), []);
+});
+
+test("watchAlerts: new reports, including reports merged into a known incident", () => {
+  const before = { risk: 0.1, impassable: null, reports: { r1: 1, i1: 2 } };
+  assert.deepEqual(watchAlerts(before, before, { threshold: 0.9 }), []);
+  const merged = watchAlerts(before, { ...before, reports: { r1: 1, i1: 3 } }, { threshold: 0.9 });
+  assert.deepEqual(merged.map(a => a.message), ["1 new flood report on it"]);
+  const more = watchAlerts(before, { ...before, reports: { i1: 3, r2: 1, r3: 1 } }, { threshold: 0.9 });
+  assert.deepEqual(more.map(a => a.message), ["3 new flood reports on it"]);
+});
+
+test("watchAlerts: watches saved with reportIds still compare", () => {
+  const legacy = { risk: 0.1, impassable: null, reportIds: ["r1", "i1"] };
+  assert.deepEqual(watchAlerts(legacy, { risk: 0.1, impassable: null, reports: { r1: 1, i1: 1 } }, { threshold: 0.9 }), []);
+  const alerts = watchAlerts(legacy, { risk: 0.1, impassable: null, reports: { r1: 1, i1: 2 } }, { threshold: 0.9 });
+  assert.deepEqual(alerts.map(a => a.kind), ["report"]);
+});
+
+// local time, like the quiet-hours inputs
+const at = (h, m = 0) => new Date(2026, 5, 15, h, m).getTime();
+
+test("inQuietHours: window within one day", () => {
+  const quiet = { enabled: true, start: "13:00", end: "15:30" };
+  assert.equal(inQuietHours(quiet, at(12, 59)), false);
+  assert.equal(inQuietHours(quiet, at(13, 0)), true);
+  assert.equal(inQuietHours(quiet, at(15, 29)), true);
+  assert.equal(inQuietHours(quiet, at(15, 30)), false);
+});
+
+test("inQuietHours: window wrapping past midnight", () => {
+  const quiet = { enabled: true, start: "22:00", end: "06:00" };
+  assert.equal(inQuietHours(quiet, at(21, 59)), false);
+  assert.equal(inQuietHours(quiet, at(22, 0)), true);
+  assert.equal(inQuietHours(quiet, at(23, 59)), true);
+  assert.equal(inQuietHours(quiet, at(0, 0)), true);
+  assert.equal(inQuietHours(quiet, at(5, 59)), true);
+  assert.equal(inQuietHours(quiet, at(6, 0)), false);
+  assert.equal(inQuietHours(quiet, at(12, 0)), false);
+});
+
+test("inQuietHours: off, empty or malformed windows are never quiet", () => {
+  assert.equal(inQuietHours({ enabled: false, start: "00:00", end: "23:59" }, at(12)), false);
+  assert.equal(inQuietHours({ enabled: true, start: "08:00", end: "08:00" }, at(8)), false);
+  assert.equal(inQuietHours({ enabled: true, start: "late", end: "06:00" }, at(23)), false);
+  assert.equal(inQuietHours(null, at(23)), false);
+});